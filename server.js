@@ -1,8 +1,21 @@
 
+require('dotenv').config();
 const express = require('express');
 const qrcode = require('qrcode');
-const { Client, MessageMedia, Buttons } = require('whatsapp-web.js');
+const { Client, MessageMedia, Buttons, LocalAuth, RemoteAuth, NoAuth } = require('whatsapp-web.js');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const multer = require('multer');
+const { Jimp, loadFont, HorizontalAlign } = require('jimp');
+const jimpFonts = require('jimp/fonts');
+const jsQR = require('jsqr');
+const bwipjs = require('bwip-js');
+const { parse: parseCsv } = require('csv-parse');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
 
 const app = express();
 
@@ -25,2030 +38,8464 @@ function log(message) {
   console.log(`[${timestamp}] ${message}`);
 }
 
+// Connection state for one WhatsApp account, every account gets its own client
+function createSession(accountId, name) {
+  return {
+    accountId,
+    name: name || accountId,
+    createdAt: new Date().toISOString(),
+    qrCodeData: '',
+    loggedInNumber: '',
+    loggedInName: '', // Store user's name
+    profilePictureUrl: '', // Store profile picture as base64
+    // Only changed through transitionConnection()
+    connection: {
+      state: 'DISCONNECTED',
+      since: new Date().toISOString(),
+      reason: 'Server started',
+      waState: null, // Last state WhatsApp Web reported
+      qrAttempts: 0,
+      reconnectTimer: null
+    },
+    get isLoggedIn() {
+      return this.connection.state === 'CONNECTED';
+    },
+    client: null,
+    monitoringTimer: null,
+    connectionCheckTimer: null,
+    lastConnectionAttempt: 0,
+    reconnectionAttempts: 0,
+    lastActiveTimestamp: 0,
+    qrGenerationTime: 0, // Track when QR was generated
+    qrAutoRefresh: false, // Flag to control QR auto refresh
+    isJobRunnerActive: false
+  };
+}
+
 // Global variables
-let qrCodeData = '';
-let isLoggedIn = false;
-let loggedInNumber = '';
-let loggedInName = ''; // Store user's name
-let profilePictureUrl = ''; // Store profile picture as base64
-let connectionState = 'INITIALIZING';
-let client = null;
-let isClientDestroying = false;
-let reconnectionTimer = null;
-let monitoringTimer = null;
-let connectionCheckTimer = null;
-let lastConnectionAttempt = 0;
-let reconnectionAttempts = 0;
-let lastKnownState = null;
-let lastActiveTimestamp = 0;
-let qrGenerationTime = 0; // Track when QR was generated
-let qrAttempts = 0; // Track QR generation attempts
-let qrAutoRefresh = false; // Flag to control QR auto refresh
+const sessions = new Map(); // Account sessions keyed by account id
+const DEFAULT_ACCOUNT_ID = process.env.DEFAULT_ACCOUNT_ID || 'default';
+const ACCOUNT_ID_PATTERN = /^[-_\w]+$/; // Same rule whatsapp-web.js applies to auth client ids
 const MAX_RECONNECTION_ATTEMPTS = 3;
 const MIN_RECONNECT_INTERVAL = 30000; // 30 seconds between reconnection attempts
 const CONNECTION_CHECK_INTERVAL = 15000; // Check connection every 15 seconds
 const QR_MAX_AGE = 300000; // QR code max age in ms (5 minutes)
-const PAGE_REFRESH_INTERVAL = 20000; // Page refresh every 20 seconds (between 15-25 sec)
 
-// Function to safely destroy client
-async function destroyClient() {
-  if (client && !isClientDestroying) {
-    isClientDestroying = true;
-    try {
-      log('🛑 Destroying existing WhatsApp client...');
-      await client.destroy();
-      log('✅ Client destroyed successfully');
-    } catch (error) {
-      log(`❌ Error destroying client: ${error.message}`);
-    } finally {
-      client = null;
-      isClientDestroying = false;
-      isLoggedIn = false;
-      connectionState = 'DISCONNECTED';
-      profilePictureUrl = '';
-      loggedInName = '';
-    }
+// Persistent storage for jobs and other server data
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const jobs = new Map(); // All known jobs keyed by id
+
+// Create a directory if it does not exist yet
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
   }
 }
 
-// Active check for connection state
-async function checkActiveConnection() {
-  if (!client || !isLoggedIn) return;
+// Write JSON through a temp file so a crash mid-write cannot corrupt it
+function writeJsonFile(filePath, data) {
+  ensureDir(path.dirname(filePath));
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
 
+// Read a JSON file, returning the fallback when it is missing or unreadable
+function readJsonFile(filePath, fallback) {
   try {
-    // Try to get state as a live check
-    const state = await client.getState();
-    lastKnownState = state;
-    lastActiveTimestamp = Date.now();
-    
-    log(`🔍 Active connection check: ${state}`);
-    
-    if (state === 'CONNECTED') {
-      // All good, connection is active
-      connectionState = 'CONNECTED';
-    } else if (state === 'DISCONNECTED') {
-      log('⚠️ Active check detected disconnection');
-      handleDisconnection('Connection check detected disconnected state');
-    } else {
-      // Handle other states like CONNECTING
-      connectionState = state;
-    }
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
   } catch (error) {
-    log(`❌ Active connection check failed: ${error.message}`);
-    
-    // If we can't get state, the connection might be broken
-    if (Date.now() - lastActiveTimestamp > 30000) { // If no successful check in last 30 seconds
-      log('⚠️ Connection appears to be broken after failed state checks');
-      handleDisconnection('Failed connection checks');
-    }
+    log(`❌ Error reading ${filePath}: ${error.message}`);
+    return fallback;
   }
 }
 
-// Centralized function to handle disconnection
-async function handleDisconnection(reason) {
-  log(`🔌 Handling disconnection: ${reason}`);
-  connectionState = 'DISCONNECTED';
-  isLoggedIn = false;
-  loggedInNumber = '';
-  loggedInName = '';
-  profilePictureUrl = '';
-  
-  // Stop active connection checking
-  if (connectionCheckTimer) {
-    clearInterval(connectionCheckTimer);
-    connectionCheckTimer = null;
-  }
-  
-  // Schedule reconnection attempt if not already scheduled
-  if (!reconnectionTimer) {
-    reconnectionTimer = setTimeout(async () => {
-      reconnectionTimer = null;
-      reconnectionAttempts++;
-      
-      if (reconnectionAttempts > MAX_RECONNECTION_ATTEMPTS) {
-        log('⚠️ Maximum reconnection attempts reached. Resetting session...');
-        reconnectionAttempts = 0;
-      }
-      
-      // Try to reconnect
-      initializeWhatsAppClient();
-    }, 5000);
+// Save a job to disk now, replacing a pending batched save
+function saveJob(job) {
+  clearTimeout(pendingJobSaves.get(job.id));
+  pendingJobSaves.delete(job.id);
+  job.updatedAt = new Date().toISOString();
+  try {
+    writeJsonFile(path.join(JOBS_DIR, `${job.id}.json`), job);
+  } catch (error) {
+    log(`❌ Error saving job ${job.id}: ${error.message}`);
   }
+  publishJobProgress(job);
 }
 
-// Get profile picture and name when connected
-async function fetchProfileInfo() {
-  if (!client || !isLoggedIn) return;
-  
-  try {
-    // Get user's contact info
-    const me = await client.getContactById(client.info.wid._serialized);
-    loggedInName = me.name || me.pushname || 'WhatsApp User';
-    log(`📝 User name: ${loggedInName}`);
-    
-    // Get profile picture
-    try {
-      const profilePic = await client.getProfilePicUrl(client.info.wid._serialized);
-      profilePictureUrl = profilePic || '';
-      log(`🖼️ Profile picture ${profilePictureUrl ? 'fetched' : 'not available'}`);
-    } catch (picError) {
-      log(`⚠️ Could not fetch profile picture: ${picError.message}`);
-      profilePictureUrl = '';
+// Load all jobs from disk so in-flight work survives a restart
+function loadJobs() {
+  ensureDir(JOBS_DIR);
+
+  for (const file of fs.readdirSync(JOBS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const job = readJsonFile(path.join(JOBS_DIR, file), null);
+    if (job && job.id) {
+      jobs.set(job.id, job);
+      indexJobMessages(job);
+      indexJobKeys(job);
     }
-  } catch (error) {
-    log(`❌ Error fetching profile info: ${error.message}`);
-    loggedInName = 'WhatsApp User';
-    profilePictureUrl = '';
   }
+
+  const pendingCount = [...jobs.values()].filter(job => job.status === 'queued' || job.status === 'running').length;
+  log(`📂 Loaded ${jobs.size} jobs from disk (${pendingCount} pending)`);
 }
 
-// Function to initialize WhatsApp client
-async function initializeWhatsAppClient() {
-  // Prevent multiple initialization attempts
-  if (client || isClientDestroying) {
-    log('⚠️ Client initialization already in progress...');
-    return;
+// Job options every bulk route accepts in its request body
+function getJobOptions(body) {
+  return {
+    defaultCountryCode: body.defaultCountryCode,
+    checkRegistration: body.checkRegistration,
+    dedupe: body.dedupe,
+    campaignId: body.campaignId
+  };
+}
+
+// Store an accepted batch as a queued job for one account
+function createJob(accountId, type, messages, meta = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    accountId,
+    type,
+    // Jobs with a future send time wait until the scheduler queues them
+    status: meta.scheduledAt ? 'scheduled' : 'queued',
+    scheduledAt: meta.scheduledAt || null,
+    scheduleId: meta.scheduleId || null,
+    campaignId: meta.campaignId ? String(meta.campaignId) : null,
+    idempotencyKey: meta.idempotencyKey || null,
+    requestHash: meta.requestHash || null,
+    batchNumber: meta.batchNumber || null,
+    totalBatches: meta.totalBatches || null,
+    checkRegistration: meta.checkRegistration !== false,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null,
+    results: messages.map((item, index) => {
+      const normalized = normalizePhoneNumber(item && item.number, meta.defaultCountryCode || DEFAULT_COUNTRY_CODE);
+      return {
+        index,
+        id: item && item.id !== undefined ? item.id : null,
+        number: item && item.number !== undefined ? String(item.number) : '',
+        e164: normalized.valid ? normalized.e164 : null,
+        chatId: normalized.valid ? normalized.chatId : null,
+        message: item ? item.message : undefined,
+        qrData: item && item.qrData ? item.qrData : null,
+        qrOptions: item && item.qrOptions ? item.qrOptions : null,
+        pass: item && item.pass ? item.pass : null,
+        signed: item && item.signed ? item.signed : null,
+        checkIn: item && item.checkIn ? item.checkIn : null,
+        media: item && item.media ? item.media : null,
+        // Badly formatted numbers are skipped up front instead of failing mid-send
+        status: normalized.valid ? 'queued' : 'skipped',
+        attempts: 0,
+        error: normalized.valid ? null : normalized.reason,
+        sentAt: null
+      };
+    })
+  };
+
+  // Skip numbers that opted out and repeated recipients before anything is sent
+  markOptedOutRecipients(job);
+  markDuplicateRecipients(job, DEDUPE_MODES.includes(meta.dedupe) ? meta.dedupe : 'message');
+  indexJobKeys(job);
+
+  jobs.set(job.id, job);
+  saveJob(job);
+  log(`🗂️ Job ${job.id} queued (${type}) for account ${accountId} with ${messages.length} messages`);
+  return job;
+}
+
+// Jobs stored before multi-account support belong to the default account
+function getJobAccountId(job) {
+  return job.accountId || DEFAULT_ACCOUNT_ID;
+}
+
+// Retried requests and duplicate recipients
+// Idempotency-Key headers and client message ids are indexed from the stored jobs, so they survive restarts
+const IDEMPOTENCY_KEY_TTL = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const DEDUPE_MODES = ['message', 'number', 'none']; // Same number and same content / same number / keep duplicates
+const idempotencyIndex = new Map(); // "<accountId>:<Idempotency-Key>" -> job id
+const clientMessageIndex = new Map(); // "<accountId>:<message id>" -> { jobId, index } of the latest job carrying it
+
+// Index a job's idempotency key and client message ids
+function indexJobKeys(job) {
+  const accountId = getJobAccountId(job);
+  if (job.idempotencyKey) {
+    idempotencyIndex.set(`${accountId}:${job.idempotencyKey}`, job.id);
   }
 
-  // Minimum time between attempts
-  const now = Date.now();
-  if (now - lastConnectionAttempt < MIN_RECONNECT_INTERVAL) {
-    const waitTime = MIN_RECONNECT_INTERVAL - (now - lastConnectionAttempt);
-    log(`⏳ Too many connection attempts. Waiting ${waitTime/1000} seconds...`);
-    return;
+  // Recurring schedules send the same ids on every run, they are not duplicates of each other
+  if (job.scheduleId) return;
+
+  for (const item of job.results) {
+    if (item.id === null || item.id === undefined) continue;
+
+    // A skipped duplicate doesn't replace the message it duplicates
+    const key = `${accountId}:${item.id}`;
+    if (item.duplicateOf && clientMessageIndex.has(key)) continue;
+    clientMessageIndex.set(key, { jobId: job.id, index: item.index });
   }
-  lastConnectionAttempt = now;
+}
 
-  log('🔄 Initializing WhatsApp client...');
-  connectionState = 'INITIALIZING';
-  isLoggedIn = false;
-  qrCodeData = '';
-  qrAttempts = 0;
+// Whether an indexed message still counts: queued, sent or skipped as a duplicate, in a job that wasn't cancelled
+// Failed messages don't count so they can be sent again with the same id
+function getActiveClientMessage(accountId, id) {
+  const entry = clientMessageIndex.get(`${accountId}:${id}`);
+  const job = entry && jobs.get(entry.jobId);
+  const item = job && job.results[entry.index];
+  if (!item || job.status === 'cancelled') return null;
+  if (item.status !== 'queued' && item.status !== 'sent' && !item.duplicateOf) return null;
+  return { job, item };
+}
 
-  // Create a fresh client instance with puppeteer-less mode for fly.io
-  client = new Client({
-    puppeteer: {
-      headless: true,
-      args: [
-        '--no-sandbox', 
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ]
+// Key identifying a recipient for duplicate detection
+function getRecipientKey(item, mode) {
+  if (mode === 'number') return item.e164;
+  return JSON.stringify([item.e164, item.message, item.qrData, item.media ? item.media.mediaId : null]);
+}
+
+// Mark repeated recipients of a new job as skipped: message ids that were already queued or sent,
+// and repeated numbers within the job or earlier batches of the same campaignId
+function markDuplicateRecipients(job, mode = 'message') {
+  const accountId = getJobAccountId(job);
+  const seen = new Map(); // Recipient key -> the recipient it first appeared as
+  const seenIds = new Map(); // Client message id -> index within this job
+
+  const markDuplicate = (item, duplicateOf, reason) => {
+    item.status = 'skipped';
+    item.duplicateOf = duplicateOf;
+    item.error = reason;
+  };
+
+  if (mode !== 'none' && job.campaignId) {
+    for (const other of jobs.values()) {
+      if (other.id === job.id || other.campaignId !== job.campaignId || getJobAccountId(other) !== accountId || other.status === 'cancelled') continue;
+      for (const item of other.results) {
+        if (item.e164 && (item.status === 'queued' || item.status === 'sent')) {
+          seen.set(getRecipientKey(item, mode), { jobId: other.id, index: item.index });
+        }
+      }
     }
-  });
+  }
 
-  // Set up event handlers
-  client.on('qr', async (qr) => {
-    qrAttempts++;
-    log(`📱 QR Code received (attempt ${qrAttempts})`);
-    
-    // Only update QR if it's not undefined and not too frequent
-    if (qr && qr.trim() !== 'undefined') {
-      try {
-        qrCodeData = await qrcode.toDataURL(qr);
-        qrGenerationTime = Date.now();
-        connectionState = 'QR_READY';
-      } catch (error) {
-        log(`❌ Error generating QR code: ${error.message}`);
-        qrCodeData = '';
-        connectionState = 'QR_ERROR';
+  for (const item of job.results) {
+    if (item.status !== 'queued') continue;
+
+    if (item.id !== null && !job.scheduleId) {
+      const previous = getActiveClientMessage(accountId, item.id);
+      if (previous) {
+        markDuplicate(item, { jobId: previous.job.id, index: previous.item.index }, `Message id ${item.id} was already ${previous.item.status} in job ${previous.job.id}`);
+        continue;
       }
-    } else {
-      log('⚠️ Received invalid QR code data, not updating');
+      if (seenIds.has(item.id)) {
+        markDuplicate(item, { jobId: job.id, index: seenIds.get(item.id) }, `Message id ${item.id} appears more than once in this request`);
+        continue;
+      }
+      seenIds.set(item.id, item.index);
     }
-    
-    // If we receive too many QR codes, something might be wrong
-    if (qrAttempts > 5) {
-      log('⚠️ Too many QR code attempts, restarting client');
-      await destroyClient();
-      
-      // Wait a bit before trying again
-      setTimeout(() => {
-        initializeWhatsAppClient();
-      }, 3000);
+
+    if (mode === 'none') continue;
+
+    const key = getRecipientKey(item, mode);
+    const first = seen.get(key);
+    if (first) {
+      const where = first.jobId === job.id ? `recipient ${first.index + 1}` : `recipient ${first.index + 1} of job ${first.jobId}`;
+      markDuplicate(item, first, `Duplicate of ${where}`);
+      continue;
     }
-  });
+    seen.set(key, { jobId: job.id, index: item.index });
+  }
+}
 
-  client.on('authenticated', () => {
-    log('🔐 Authentication successful!');
-    connectionState = 'AUTHENTICATED';
-    qrCodeData = '';
-    qrAttempts = 0;
-  });
+function getRequestHash(type, body) {
+  return crypto.createHash('sha256').update(`${type}:${JSON.stringify(body)}`).digest('hex');
+}
 
-  client.on('auth_failure', async (error) => {
-    log(`❌ Authentication failed: ${error}`);
-    await handleDisconnection('Authentication failure');
-    
-    // Try to reinitialize after a delay
-    setTimeout(() => {
-      initializeWhatsAppClient();
-    }, 5000);
-  });
+// Idempotency fields stored on a job created from a request
+function getIdempotencyOptions(req, type) {
+  const idempotencyKey = req.get('Idempotency-Key');
+  return idempotencyKey
+    ? { idempotencyKey, requestHash: getRequestHash(type, req.body) }
+    : {};
+}
 
-  client.on('ready', async () => {
-    log('✅ Client is ready!');
-    isLoggedIn = true;
-    connectionState = 'CONNECTED';
-    reconnectionAttempts = 0;
-    lastActiveTimestamp = Date.now();
-    qrAttempts = 0;
-    
-    try {
-      loggedInNumber = client.info.wid.user;
-      log(`📱 Connected with number: +${loggedInNumber}`);
-      
-      // Fetch profile info
-      await fetchProfileInfo();
-      
-      // Start active connection checking
-      if (connectionCheckTimer) clearInterval(connectionCheckTimer);
-      connectionCheckTimer = setInterval(checkActiveConnection, CONNECTION_CHECK_INTERVAL);
-    } catch (error) {
-      log(`⚠️ Could not get connected number: ${error.message}`);
+// Find the job an earlier copy of this request created: same Idempotency-Key,
+// or (without a key) every message id already queued or sent in one job
+// Returns { job } for a replay, { error } when the key was used for another request, or null
+function findReplayedJob(req, accountId, type) {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey) {
+    const job = jobs.get(idempotencyIndex.get(`${accountId}:${idempotencyKey}`));
+    if (job && Date.now() - new Date(job.createdAt).getTime() < IDEMPOTENCY_KEY_TTL) {
+      if (job.requestHash !== getRequestHash(type, req.body)) {
+        return { error: `Idempotency-Key ${idempotencyKey} was already used for a different request` };
+      }
+      return { job };
     }
-  });
+    return null;
+  }
 
-  // client.on('message', async message => {
-  //   const text = message.body.toLowerCase();
-
-  //   // Match message using regex or keyword
-  //   if (text.includes('i want to join') || /register|sign up/.test(text)) {
-  //       const buttons = new Buttons(
-  //           'Welcome! Choose one to continue:',
-  //           [
-  //               { body: 'Join Now' },
-  //               { body: 'More Info' },
-  //               { body: 'Contact Admin' }
-  //           ],
-  //           'SSF Registration',
-  //           'Tap a button below'
-  //       );
-
-  //       await client.sendMessage(message.from, buttons);
-  //   }
-
-//     client.on('message', message => {
-//     const text = message.body.toLowerCase(); // case-insensitive match
-
-//     if (text.includes('i want')) {
-//         message.reply('Thanks for your interest! Please click the link to join: https://yourdomain.com/join');
-//     }
+  const messages = Array.isArray(req.body.messages) ? req.body.messages : [];
+  if (messages.length === 0 || messages.some(item => !item || item.id === undefined || item.id === null)) return null;
 
-//     // You can add more keyword replies here
-// });
+  const matches = messages.map(item => getActiveClientMessage(accountId, item.id));
+  const jobIds = new Set(matches.map(match => match && match.job.id));
+  if (jobIds.size !== 1 || jobIds.has(null)) return null;
 
-    // Optional: Handle button replies
-//     if (text === 'join now') {
-//         await message.reply('Here’s your join link: https://yourdomain.com/join');
-//     } else if (text === 'more info') {
-//         await message.reply('Visit https://yourdomain.com/info to know more.');
-//     } else if (text === 'contact admin') {
-//         await message.reply('Contact us at +91XXXXXXXXXX.');
-//     }
-// });
+  const job = matches[0].job;
+  return job.type === type ? { job } : null;
+}
 
+// Answer a replayed request with the original job instead of queuing it again
+function sendReplayResponse(res, replay) {
+  if (replay.error) {
+    return res.status(422).json({ success: false, message: replay.error });
+  }
 
-  client.on('disconnected', async (reason) => {
-    log(`❌ Client disconnected event: ${reason}`);
-    await handleDisconnection(`Client disconnected: ${reason}`);
+  const { job } = replay;
+  log(`🔁 Replayed request matched job ${job.id}, nothing was queued again`);
+  res.status(200).json({
+    success: true,
+    replayed: true,
+    message: `This request was already accepted as job ${job.id}, nothing was sent again`,
+    jobId: job.id,
+    accountId: getJobAccountId(job),
+    scheduledAt: job.scheduledAt || null,
+    job: summarizeJob(job)
   });
+}
 
-  // Additional event to detect when WhatsApp Web is logged out
-  client.on('change_state', (state) => {
-    log(`🔄 Connection state changed to: ${state}`);
-    lastKnownState = state;
-    
-    if (state === 'DISCONNECTED') {
-      handleDisconnection('State changed to DISCONNECTED');
+// Count recipients per status
+function getJobCounts(job) {
+  const counts = { total: job.results.length, queued: 0, sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+  for (const item of job.results) {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  }
+  return counts;
+}
+
+// Job fields returned by the API without the per-recipient results
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    accountId: getJobAccountId(job),
+    type: job.type,
+    status: job.status,
+    campaignId: job.campaignId || null,
+    scheduledAt: job.scheduledAt || null,
+    scheduleId: job.scheduleId || null,
+    batchNumber: job.batchNumber,
+    totalBatches: job.totalBatches,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    pausedAt: job.pausedAt || null,
+    completedAt: job.completedAt,
+    counts: getJobCounts(job),
+    delivery: getDeliveryCounts(job)
+  };
+}
+
+// Record the outcome for one recipient and persist it right away, so a restart never sends it again
+// The sent message's id is kept so delivery and read acks can be matched to the recipient later
+function recordJobResult(job, item, status, error = null, sentMessage = null) {
+  item.status = status;
+  item.error = error;
+  item.finishedAt = new Date().toISOString();
+  if (status === 'sent') {
+    item.sentAt = item.finishedAt;
+    item.delivery = { status: 'sent', sentAt: item.sentAt, deliveredAt: null, readAt: null, playedAt: null };
+
+    if (sentMessage && sentMessage.id && sentMessage.id._serialized) {
+      item.messageId = sentMessage.id._serialized;
+      messageIndex.set(item.messageId, { jobId: job.id, index: item.index });
     }
-  });
-  
-  // Handle when device is unpaired (important for detecting manual unlinking)
-  client.on('change_battery', (batteryInfo) => {
-    log(`🔋 Battery state updated: ${JSON.stringify(batteryInfo)}`);
-    // This event confirms connection is still alive
-    lastActiveTimestamp = Date.now();
-  });
+    indexLastSent(job, item);
+    if (item.qrData) registerIssuedCode(job, item);
+  }
+  saveJob(job);
 
-  // Try to initialize
-  try {
-    log('🚀 Starting WhatsApp client...');
-    await client.initialize();
-  } catch (error) {
-    log(`❌ Client initialization failed: ${error.message}`);
-    await handleDisconnection(`Initialization failed: ${error.message}`);
-    
-    if (!reconnectionTimer) {
-      reconnectionTimer = setTimeout(async () => {
-        reconnectionTimer = null;
-        initializeWhatsAppClient();
-      }, 5000);
+  if (status === 'sent' || status === 'failed' || status === 'skipped') {
+    emitWebhookEvent(`message_${status}`, getJobAccountId(job), {
+      jobId: job.id,
+      index: item.index,
+      id: item.id,
+      number: item.number,
+      messageId: item.messageId || null,
+      attempts: item.attempts,
+      error: item.error
+    });
+  }
+}
+
+// Delivery lifecycle for the whatsapp-web.js ack values, in the order they happen
+// -1 error, 0 pending, 1 server (sent), 2 device (delivered), 3 read, 4 played
+const ACK_STATUSES = { '-1': 'error', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'played' };
+const DELIVERY_ORDER = ['sent', 'delivered', 'read', 'played'];
+const messageIndex = new Map(); // Sent message id -> { jobId, index }
+const lastSentToChat = new Map(); // "<accountId>:<chatId>" -> { jobId, index, sentAt } of the latest job message, to link replies
+const pendingJobSaves = new Map(); // Job id -> debounce timer for ack updates
+
+// Acks arrive in bursts, so batch their writes instead of rewriting the whole job on every ack
+function scheduleJobSave(job) {
+  if (pendingJobSaves.has(job.id)) return;
+  pendingJobSaves.set(job.id, setTimeout(() => saveJob(job), 2000));
+}
+
+// Index sent message ids of loaded jobs so acks after a restart still match
+function indexJobMessages(job) {
+  for (const item of job.results) {
+    if (item.messageId) {
+      messageIndex.set(item.messageId, { jobId: job.id, index: item.index });
+    }
+    if (item.sentAt) {
+      indexLastSent(job, item);
     }
   }
 }
 
-// Start periodic monitoring of connection status
-function startMonitoring() {
-  if (monitoringTimer) {
-    clearInterval(monitoringTimer);
+// Remember the latest job message per chat so incoming replies can be linked to it
+function indexLastSent(job, item) {
+  const key = `${getJobAccountId(job)}:${getRecipientChatId(item)}`;
+  const current = lastSentToChat.get(key);
+  if (!current || current.sentAt < item.sentAt) {
+    lastSentToChat.set(key, { jobId: job.id, index: item.index, sentAt: item.sentAt });
   }
-  
-  monitoringTimer = setInterval(async () => {
-    // Check if QR code is too old and user has requested auto-refresh
-    if (qrCodeData && !isLoggedIn && qrAutoRefresh && (Date.now() - qrGenerationTime > QR_MAX_AGE)) {
-      log('⚠️ QR code expired and auto-refresh enabled, requesting new one');
-      qrCodeData = '';
-      connectionState = 'QR_EXPIRED';
-      
-      // Force client refresh to get a new QR
-      await destroyClient();
-      setTimeout(() => {
-        initializeWhatsAppClient();
-      }, 2000);
-      return;
+}
+
+// Move a recipient forward in the sent -> delivered -> read -> played lifecycle
+function handleMessageAck(session, message, ack) {
+  const messageId = message && message.id && message.id._serialized;
+  const entry = messageId && messageIndex.get(messageId);
+  if (!entry) return;
+
+  const job = jobs.get(entry.jobId);
+  const item = job && job.results[entry.index];
+  const ackStatus = ACK_STATUSES[ack];
+  if (!item || !item.delivery || !ackStatus) return;
+
+  const now = new Date().toISOString();
+
+  if (ackStatus === 'error') {
+    item.delivery.status = 'error';
+    item.delivery.errorAt = now;
+  } else {
+    const currentRank = DELIVERY_ORDER.indexOf(item.delivery.status);
+    const newRank = DELIVERY_ORDER.indexOf(ackStatus);
+
+    // Acks can arrive out of order or skip a step, never move backwards
+    if (newRank <= currentRank) return;
+
+    item.delivery.status = ackStatus;
+    for (let rank = 1; rank <= newRank; rank++) {
+      const field = `${DELIVERY_ORDER[rank]}At`;
+      item.delivery[field] = item.delivery[field] || now;
     }
-    
-    if (isLoggedIn) {
-      // Check if the session is actually still valid
-      try {
-        if (client) {
-          const state = await client.getState();
-          log(`📱 Connection status: ${state} for +${loggedInNumber}`);
-          lastKnownState = state;
-          lastActiveTimestamp = Date.now();
-          
-          if (state !== 'CONNECTED') {
-            log(`⚠️ State not CONNECTED but ${state}, checking connection...`);
-            // Don't immediately disconnect - give it a chance to recover
-          }
-        } else {
-          log('⚠️ Client is null but isLoggedIn is true - fixing state');
-          isLoggedIn = false;
-          connectionState = 'DISCONNECTED';
-        }
-      } catch (error) {
-        log(`❌ Error checking connection: ${error.message}`);
-        
-        // If we haven't had a successful check in a while, consider connection lost
-        if (Date.now() - lastActiveTimestamp > 30000) { // 30 seconds
-          log('⚠️ Connection appears to be lost, triggering reconnection');
-          await handleDisconnection('Failed state check in monitoring');
-        }
+  }
+
+  sessionLog(session, `📬 Message to ${item.number} ${ackStatus} (job ${job.id})`);
+  scheduleJobSave(job);
+
+  emitWebhookEvent('message_ack', session.accountId, {
+    jobId: job.id,
+    index: item.index,
+    id: item.id,
+    number: item.number,
+    messageId,
+    ack,
+    delivery: item.delivery
+  });
+}
+
+// Recipients per delivery stage, a read message also counts as delivered
+function getDeliveryCounts(job) {
+  const counts = { sent: 0, delivered: 0, read: 0, played: 0, error: 0 };
+
+  for (const item of job.results) {
+    if (!item.delivery) continue;
+    if (item.delivery.status === 'error') {
+      counts.error++;
+      continue;
+    }
+    const rank = DELIVERY_ORDER.indexOf(item.delivery.status);
+    for (let i = 0; i <= rank; i++) {
+      counts[DELIVERY_ORDER[i]]++;
+    }
+  }
+
+  return counts;
+}
+
+// Per-recipient fields returned by the jobs API
+function summarizeJobResult(item) {
+  return {
+    index: item.index,
+    id: item.id,
+    number: item.number,
+    status: item.status,
+    attempts: item.attempts,
+    error: item.error,
+    sentAt: item.sentAt,
+    messageId: item.messageId || null,
+    duplicateOf: item.duplicateOf || null,
+    optedOut: Boolean(item.optedOut),
+    delivery: item.delivery || null
+  };
+}
+
+// A job stops at the next message boundary when its account disconnects or it is paused or cancelled
+function isJobInterrupted(session, job) {
+  return !session.isLoggedIn || !session.client || job.status !== 'running';
+}
+
+// Work through an account's pending jobs one at a time while it is connected
+async function runJobQueue(session) {
+  if (session.isJobRunnerActive) return;
+  session.isJobRunnerActive = true;
+
+  try {
+    while (session.isLoggedIn && session.client) {
+      // Oldest pending job first
+      const job = [...jobs.values()]
+        .filter(candidate => getJobAccountId(candidate) === session.accountId)
+        .filter(candidate => candidate.status === 'queued' || candidate.status === 'running')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+
+      if (!job) break;
+
+      const processor = jobProcessors[job.type];
+      if (!processor) {
+        log(`❌ Unknown job type ${job.type} for job ${job.id}`);
+        job.status = 'failed';
+        saveJob(job);
+        continue;
       }
-    } else {
-      log(`🔄 Connection status check: ${connectionState}`);
-      
-      // If client doesn't exist and we're not in the middle of connecting
-      if (!client && !isClientDestroying && !reconnectionTimer) {
-        log('📂 Not connected. Attempting to connect...');
-        
-        reconnectionAttempts++;
-        log(`🔄 Reconnection attempt ${reconnectionAttempts} of ${MAX_RECONNECTION_ATTEMPTS}`);
-        
-        if (reconnectionAttempts > MAX_RECONNECTION_ATTEMPTS) {
-          log('⚠️ Too many reconnection failures. Resetting...');
-          reconnectionAttempts = 0;
-        }
-        
-        // Try to initialize again
-        initializeWhatsAppClient();
+
+      job.status = 'running';
+      job.startedAt = job.startedAt || new Date().toISOString();
+      saveJob(job);
+      log(`▶️ Running job ${job.id} (${job.type}): ${getJobCounts(job).queued} messages pending`);
+
+      // Drop recipients without WhatsApp before anything is sent
+      if (job.checkRegistration !== false) {
+        await checkJobRegistrations(session, job);
+      }
+
+      await processor(session, job);
+
+      // Paused and cancelled jobs are left as they are, resumed ones are picked up again by this loop
+      if (job.status !== 'running') {
+        continue;
       }
+
+      // A dropped connection leaves unattempted recipients; resume them after reconnection
+      if (job.results.some(item => item.status === 'queued')) {
+        log(`⏸️ Job ${job.id} interrupted, it will resume once WhatsApp reconnects`);
+        break;
+      }
+
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      saveJob(job);
+
+      const counts = getJobCounts(job);
+      log(`✅ Job ${job.id} completed: ${counts.sent} successful, ${counts.failed} failed`);
     }
-  }, 60000); // Check every minute
+  } catch (error) {
+    log(`❌ Error in job runner for account ${session.accountId}: ${error.message}`);
+  } finally {
+    session.isJobRunnerActive = false;
+  }
 }
 
-// Ping test route to test connection
-app.get('/ping', async (req, res) => {
-  if (!isLoggedIn || !client) {
-    return res.status(200).json({
-      success: false,
-      status: connectionState,
-      message: 'WhatsApp not connected'
-    });
-  }
+// Process-wide send rate limiter shared by every route, job and auto-reply
+// Caps per minute, hour and day, a minimum gap with random jitter between sends,
+// and a backoff multiplier on that gap that grows while sendMessage errors are frequent
+const RATE_LIMITS_FILE = path.join(DATA_DIR, 'rate-limits.json');
+const RATE_USAGE_FILE = path.join(DATA_DIR, 'rate-usage.json');
+const RATE_WINDOWS = { perMinute: 60 * 1000, perHour: 60 * 60 * 1000, perDay: 24 * 60 * 60 * 1000 };
+const RATE_ERROR_WINDOW = 20; // Judge the error rate on the last 20 sends
+const DEFAULT_RATE_LIMITS = {
+  perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 30,
+  perHour: parseInt(process.env.RATE_LIMIT_PER_HOUR, 10) || 600,
+  perDay: parseInt(process.env.RATE_LIMIT_PER_DAY, 10) || 3000,
+  minDelayMs: parseInt(process.env.RATE_LIMIT_MIN_DELAY_MS, 10) || 1000,
+  jitterMs: parseInt(process.env.RATE_LIMIT_JITTER_MS, 10) || 1500,
+  errorThreshold: 0.25, // Back off once a quarter of recent sends failed
+  maxBackoff: 16 // The gap between sends grows to at most 16x minDelayMs
+};
+const RATE_LIMIT_RANGES = { // Accepted [min, max] for each setting
+  perMinute: [1, 1000],
+  perHour: [1, 60000],
+  perDay: [1, 1000000],
+  minDelayMs: [0, 600000],
+  jitterMs: [0, 600000],
+  errorThreshold: [0.01, 1],
+  maxBackoff: [1, 1000]
+};
+const rateLimits = { ...DEFAULT_RATE_LIMITS, ...readJsonFile(RATE_LIMITS_FILE, {}) };
+const rateLimiter = {
+  sends: readJsonFile(RATE_USAGE_FILE, []).filter(time => time > Date.now() - RATE_WINDOWS.perDay), // Send times within the last day
+  nextSendAt: 0,
+  backoff: 1,
+  recentResults: [], // true for a successful send, false for an error
+  queue: Promise.resolve(), // Serialises slot reservations
+  saveTimer: null
+};
 
+// Save the send times now
+function saveRateUsage() {
+  clearTimeout(rateLimiter.saveTimer);
+  rateLimiter.saveTimer = null;
   try {
-    const state = await client.getState();
-    lastKnownState = state;
-    lastActiveTimestamp = Date.now();
-    
-    return res.status(200).json({
-      success: true,
-      status: state,
-      number: loggedInNumber,
-      name: loggedInName,
-      message: 'Connection active'
-    });
+    writeJsonFile(RATE_USAGE_FILE, rateLimiter.sends);
   } catch (error) {
-    log(`❌ Ping check failed: ${error.message}`);
-    
-    return res.status(200).json({
-      success: false,
-      status: 'ERROR',
-      message: `Failed to check state: ${error.message}`
-    });
+    log(`❌ Error saving rate limiter usage: ${error.message}`);
   }
-});
+}
 
-// Generate new QR code manually
-app.post('/generate-qr', async (req, res) => {
-  log('🔄 Manual QR code generation requested...');
-  
-  // Only allow this if we're not logged in
-  if (isLoggedIn) {
-    return res.status(200).json({
-      success: false,
-      message: 'Cannot generate QR code while logged in'
-    });
+// Persist send times so the daily cap survives restarts; debounced because sends are frequent
+function scheduleRateUsageSave() {
+  if (rateLimiter.saveTimer) return;
+  rateLimiter.saveTimer = setTimeout(saveRateUsage, 5000);
+}
+
+// Sends within each window, dropping entries older than a day
+function getRateUsage(now = Date.now()) {
+  while (rateLimiter.sends.length > 0 && rateLimiter.sends[0] <= now - RATE_WINDOWS.perDay) {
+    rateLimiter.sends.shift();
   }
-  
-  // Reset client and generate new QR
-  await destroyClient();
-  qrCodeData = '';
-  connectionState = 'GENERATING_QR';
-  
-  // Initialize new client to get a fresh QR
-  setTimeout(() => {
-    initializeWhatsAppClient();
-  }, 2000);
-  
+
+  const usage = {};
+  for (const [name, windowMs] of Object.entries(RATE_WINDOWS)) {
+    usage[name] = rateLimiter.sends.filter(time => time > now - windowMs).length;
+  }
+  return usage;
+}
+
+// Milliseconds until the next send is allowed (0 when a send may go out now)
+function getSendDelay(now = Date.now()) {
+  const usage = getRateUsage(now);
+  let delay = Math.max(0, rateLimiter.nextSendAt - now);
+
+  for (const [name, windowMs] of Object.entries(RATE_WINDOWS)) {
+    if (usage[name] >= rateLimits[name]) {
+      // Wait until enough sends have left the window to get back under the cap
+      const inWindow = rateLimiter.sends.filter(time => time > now - windowMs);
+      const freesAt = inWindow[inWindow.length - rateLimits[name]] + windowMs;
+      delay = Math.max(delay, freesAt - now);
+    }
+  }
+
+  return delay;
+}
+
+// Wait until the limiter would allow a send, without reserving it
+// Job processors call this at message boundaries so they can stop cleanly if the connection drops meanwhile
+async function waitForSendSlot() {
+  let delay = getSendDelay();
+  while (delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, 5000))); // Re-check often so limit changes apply quickly
+    delay = getSendDelay();
+  }
+}
+
+// Wait for and reserve the next send slot; concurrent callers are served in order
+function acquireSendSlot() {
+  const slot = rateLimiter.queue.then(async () => {
+    await waitForSendSlot();
+
+    const now = Date.now();
+    rateLimiter.sends.push(now);
+    rateLimiter.nextSendAt = now + rateLimits.minDelayMs * rateLimiter.backoff + Math.floor(Math.random() * rateLimits.jitterMs);
+    scheduleRateUsageSave();
+  });
+
+  rateLimiter.queue = slot.catch(() => {});
+  return slot;
+}
+
+// Feed a send result into the backoff: errors double the gap once the error rate is too high, successes shrink it again
+function recordSendOutcome(success) {
+  rateLimiter.recentResults.push(success);
+  if (rateLimiter.recentResults.length > RATE_ERROR_WINDOW) {
+    rateLimiter.recentResults.shift();
+  }
+
+  const previous = rateLimiter.backoff;
+  const errorRate = getRecentErrorRate();
+
+  if (!success && rateLimiter.recentResults.length >= 5 && errorRate >= rateLimits.errorThreshold) {
+    rateLimiter.backoff = Math.min(rateLimiter.backoff * 2, rateLimits.maxBackoff);
+    if (rateLimiter.backoff !== previous) {
+      log(`🐢 Send backoff now ${rateLimiter.backoff.toFixed(1)}x (${Math.round(errorRate * 100)}% of recent sends failed)`);
+    }
+  } else if (success && previous > 1) {
+    rateLimiter.backoff = Math.max(1, previous * 0.9);
+    if (rateLimiter.backoff === 1) {
+      log('🚀 Send backoff cleared, back to the normal pace');
+    }
+  }
+}
+
+function getRecentErrorRate() {
+  const results = rateLimiter.recentResults;
+  return results.length === 0 ? 0 : results.filter(result => !result).length / results.length;
+}
+
+// Every outgoing message goes through here so the caps hold across routes, jobs and accounts
+async function sendThrottled(session, chatId, content, options) {
+  await acquireSendSlot();
+
+  try {
+    const sentMessage = await session.client.sendMessage(chatId, content, options);
+    recordSendOutcome(true);
+    return sentMessage;
+  } catch (error) {
+    recordSendOutcome(false);
+    throw error;
+  }
+}
+
+// Current limits, usage and backoff as returned by the API
+function summarizeRateLimiter() {
+  const now = Date.now();
+  const usage = getRateUsage(now);
+  const remaining = {};
+  for (const name of Object.keys(RATE_WINDOWS)) {
+    remaining[name] = Math.max(0, rateLimits[name] - usage[name]);
+  }
+
+  return {
+    limits: rateLimits,
+    usage,
+    remaining,
+    backoff: Number(rateLimiter.backoff.toFixed(2)),
+    recentErrorRate: Number(getRecentErrorRate().toFixed(2)),
+    nextSendInMs: getSendDelay(now)
+  };
+}
+
+// Show the send limits and how much of them is used
+app.get('/api/rate-limits', requireScope('read:status'), (req, res) => {
+  res.status(200).json({ success: true, ...summarizeRateLimiter() });
+});
+
+// Change the send limits; they are saved and apply to the next send
+app.patch('/api/rate-limits', requireScope('session:admin'), (req, res) => {
+  const body = req.body || {};
+  const updates = {};
+
+  for (const name of Object.keys(DEFAULT_RATE_LIMITS)) {
+    if (body[name] === undefined) continue;
+
+    const value = Number(body[name]);
+    const [min, max] = RATE_LIMIT_RANGES[name];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return res.status(400).json({ success: false, message: `${name} must be between ${min} and ${max}` });
+    }
+    updates[name] = value;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Please provide at least one of: ${Object.keys(DEFAULT_RATE_LIMITS).join(', ')}`
+    });
+  }
+
+  Object.assign(rateLimits, updates);
+  try {
+    writeJsonFile(RATE_LIMITS_FILE, rateLimits);
+  } catch (error) {
+    log(`❌ Error saving rate limits: ${error.message}`);
+  }
+  log(`🚦 Send limits updated: ${JSON.stringify(updates)}`);
+
+  res.status(200).json({ success: true, ...summarizeRateLimiter() });
+});
+
+// Phone number normalisation shared by every send route
+// Accepts E.164 (+919876543210), 00-prefixed international numbers, chat ids (919876543210@c.us)
+// and local numbers (09876 543210) when a default country code is configured
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+const REGISTRATION_CACHE_TTL = 24 * 60 * 60 * 1000; // Remember WhatsApp registration lookups for a day
+const registrationCache = new Map(); // "<accountId>:<digits>" -> { registered, chatId, checkedAt }
+
+// ITU country calling codes, used to reject numbers whose country code doesn't exist
+const COUNTRY_CODES = new Set(`
+  1 7 20 27 30 31 32 33 34 36 39 40 41 43 44 45 46 47 48 49 51 52 53 54 55 56 57 58
+  60 61 62 63 64 65 66 81 82 84 86 90 91 92 93 94 95 98
+  211 212 213 216 218 220 221 222 223 224 225 226 227 228 229 230 231 232 233 234 235 236 237 238 239
+  240 241 242 243 244 245 246 247 248 249 250 251 252 253 254 255 256 257 258 260 261 262 263 264 265
+  266 267 268 269 290 291 297 298 299 350 351 352 353 354 355 356 357 358 359 370 371 372 373 374 375
+  376 377 378 380 381 382 383 385 386 387 389 420 421 423 500 501 502 503 504 505 506 507 508 509
+  590 591 592 593 594 595 596 597 598 599 670 672 673 674 675 676 677 678 679 680 681 682 683 685 686
+  687 688 689 690 691 692 850 852 853 855 856 880 886 960 961 962 963 964 965 966 967 968 970 971 972
+  973 974 975 976 977 992 993 994 995 996 998
+`.trim().split(/\s+/));
+
+// Lengths of national numbers (without the trunk 0) per country calling code, used to tell local numbers
+// from international ones written without + or 00; other countries need a trunk 0 or a + to be read as local
+const NATIONAL_NUMBER_LENGTHS = {
+  1: [10], 7: [10], 20: [8, 9, 10], 27: [9], 30: [10], 31: [9], 32: [8, 9], 33: [9], 34: [9], 36: [8, 9],
+  39: [9, 10], 40: [9], 41: [9], 44: [9, 10], 45: [8], 46: [7, 8, 9], 47: [8], 48: [9], 49: [7, 8, 9, 10, 11],
+  51: [8, 9], 52: [10], 54: [10], 55: [10, 11], 56: [9], 57: [10], 58: [10], 60: [9, 10], 61: [9],
+  62: [9, 10, 11, 12], 63: [10], 64: [8, 9, 10], 65: [8], 66: [8, 9], 81: [9, 10], 82: [8, 9, 10], 84: [9, 10],
+  86: [10, 11], 90: [10], 91: [10], 92: [9, 10], 94: [9], 98: [10], 212: [9], 234: [8, 10], 254: [9], 255: [9],
+  256: [9], 351: [9], 353: [9], 880: [10], 966: [9], 971: [8, 9], 972: [8, 9], 974: [8], 977: [8, 10]
+};
+
+// Find the country calling code at the start of an international number
+function getCountryCode(digits) {
+  for (let length = 1; length <= 3; length++) {
+    if (COUNTRY_CODES.has(digits.slice(0, length))) {
+      return digits.slice(0, length);
+    }
+  }
+  return null;
+}
+
+// Normalise a phone number to E.164 and a WhatsApp chat id
+// Without a leading + or 00, numbers starting with a trunk 0 or as long as a national number of the default country are treated as local
+function normalizePhoneNumber(input, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  const raw = input === undefined || input === null ? '' : String(input).trim();
+  const invalid = (reason) => ({ input: raw, valid: false, reason });
+
+  if (!raw) return invalid('Missing phone number');
+
+  let value = raw.replace(/@c\.us$/, '');
+  if (/[^\d\s\-().+]/.test(value)) {
+    return invalid('Phone number may only contain digits, spaces, dashes, dots, brackets and a leading +');
+  }
+
+  const isInternational = value.startsWith('+') || value.startsWith('00');
+  let digits = value.replace(/\D/g, '');
+  if (value.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+
+  const countryCode = String(defaultCountryCode || '').replace(/\D/g, '');
+  const nationalLengths = NATIONAL_NUMBER_LENGTHS[countryCode] || [];
+  if (!isInternational && countryCode && (digits.startsWith('0') || nationalLengths.includes(digits.length))) {
+    digits = countryCode + digits.replace(/^0+/, '');
+  }
+
+  if (digits.length < 8 || digits.length > 15) {
+    return invalid('Phone number must have 8 to 15 digits including the country code');
+  }
+  if (!getCountryCode(digits)) {
+    return invalid(`Unknown country code in ${raw}`);
+  }
+
+  return {
+    input: raw,
+    valid: true,
+    e164: `+${digits}`,
+    digits,
+    countryCode: getCountryCode(digits),
+    chatId: `${digits}@c.us`
+  };
+}
+
+// Chat id for a job recipient, normalising on the fly for jobs queued before normalisation existed
+function getRecipientChatId(item) {
+  if (item.chatId) return item.chatId;
+  const normalized = normalizePhoneNumber(item.number);
+  return normalized.valid ? normalized.chatId : `${String(item.number).replace(/\D/g, '')}@c.us`;
+}
+
+// Ask WhatsApp whether a number has an account, caching the answer per account
+// The returned chat id can differ from the dialled number (e.g. Brazilian 9th digit)
+async function checkWhatsAppRegistration(session, digits) {
+  const cacheKey = `${session.accountId}:${digits}`;
+  const cached = registrationCache.get(cacheKey);
+  if (cached && Date.now() - cached.checkedAt < REGISTRATION_CACHE_TTL) {
+    return cached;
+  }
+
+  const numberId = await session.client.getNumberId(digits);
+  const result = {
+    registered: Boolean(numberId),
+    chatId: numberId ? numberId._serialized : null,
+    checkedAt: Date.now()
+  };
+  registrationCache.set(cacheKey, result);
+  return result;
+}
+
+// Skip recipients that are not on WhatsApp before the job starts sending
+async function checkJobRegistrations(session, job) {
+  const unchecked = job.results.filter(item => item.status === 'queued' && !item.registrationChecked);
+  if (unchecked.length === 0) return;
+
+  sessionLog(session, `🔎 Checking WhatsApp registration for ${unchecked.length} recipients (job ${job.id})`);
+  let skippedCount = 0;
+
+  for (const item of unchecked) {
+    if (isJobInterrupted(session, job)) return;
+
+    try {
+      const digits = getRecipientChatId(item).replace(/@c\.us$/, '');
+      const registration = await checkWhatsAppRegistration(session, digits);
+      item.registrationChecked = true;
+
+      if (registration.registered) {
+        item.chatId = registration.chatId;
+      } else {
+        skippedCount++;
+        recordJobResult(job, item, 'skipped', 'Number is not registered on WhatsApp');
+      }
+    } catch (error) {
+      // Leave the recipient queued, sending will surface the real error
+      sessionLog(session, `⚠️ Registration check failed for ${item.number}: ${error.message}`);
+      item.registrationChecked = true;
+    }
+  }
+
+  saveJob(job);
+  sessionLog(session, `🔎 Registration check done: ${skippedCount} unregistered recipients skipped (job ${job.id})`);
+}
+
+// Session persistence so restarts don't require scanning the QR code again
+// SESSION_STORE: 'local' (browser profile on disk), 'file' (zipped backups via RemoteAuth) or 'none'
+const SESSION_STORE = (process.env.SESSION_STORE || 'local').toLowerCase();
+const SESSION_DIR = process.env.SESSION_DIR || path.join(DATA_DIR, 'session');
+const SESSION_BACKUP_DIR = path.join(SESSION_DIR, 'backups');
+const SESSION_BACKUP_INTERVAL = 300000; // Back up the remote-style session every 5 minutes
+
+// File-backed store implementing the interface RemoteAuth expects
+function createFileSessionStore(backupDir, authDataPath) {
+  const backupPath = (session) => path.join(backupDir, `${path.basename(session)}.zip`);
+
+  return {
+    async sessionExists({ session }) {
+      return fs.existsSync(backupPath(session));
+    },
+    async save({ session }) {
+      // RemoteAuth leaves the fresh archive in its data path before calling save
+      ensureDir(backupDir);
+      fs.copyFileSync(path.join(authDataPath, `${path.basename(session)}.zip`), backupPath(session));
+      log(`💾 Session backup saved (${session})`);
+    },
+    async extract({ session, path: targetPath }) {
+      fs.copyFileSync(backupPath(session), targetPath);
+    },
+    async delete({ session }) {
+      fs.rmSync(backupPath(session), { force: true });
+      log(`🗑️ Session backup deleted (${session})`);
+    }
+  };
+}
+
+// The default account keeps the unnamed session so logins saved before multi-account support still restore
+function getAuthClientId(accountId) {
+  return accountId === DEFAULT_ACCOUNT_ID ? undefined : accountId;
+}
+
+// Files that make up an account's saved session for the configured store
+function getSessionPaths(accountId) {
+  const clientId = getAuthClientId(accountId);
+  const remoteName = clientId ? `RemoteAuth-${clientId}` : 'RemoteAuth';
+
+  return {
+    local: path.join(SESSION_DIR, 'local', clientId ? `session-${clientId}` : 'session'),
+    remote: path.join(SESSION_DIR, 'remote', remoteName),
+    backup: path.join(SESSION_BACKUP_DIR, `${remoteName}.zip`)
+  };
+}
+
+// Build the auth strategy for a new client based on SESSION_STORE
+function createAuthStrategy(accountId) {
+  const clientId = getAuthClientId(accountId);
+
+  if (SESSION_STORE === 'none') {
+    return new NoAuth();
+  }
+
+  if (SESSION_STORE === 'file') {
+    const authDataPath = path.join(SESSION_DIR, 'remote');
+    return new RemoteAuth({
+      clientId,
+      store: createFileSessionStore(SESSION_BACKUP_DIR, authDataPath),
+      dataPath: authDataPath,
+      backupSyncIntervalMs: SESSION_BACKUP_INTERVAL
+    });
+  }
+
+  return new LocalAuth({ clientId, dataPath: path.join(SESSION_DIR, 'local') });
+}
+
+// Whether a previous login was saved for the account and can be restored
+function hasSavedSession(accountId) {
+  const sessionPaths = getSessionPaths(accountId);
+  if (SESSION_STORE === 'none') return false;
+  if (SESSION_STORE === 'file') return fs.existsSync(sessionPaths.backup);
+  return fs.existsSync(sessionPaths.local);
+}
+
+// Remove the account's saved session files so its next start asks for a new QR scan
+// Only call this once the client is destroyed, the browser keeps the profile open
+function wipeSavedSession(accountId) {
+  try {
+    for (const sessionPath of Object.values(getSessionPaths(accountId))) {
+      fs.rmSync(sessionPath, { recursive: true, force: true, maxRetries: 4 });
+    }
+    log(`🗑️ Saved WhatsApp session wiped for account ${accountId}`);
+  } catch (error) {
+    log(`❌ Error wiping saved session for account ${accountId}: ${error.message}`);
+  }
+}
+
+// Log a message tagged with the account it belongs to
+function sessionLog(session, message) {
+  log(`[${session.accountId}] ${message}`);
+}
+
+// Connection state machine
+// Every change of an account's connection goes through transitionConnection(), which refuses transitions the table
+// doesn't allow and records the rest in a persisted history (GET /api/session/history)
+//   DISCONNECTED  no client, nothing pending
+//   RECONNECTING  no client, a reconnection is scheduled
+//   INITIALIZING  client created and starting
+//   QR_READY      waiting for the QR code to be scanned
+//   AUTHENTICATED logged in, WhatsApp Web is loading
+//   CONNECTED     ready to send
+//   DESTROYING    client shutting down
+//   LOGGED_OUT    device unlinked by a logout, no client
+const CONNECTION_TRANSITIONS = {
+  DISCONNECTED: ['INITIALIZING', 'RECONNECTING', 'LOGGED_OUT'],
+  RECONNECTING: ['INITIALIZING', 'DISCONNECTED', 'LOGGED_OUT'],
+  INITIALIZING: ['QR_READY', 'AUTHENTICATED', 'CONNECTED', 'DESTROYING'],
+  QR_READY: ['AUTHENTICATED', 'CONNECTED', 'DESTROYING'],
+  AUTHENTICATED: ['CONNECTED', 'DESTROYING'],
+  CONNECTED: ['DESTROYING'],
+  DESTROYING: ['DISCONNECTED'],
+  LOGGED_OUT: ['INITIALIZING', 'RECONNECTING', 'DISCONNECTED']
+};
+const CLIENT_STATES = ['INITIALIZING', 'QR_READY', 'AUTHENTICATED', 'CONNECTED', 'DESTROYING']; // States that have a client
+const CONNECTION_HISTORY_FILE = path.join(DATA_DIR, 'connection-history.jsonl');
+const CONNECTION_HISTORY_LIMIT = 1000; // Transitions kept per account
+const connectionHistory = new Map(); // Account id -> transitions, oldest first
+
+// Move an account's connection to a new state, returning false when the transition isn't allowed
+// Staying in the same state is allowed and not recorded (e.g. a refreshed QR code)
+function transitionConnection(session, to, reason) {
+  const connection = session.connection;
+  const from = connection.state;
+
+  if (from === to) return true;
+  if (!CONNECTION_TRANSITIONS[from].includes(to)) {
+    sessionLog(session, `⚠️ Ignoring connection transition ${from} → ${to} (${reason})`);
+    return false;
+  }
+
+  // Leaving a state ends what it started
+  if (from === 'RECONNECTING' && connection.reconnectTimer) {
+    clearTimeout(connection.reconnectTimer);
+    connection.reconnectTimer = null;
+  }
+  if (from === 'CONNECTED' && session.connectionCheckTimer) {
+    clearInterval(session.connectionCheckTimer);
+    session.connectionCheckTimer = null;
+  }
+  if (to === 'INITIALIZING' || to === 'AUTHENTICATED') {
+    connection.qrAttempts = 0;
+  }
+  if (to === 'INITIALIZING') {
+    connection.waState = null; // Reported by the new client from now on
+  }
+
+  connection.state = to;
+  connection.since = new Date().toISOString();
+  connection.reason = reason;
+  sessionLog(session, `🔀 Connection ${from} → ${to}: ${reason}`);
+  publishSessionState(session);
+
+  recordConnectionTransition({
+    accountId: session.accountId,
+    from,
+    to,
+    reason,
+    waState: connection.waState,
+    at: connection.since
+  });
+  emitWebhookEvent('connection_state', session.accountId, { state: to, previous: from, reason });
+  return true;
+}
+
+// Add a transition to the account's history and the history file
+function recordConnectionTransition(entry) {
+  if (!connectionHistory.has(entry.accountId)) {
+    connectionHistory.set(entry.accountId, []);
+  }
+  const history = connectionHistory.get(entry.accountId);
+  history.push(entry);
+  if (history.length > CONNECTION_HISTORY_LIMIT) {
+    history.splice(0, history.length - CONNECTION_HISTORY_LIMIT);
+  }
+
+  try {
+    ensureDir(DATA_DIR);
+    fs.appendFileSync(CONNECTION_HISTORY_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    log(`❌ Error saving connection history: ${error.message}`);
+  }
+}
+
+// Load the connection history, compacting the file when it holds more than is kept
+function loadConnectionHistory() {
+  if (!fs.existsSync(CONNECTION_HISTORY_FILE)) return;
+
+  let lines = 0;
+  for (const line of fs.readFileSync(CONNECTION_HISTORY_FILE, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    lines++;
+    try {
+      const entry = JSON.parse(line);
+      if (!connectionHistory.has(entry.accountId)) connectionHistory.set(entry.accountId, []);
+      connectionHistory.get(entry.accountId).push(entry);
+    } catch (error) {
+      log(`⚠️ Skipping unreadable connection history line: ${error.message}`);
+    }
+  }
+
+  let kept = 0;
+  for (const history of connectionHistory.values()) {
+    if (history.length > CONNECTION_HISTORY_LIMIT) history.splice(0, history.length - CONNECTION_HISTORY_LIMIT);
+    kept += history.length;
+  }
+
+  if (lines > kept * 2) {
+    const entries = [...connectionHistory.values()].flat().sort((a, b) => a.at.localeCompare(b.at));
+    fs.writeFileSync(CONNECTION_HISTORY_FILE, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+}
+
+// Schedule a new client after a delay, unless one is already scheduled
+function scheduleReconnect(session, delay, reason) {
+  if (session.connection.reconnectTimer) return;
+  if (!transitionConnection(session, 'RECONNECTING', reason)) return;
+
+  session.connection.reconnectTimer = setTimeout(() => {
+    session.connection.reconnectTimer = null;
+    initializeWhatsAppClient(session, reason);
+  }, delay);
+}
+
+// Drop a scheduled reconnection
+function cancelReconnect(session, reason) {
+  if (session.connection.state === 'RECONNECTING') {
+    transitionConnection(session, 'DISCONNECTED', reason);
+  }
+}
+
+// Function to safely destroy client
+async function destroyClient(session, reason = 'Client destroyed') {
+  if (!session.client || session.connection.state === 'DESTROYING') return;
+
+  transitionConnection(session, 'DESTROYING', reason);
+  try {
+    sessionLog(session, '🛑 Destroying existing WhatsApp client...');
+    await session.client.destroy();
+    sessionLog(session, '✅ Client destroyed successfully');
+  } catch (error) {
+    sessionLog(session, `❌ Error destroying client: ${error.message}`);
+  } finally {
+    session.client = null;
+    session.qrCodeData = '';
+    session.profilePictureUrl = '';
+    session.loggedInName = '';
+    transitionConnection(session, 'DISCONNECTED', reason);
+  }
+}
+
+// Active check for connection state
+async function checkActiveConnection(session) {
+  if (!session.client || !session.isLoggedIn) return;
+
+  try {
+    // Try to get state as a live check
+    const state = await session.client.getState();
+    session.connection.waState = state;
+    session.lastActiveTimestamp = Date.now();
+    
+    sessionLog(session, `🔍 Active connection check: ${state}`);
+    
+    if (state === 'DISCONNECTED') {
+      sessionLog(session, '⚠️ Active check detected disconnection');
+      handleDisconnection(session, 'Connection check detected disconnected state');
+    }
+    // Other states like OPENING or CONNECTING are kept in waState, the session stays CONNECTED meanwhile
+  } catch (error) {
+    sessionLog(session, `❌ Active connection check failed: ${error.message}`);
+    
+    // If we can't get state, the connection might be broken
+    if (Date.now() - session.lastActiveTimestamp > 30000) { // If no successful check in last 30 seconds
+      sessionLog(session, '⚠️ Connection appears to be broken after failed state checks');
+      handleDisconnection(session, 'Failed connection checks');
+    }
+  }
+}
+
+// Centralized function to handle disconnection: drop the client and schedule a reconnection
+async function handleDisconnection(session, reason, delay = 5000) {
+  // The disconnected and change_state events both report the same drop
+  if (!session.client && session.connection.state !== 'DISCONNECTED') return;
+
+  sessionLog(session, `🔌 Handling disconnection: ${reason}`);
+  session.loggedInNumber = '';
+  await destroyClient(session, reason);
+
+  if (session.connection.state === 'DISCONNECTED') {
+    scheduleReconnect(session, delay, reason);
+  }
+}
+
+// Get profile picture and name when connected
+async function fetchProfileInfo(session) {
+  if (!session.client || !session.isLoggedIn) return;
+  
+  try {
+    // Get user's contact info
+    const me = await session.client.getContactById(session.client.info.wid._serialized);
+    session.loggedInName = me.name || me.pushname || 'WhatsApp User';
+    sessionLog(session, `📝 User name: ${session.loggedInName}`);
+    
+    // Get profile picture
+    try {
+      const profilePic = await session.client.getProfilePicUrl(session.client.info.wid._serialized);
+      session.profilePictureUrl = profilePic || '';
+      sessionLog(session, `🖼️ Profile picture ${session.profilePictureUrl ? 'fetched' : 'not available'}`);
+    } catch (picError) {
+      sessionLog(session, `⚠️ Could not fetch profile picture: ${picError.message}`);
+      session.profilePictureUrl = '';
+    }
+  } catch (error) {
+    sessionLog(session, `❌ Error fetching profile info: ${error.message}`);
+    session.loggedInName = 'WhatsApp User';
+    session.profilePictureUrl = '';
+  }
+}
+
+// Function to initialize WhatsApp client
+async function initializeWhatsAppClient(session, reason = 'Connecting') {
+  // A pending reconnection may fire after the account was removed
+  if (sessions.get(session.accountId) !== session) {
+    return;
+  }
+
+  // Prevent multiple initialization attempts
+  if (CLIENT_STATES.includes(session.connection.state)) {
+    sessionLog(session, '⚠️ Client initialization already in progress...');
+    return;
+  }
+
+  // Minimum time between attempts
+  const now = Date.now();
+  if (now - session.lastConnectionAttempt < MIN_RECONNECT_INTERVAL) {
+    const waitTime = MIN_RECONNECT_INTERVAL - (now - session.lastConnectionAttempt);
+    sessionLog(session, `⏳ Too many connection attempts. Waiting ${waitTime/1000} seconds...`);
+    scheduleReconnect(session, waitTime, reason);
+    return;
+  }
+  session.lastConnectionAttempt = now;
+
+  sessionLog(session, '🔄 Initializing WhatsApp client...');
+  if (hasSavedSession(session.accountId)) {
+    sessionLog(session, `📂 Restoring saved WhatsApp session (${SESSION_STORE} store)`);
+  }
+  if (!transitionConnection(session, 'INITIALIZING', reason)) return;
+  session.qrCodeData = '';
+
+  // Create a fresh client instance with puppeteer-less mode for fly.io
+  const client = new Client({
+    authStrategy: createAuthStrategy(session.accountId),
+    puppeteer: {
+      headless: true,
+      args: [
+        '--no-sandbox', 
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu'
+      ]
+    }
+  });
+  session.client = client;
+
+  // A destroyed client can still emit events, only the current one may change the state
+  const isCurrent = () => session.client === client;
+
+  // Set up event handlers
+  client.on('qr', async (qr) => {
+    if (!isCurrent()) return;
+    session.connection.qrAttempts++;
+    sessionLog(session, `📱 QR Code received (attempt ${session.connection.qrAttempts})`);
+    
+    // Only update QR if it's not undefined and not too frequent
+    if (qr && qr.trim() !== 'undefined') {
+      try {
+        session.qrCodeData = await qrcode.toDataURL(qr);
+        session.qrGenerationTime = Date.now();
+        transitionConnection(session, 'QR_READY', 'QR code received');
+        publishSessionState(session); // Refreshed codes don't change the state
+        emitWebhookEvent('qr', session.accountId, { qr, qrImage: session.qrCodeData, attempt: session.connection.qrAttempts });
+      } catch (error) {
+        sessionLog(session, `❌ Error generating QR code: ${error.message}`);
+        session.qrCodeData = '';
+      }
+    } else {
+      sessionLog(session, '⚠️ Received invalid QR code data, not updating');
+    }
+    
+    // If we receive too many QR codes, something might be wrong
+    if (session.connection.qrAttempts > 5) {
+      sessionLog(session, '⚠️ Too many QR code attempts, restarting client');
+      await destroyClient(session, 'Too many QR code attempts');
+      
+      // Wait a bit before trying again
+      scheduleReconnect(session, 3000, 'Too many QR code attempts');
+    }
+  });
+
+  client.on('authenticated', () => {
+    if (!isCurrent()) return;
+    sessionLog(session, '🔐 Authentication successful!');
+    session.qrCodeData = '';
+    transitionConnection(session, 'AUTHENTICATED', 'Authentication successful');
+    emitWebhookEvent('authenticated', session.accountId, {});
+  });
+
+  client.on('auth_failure', async (error) => {
+    if (!isCurrent()) return;
+    sessionLog(session, `❌ Authentication failed: ${error}`);
+    emitWebhookEvent('auth_failure', session.accountId, { error: String(error) });
+
+    // The saved session is no longer accepted, drop it so a fresh QR is shown
+    await destroyClient(session, `Authentication failure: ${error}`);
+    wipeSavedSession(session.accountId);
+    
+    // Try to reinitialize after a delay
+    scheduleReconnect(session, 5000, 'Authentication failure');
+  });
+
+  client.on('ready', async () => {
+    if (!isCurrent()) return;
+    sessionLog(session, '✅ Client is ready!');
+    if (!transitionConnection(session, 'CONNECTED', 'Client is ready')) return;
+    session.reconnectionAttempts = 0;
+    session.lastActiveTimestamp = Date.now();
+    
+    try {
+      session.loggedInNumber = client.info.wid.user;
+      sessionLog(session, `📱 Connected with number: +${session.loggedInNumber}`);
+      
+      // Fetch profile info
+      await fetchProfileInfo(session);
+      publishSessionState(session);
+      emitWebhookEvent('ready', session.accountId, { number: session.loggedInNumber, name: session.loggedInName });
+
+      // Resume any jobs left pending by a restart or a dropped connection
+      runJobQueue(session);
+      
+      // Start active connection checking, leaving CONNECTED stops it
+      if (session.connectionCheckTimer) clearInterval(session.connectionCheckTimer);
+      session.connectionCheckTimer = setInterval(() => checkActiveConnection(session), CONNECTION_CHECK_INTERVAL);
+    } catch (error) {
+      sessionLog(session, `⚠️ Could not get connected number: ${error.message}`);
+    }
+  });
+
+  // Incoming messages are stored in the inbox and go through the auto-reply rules
+  client.on('message', (message) => {
+    handleIncomingMessage(session, message);
+  });
+
+  client.on('disconnected', async (reason) => {
+    if (!isCurrent()) return;
+    sessionLog(session, `❌ Client disconnected event: ${reason}`);
+    emitWebhookEvent('disconnected', session.accountId, { reason });
+
+    // Device was unlinked from the phone, the saved session can't be restored anymore
+    if (reason === 'LOGOUT' || reason === 'UNPAIRED') {
+      session.loggedInNumber = '';
+      await destroyClient(session, `Client disconnected: ${reason}`);
+      wipeSavedSession(session.accountId);
+      transitionConnection(session, 'LOGGED_OUT', `Client disconnected: ${reason}`);
+      scheduleReconnect(session, 5000, 'Logged out, showing a new QR code');
+      return;
+    }
+
+    await handleDisconnection(session, `Client disconnected: ${reason}`);
+  });
+
+  // Delivery and read receipts for messages sent by the job queue
+  client.on('message_ack', (message, ack) => {
+    handleMessageAck(session, message, ack);
+  });
+
+  client.on('remote_session_saved', () => {
+    sessionLog(session, '💾 Remote session saved, restarts will restore this login');
+  });
+
+  // Additional event to detect when WhatsApp Web is logged out
+  client.on('change_state', (state) => {
+    if (!isCurrent()) return;
+    sessionLog(session, `🔄 Connection state changed to: ${state}`);
+    session.connection.waState = state;
+    
+    if (state === 'DISCONNECTED') {
+      handleDisconnection(session, 'State changed to DISCONNECTED');
+    }
+  });
+  
+  // Handle when device is unpaired (important for detecting manual unlinking)
+  client.on('change_battery', (batteryInfo) => {
+    sessionLog(session, `🔋 Battery state updated: ${JSON.stringify(batteryInfo)}`);
+    // This event confirms connection is still alive
+    session.lastActiveTimestamp = Date.now();
+  });
+
+  // Try to initialize
+  try {
+    sessionLog(session, '🚀 Starting WhatsApp client...');
+    await client.initialize();
+  } catch (error) {
+    sessionLog(session, `❌ Client initialization failed: ${error.message}`);
+    if (isCurrent()) {
+      await handleDisconnection(session, `Initialization failed: ${error.message}`);
+    }
+  }
+}
+
+// Start periodic monitoring of connection status
+function startMonitoring(session) {
+  if (session.monitoringTimer) {
+    clearInterval(session.monitoringTimer);
+  }
+  
+  session.monitoringTimer = setInterval(async () => {
+    const { state } = session.connection;
+
+    // Check if QR code is too old and user has requested auto-refresh
+    if (state === 'QR_READY' && session.qrAutoRefresh && (Date.now() - session.qrGenerationTime > QR_MAX_AGE)) {
+      sessionLog(session, '⚠️ QR code expired and auto-refresh enabled, requesting new one');
+      
+      // Force client refresh to get a new QR
+      await destroyClient(session, 'QR code expired');
+      scheduleReconnect(session, 2000, 'QR code expired');
+      return;
+    }
+    
+    if (state === 'CONNECTED') {
+      // Check if the session is actually still valid
+      try {
+        const waState = await session.client.getState();
+        sessionLog(session, `📱 Connection status: ${waState} for +${session.loggedInNumber}`);
+        session.connection.waState = waState;
+        session.lastActiveTimestamp = Date.now();
+        
+        if (waState !== 'CONNECTED') {
+          sessionLog(session, `⚠️ State not CONNECTED but ${waState}, checking connection...`);
+          // Don't immediately disconnect - give it a chance to recover
+        } else {
+          // Pick up jobs that became due or were left queued while the runner was idle
+          runJobQueue(session);
+        }
+      } catch (error) {
+        sessionLog(session, `❌ Error checking connection: ${error.message}`);
+        
+        // If we haven't had a successful check in a while, consider connection lost
+        if (Date.now() - session.lastActiveTimestamp > 30000) { // 30 seconds
+          sessionLog(session, '⚠️ Connection appears to be lost, triggering reconnection');
+          await handleDisconnection(session, 'Failed state check in monitoring');
+        }
+      }
+    } else {
+      sessionLog(session, `🔄 Connection status check: ${state}`);
+      
+      // Nothing is connecting or scheduled to
+      if (state === 'DISCONNECTED' || state === 'LOGGED_OUT') {
+        sessionLog(session, '📂 Not connected. Attempting to connect...');
+        
+        session.reconnectionAttempts++;
+        sessionLog(session, `🔄 Reconnection attempt ${session.reconnectionAttempts} of ${MAX_RECONNECTION_ATTEMPTS}`);
+        
+        if (session.reconnectionAttempts > MAX_RECONNECTION_ATTEMPTS) {
+          sessionLog(session, '⚠️ Too many reconnection failures. Resetting...');
+          session.reconnectionAttempts = 0;
+        }
+        
+        // Try to initialize again
+        initializeWhatsAppClient(session, 'Monitoring found the account disconnected');
+      }
+    }
+  }, 60000); // Check every minute
+}
+
+// Accounts are persisted so every department's sender comes back after a restart
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+
+// Save the list of configured accounts
+function saveAccounts() {
+  const accounts = [...sessions.values()].map(session => ({
+    id: session.accountId,
+    name: session.name,
+    createdAt: session.createdAt
+  }));
+
+  try {
+    writeJsonFile(ACCOUNTS_FILE, accounts);
+  } catch (error) {
+    log(`❌ Error saving accounts: ${error.message}`);
+  }
+}
+
+// Register an account session without starting its client
+function addAccount(accountId, name, createdAt) {
+  const session = createSession(accountId, name);
+  if (createdAt) {
+    session.createdAt = createdAt;
+  }
+  sessions.set(accountId, session);
+  return session;
+}
+
+// Load configured accounts, starting with just the default one on first run
+function loadAccounts() {
+  const accounts = readJsonFile(ACCOUNTS_FILE, null);
+
+  if (!Array.isArray(accounts)) {
+    addAccount(DEFAULT_ACCOUNT_ID, 'Default');
+    saveAccounts();
+  } else {
+    for (const account of accounts) {
+      if (account && ACCOUNT_ID_PATTERN.test(account.id)) {
+        addAccount(account.id, account.name, account.createdAt);
+      }
+    }
+  }
+
+  log(`📂 Loaded ${sessions.size} WhatsApp account(s): ${[...sessions.keys()].join(', ')}`);
+}
+
+// Connect an account's client and start watching its connection
+function startSession(session) {
+  initializeWhatsAppClient(session, 'Server started');
+  startMonitoring(session);
+}
+
+// Stop all timers and the client of an account
+async function stopSession(session) {
+  if (session.monitoringTimer) {
+    clearInterval(session.monitoringTimer);
+    session.monitoringTimer = null;
+  }
+  cancelReconnect(session, 'Account stopped');
+
+  await destroyClient(session, 'Account stopped');
+}
+
+// Account id from the route, query string, body or X-Account-Id header
+function getRequestAccountId(req) {
+  return (req.params && req.params.accountId)
+    || req.query.accountId
+    || (req.body && req.body.accountId)
+    || req.get('X-Account-Id')
+    || DEFAULT_ACCOUNT_ID;
+}
+
+// Look up the session a request targets, answering 404 when it doesn't exist
+// The key's accounts are checked again here, multipart bodies are only parsed after requireScope ran
+function getRequestSession(req, res) {
+  const accountId = String(getRequestAccountId(req));
+  if (!canAccessAccount(req, accountId)) {
+    res.status(403).json({
+      success: false,
+      message: `API key ${req.apiKey.name} may not use account ${accountId}`
+    });
+    return null;
+  }
+
+  const session = sessions.get(accountId);
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: `WhatsApp account ${accountId} not found`
+    });
+    return null;
+  }
+
+  return session;
+}
+
+// Account fields returned by the API
+function summarizeAccount(session) {
+  return {
+    id: session.accountId,
+    name: session.name,
+    createdAt: session.createdAt,
+    status: session.connection.state,
+    statusSince: session.connection.since,
+    connected: session.isLoggedIn,
+    number: session.isLoggedIn ? session.loggedInNumber : null,
+    hasSavedSession: hasSavedSession(session.accountId)
+  };
+}
+
+// API key authentication with scoped permissions
+// Keys come from API_KEYS in .env ("name:key:scope1,scope2;other:key2:*") and from the keys file managed through /api/keys
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json');
+const API_KEY_USAGE_FILE = path.join(DATA_DIR, 'api-key-usage.json'); // Key id -> last use, covers the keys from .env too
+const BOOTSTRAP_KEY_FILE = path.join(DATA_DIR, 'bootstrap-admin-key.txt'); // Readable by the server's user only
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.log');
+const API_KEY_SCOPES = ['send', 'read:status', 'session:admin', 'keys:admin', 'webhooks:admin', 'autoreply:admin', 'inbox:read', 'inbox:write', 'jobs:control', 'passes:admin', 'codes:verify', 'optouts:admin'];
+const DEFAULT_ROTATION_GRACE = 86400; // Old key stays valid for 24 hours after a rotation
+const DASHBOARD_SESSION_TTL = 12 * 60 * 60 * 1000; // Dashboard logins last 12 hours
+const DASHBOARD_COOKIE = 'dashboard_session';
+const DASHBOARD_SCOPES = ['read:status', 'session:admin', 'jobs:control', 'send']; // The dashboard manages sessions and jobs and starts campaigns
+const apiKeys = []; // Keys from the keys file, secrets stored as sha256 hashes
+const envApiKeys = []; // Read-only keys from the environment
+const dashboardSessions = new Map(); // Dashboard login tokens -> expiry timestamp
+const LOGIN_MAX_FAILURES = 5; // Failed dashboard logins from one IP before it has to wait
+const LOGIN_LOCKOUT = 15 * 60 * 1000; // How long that IP waits
+const loginFailures = new Map(); // IP -> { count, lastFailedAt, lockedUntil }
+let keyUsageSaveTimer = null;
+
+// Hash a key secret so the keys file never holds plaintext keys
+function hashApiKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// Constant-time comparison of two hex hashes
+function hashesMatch(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// Generate a new random key secret
+function generateApiKeySecret() {
+  return `wak_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Save the keys managed through the API
+function saveApiKeys() {
+  try {
+    writeJsonFile(API_KEYS_FILE, apiKeys);
+  } catch (error) {
+    log(`❌ Error saving API keys: ${error.message}`);
+  }
+}
+
+// Save when each key was last used
+function saveKeyUsage() {
+  clearTimeout(keyUsageSaveTimer);
+  keyUsageSaveTimer = null;
+  try {
+    const usage = [...envApiKeys, ...apiKeys].filter(key => key.lastUsedAt).map(key => [key.id, key.lastUsedAt]);
+    writeJsonFile(API_KEY_USAGE_FILE, Object.fromEntries(usage));
+  } catch (error) {
+    log(`❌ Error saving API key usage: ${error.message}`);
+  }
+}
+
+// Note a key use, saved a few seconds later so busy keys don't rewrite the file on every request
+function recordKeyUse(key) {
+  key.lastUsedAt = new Date().toISOString();
+  if (keyUsageSaveTimer) return;
+  keyUsageSaveTimer = setTimeout(saveKeyUsage, 5000);
+}
+
+// Parse API_KEYS from the environment, scopes may contain colons themselves
+function parseEnvApiKeys(value) {
+  return (value || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .filter(entry => {
+      const [name, secret] = entry.split(':');
+      if (name && secret) return true;
+      log(`⚠️ Ignoring API_KEYS entry "${name || '(no name)'}", it needs a name and a key`);
+      return false;
+    })
+    .map(entry => {
+      const [name, secret, ...scopeParts] = entry.split(':');
+      const scopes = scopeParts.join(':').split(',').map(scope => scope.trim()).filter(Boolean);
+      return {
+        id: `env-${name}`,
+        name,
+        hash: hashApiKey(secret),
+        scopes: scopes.length > 0 ? scopes : ['*'],
+        accounts: null,
+        source: 'env',
+        createdAt: null
+      };
+    });
+}
+
+// Load keys from .env and the keys file, creating an admin key on first run
+function loadApiKeys() {
+  envApiKeys.push(...parseEnvApiKeys(process.env.API_KEYS));
+  apiKeys.push(...readJsonFile(API_KEYS_FILE, []));
+
+  if (envApiKeys.length === 0 && apiKeys.length === 0) {
+    const secret = generateApiKeySecret();
+    apiKeys.push({
+      id: crypto.randomUUID(),
+      name: 'bootstrap-admin',
+      hash: hashApiKey(secret),
+      scopes: ['*'],
+      accounts: null,
+      source: 'file',
+      createdAt: new Date().toISOString()
+    });
+    saveApiKeys();
+    // Logs are often kept by the hosting platform, so the secret only goes to a file
+    ensureDir(DATA_DIR);
+    fs.writeFileSync(BOOTSTRAP_KEY_FILE, `${secret}\n`, { mode: 0o600 });
+    log(`🔑 No API keys configured. Created an admin key in ${BOOTSTRAP_KEY_FILE}, delete the file once the key is stored elsewhere`);
+  }
+
+  const usage = readJsonFile(API_KEY_USAGE_FILE, {});
+  for (const key of [...envApiKeys, ...apiKeys]) {
+    if (usage[key.id]) key.lastUsedAt = usage[key.id];
+  }
+
+  log(`🔑 Loaded ${envApiKeys.length + apiKeys.length} API key(s)`);
+}
+
+// Find the key matching a presented secret, including the previous secret during a rotation grace period
+function findApiKey(secret) {
+  if (!secret) return null;
+  const hash = hashApiKey(secret);
+  const now = Date.now();
+
+  return [...envApiKeys, ...apiKeys].find(key => {
+    if (key.revokedAt) return false;
+    if (hashesMatch(key.hash, hash)) return true;
+    return Boolean(key.previousHash && key.previousExpiresAt
+      && Date.parse(key.previousExpiresAt) > now
+      && hashesMatch(key.previousHash, hash));
+  }) || null;
+}
+
+// Key fields returned by the API, never the hashes
+function summarizeApiKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    scopes: key.scopes,
+    accounts: key.accounts,
+    source: key.source,
+    createdAt: key.createdAt,
+    rotatedAt: key.rotatedAt || null,
+    previousExpiresAt: key.previousExpiresAt || null,
+    revokedAt: key.revokedAt || null,
+    lastUsedAt: key.lastUsedAt || null
+  };
+}
+
+// Append one line per authenticated request to the audit log
+function writeAuditEntry(entry) {
+  try {
+    ensureDir(path.dirname(AUDIT_LOG_FILE));
+    fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    log(`❌ Error writing audit log: ${error.message}`);
+  }
+}
+
+// Read the cookies sent with a request
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+// Whether the request carries a valid dashboard login
+function hasDashboardSession(req) {
+  const token = parseCookies(req)[DASHBOARD_COOKIE];
+  const expiresAt = token && dashboardSessions.get(token);
+
+  if (!expiresAt) return false;
+  if (expiresAt < Date.now()) {
+    dashboardSessions.delete(token);
+    return false;
+  }
+  return true;
+}
+
+// Whether a key may act on the given account
+function canAccessAccount(req, accountId) {
+  const key = req.apiKey;
+  return !key || !Array.isArray(key.accounts) || key.accounts.includes(accountId);
+}
+
+// Middleware requiring an API key (X-API-Key or Bearer token) with the given scope
+// Dashboard logins are accepted for the scopes the dashboard itself needs
+function requireScope(scope) {
+  return (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const secret = req.get('X-API-Key') || (header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+
+    if (!secret && hasDashboardSession(req) && DASHBOARD_SCOPES.includes(scope)) {
+      return next();
+    }
+
+    const key = findApiKey(secret);
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: 'Missing or invalid API key'
+      });
+    }
+
+    if (!key.scopes.includes('*') && !key.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key ${key.name} lacks the ${scope} scope`
+      });
+    }
+
+    req.apiKey = key;
+    const accountId = String(getRequestAccountId(req));
+    if (!canAccessAccount(req, accountId)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key ${key.name} may not use account ${accountId}`
+      });
+    }
+
+    recordKeyUse(key);
+
+    // Record the key use once the response status is known
+    res.on('finish', () => {
+      writeAuditEntry({
+        at: new Date().toISOString(),
+        keyId: key.id,
+        keyName: key.name,
+        scope,
+        method: req.method,
+        path: req.originalUrl,
+        accountId,
+        status: res.statusCode,
+        ip: req.ip
+      });
+    });
+
+    next();
+  };
+}
+
+// Validate requested scopes and account restrictions for a new key
+function validateKeyOptions(scopes, accounts) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'Please provide an array of scopes';
+  }
+  const unknown = scopes.filter(scope => scope !== '*' && !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}, *`;
+  }
+  if (accounts !== undefined && accounts !== null && !Array.isArray(accounts)) {
+    return 'accounts must be an array of account ids or null';
+  }
+  return null;
+}
+
+// List API keys
+app.get('/api/keys', requireScope('keys:admin'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    keys: [...envApiKeys, ...apiKeys].map(summarizeApiKey)
+  });
+});
+
+// Create an API key, the secret is only returned in this response
+app.post('/api/keys', requireScope('keys:admin'), (req, res) => {
+  const { name, scopes, accounts } = req.body || {};
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({ success: false, message: 'Please provide a key name' });
+  }
+
+  const validationError = validateKeyOptions(scopes, accounts);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  const secret = generateApiKeySecret();
+  const key = {
+    id: crypto.randomUUID(),
+    name,
+    hash: hashApiKey(secret),
+    scopes,
+    accounts: accounts || null,
+    source: 'file',
+    createdAt: new Date().toISOString()
+  };
+  apiKeys.push(key);
+  saveApiKeys();
+  log(`🔑 API key ${name} created with scopes ${scopes.join(', ')}`);
+
+  res.status(201).json({ success: true, key: summarizeApiKey(key), secret });
+});
+
+// Rotate an API key, the old secret keeps working for graceSeconds (default 24 hours)
+app.post('/api/keys/:id/rotate', requireScope('keys:admin'), (req, res) => {
+  const key = apiKeys.find(candidate => candidate.id === req.params.id && !candidate.revokedAt);
+
+  if (!key) {
+    const isEnvKey = envApiKeys.some(candidate => candidate.id === req.params.id);
+    return res.status(isEnvKey ? 400 : 404).json({
+      success: false,
+      message: isEnvKey
+        ? 'Keys defined in .env are rotated by editing API_KEYS'
+        : `API key ${req.params.id} not found`
+    });
+  }
+
+  const graceSeconds = req.body && req.body.graceSeconds !== undefined
+    ? Math.max(0, parseInt(req.body.graceSeconds, 10) || 0)
+    : DEFAULT_ROTATION_GRACE;
+  const secret = generateApiKeySecret();
+  const now = Date.now();
+
+  key.previousHash = key.hash;
+  key.previousExpiresAt = new Date(now + graceSeconds * 1000).toISOString();
+  key.hash = hashApiKey(secret);
+  key.rotatedAt = new Date(now).toISOString();
+  saveApiKeys();
+  log(`🔑 API key ${key.name} rotated, old key valid until ${key.previousExpiresAt}`);
+
+  res.status(200).json({ success: true, key: summarizeApiKey(key), secret });
+});
+
+// Revoke an API key immediately
+app.delete('/api/keys/:id', requireScope('keys:admin'), (req, res) => {
+  const key = apiKeys.find(candidate => candidate.id === req.params.id && !candidate.revokedAt);
+
+  if (!key) {
+    return res.status(404).json({ success: false, message: `API key ${req.params.id} not found` });
+  }
+
+  key.revokedAt = new Date().toISOString();
+  saveApiKeys();
+  log(`🔑 API key ${key.name} revoked`);
+
+  res.status(200).json({ success: true, key: summarizeApiKey(key) });
+});
+
+// Read the most recent audit log entries
+app.get('/api/audit-log', requireScope('keys:admin'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  let entries = [];
+
+  try {
+    if (fs.existsSync(AUDIT_LOG_FILE)) {
+      entries = fs.readFileSync(AUDIT_LOG_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .map(line => JSON.parse(line))
+        .filter(entry => !req.query.keyId || entry.keyId === req.query.keyId)
+        .reverse();
+    }
+  } catch (error) {
+    log(`❌ Error reading audit log: ${error.message}`);
+  }
+
+  res.status(200).json({ success: true, entries });
+});
+
+// Dashboard login page
+app.get('/dashboard/login', (req, res) => {
+  const failed = req.query.failed === '1';
+  const locked = req.query.locked === '1';
+  res.send(`
+    <html>
+      <head>
+        <title>Dashboard Login</title>
+        <style>
+          body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; flex-direction: column; background-color: #f0f2f5; margin: 0; padding: 0; }
+          .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); text-align: center; max-width: 400px; width: 100%; }
+          input { width: 100%; padding: 10px; margin: 8px 0; border: 1px solid #ddd; border-radius: 5px; box-sizing: border-box; }
+          .btn { background: #128C7E; color: white; border: none; padding: 10px 15px; border-radius: 5px; cursor: pointer; width: 100%; margin-top: 10px; }
+          .error { color: #e74c3c; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>WhatsApp Dashboard</h2>
+          ${failed ? '<p class="error">❌ Invalid password</p>' : ''}
+          ${locked ? `<p class="error">❌ Too many failed logins, try again in ${LOGIN_LOCKOUT / 60000} minutes</p>` : ''}
+          <form method="POST" action="/dashboard/login">
+            <input type="password" name="password" placeholder="Dashboard password or admin API key" autofocus />
+            <button class="btn" type="submit">Log In</button>
+          </form>
+        </div>
+      </body>
+    </html>
+  `);
+});
+
+// Count a failed dashboard login, locking the IP out after LOGIN_MAX_FAILURES in a row
+function recordLoginFailure(ip) {
+  const now = Date.now();
+  for (const [otherIp, entry] of loginFailures) {
+    if (entry.lastFailedAt < now - LOGIN_LOCKOUT && entry.lockedUntil < now) loginFailures.delete(otherIp);
+  }
+
+  const entry = loginFailures.get(ip) || { count: 0, lastFailedAt: 0, lockedUntil: 0 };
+  entry.count++;
+  entry.lastFailedAt = now;
+  if (entry.count >= LOGIN_MAX_FAILURES) {
+    entry.count = 0;
+    entry.lockedUntil = now + LOGIN_LOCKOUT;
+    log(`⚠️ Dashboard login locked for ${ip} after ${LOGIN_MAX_FAILURES} failed attempts`);
+  }
+  loginFailures.set(ip, entry);
+}
+
+// Dashboard login with DASHBOARD_PASSWORD, or an API key with the session:admin scope
+// Keys limited to some accounts are refused, the dashboard login reaches every account
+app.post('/dashboard/login', (req, res) => {
+  const failures = loginFailures.get(req.ip);
+  if (failures && failures.lockedUntil > Date.now()) {
+    return res.redirect('/dashboard/login?locked=1');
+  }
+
+  const password = (req.body && req.body.password) || '';
+  const dashboardPassword = process.env.DASHBOARD_PASSWORD;
+  const key = findApiKey(password);
+
+  const passwordMatches = Boolean(dashboardPassword) && hashesMatch(hashApiKey(password), hashApiKey(dashboardPassword));
+  const keyAllowed = Boolean(key) && (key.scopes.includes('*') || key.scopes.includes('session:admin')) && !Array.isArray(key.accounts);
+
+  if (!passwordMatches && !keyAllowed) {
+    log(`⚠️ Failed dashboard login from ${req.ip}`);
+    recordLoginFailure(req.ip);
+    return res.redirect('/dashboard/login?failed=1');
+  }
+
+  loginFailures.delete(req.ip);
+  if (keyAllowed) recordKeyUse(key);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  dashboardSessions.set(token, Date.now() + DASHBOARD_SESSION_TTL);
+  writeAuditEntry({
+    at: new Date().toISOString(),
+    keyId: key && keyAllowed ? key.id : null,
+    keyName: key && keyAllowed ? key.name : 'dashboard-password',
+    scope: 'dashboard',
+    method: req.method,
+    path: req.originalUrl,
+    status: 302,
+    ip: req.ip
+  });
+
+  res.setHeader('Set-Cookie', `${DASHBOARD_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${DASHBOARD_SESSION_TTL / 1000}`);
+  res.redirect('/');
+});
+
+// End the dashboard login
+app.post('/dashboard/logout', (req, res) => {
+  dashboardSessions.delete(parseCookies(req)[DASHBOARD_COOKIE]);
+  res.setHeader('Set-Cookie', `${DASHBOARD_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+  res.redirect('/dashboard/login');
+});
+
+// Outbound webhooks so backends get pushed events instead of polling /ping
+// Every payload is signed: X-Webhook-Signature = sha256 HMAC of "<timestamp>.<body>" with the subscription secret
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOK_EVENTS = [
+  'message_sent', 'message_failed', 'message_skipped', 'message_ack', 'message_received',
+  'qr', 'authenticated', 'ready', 'disconnected', 'auth_failure',
+  'connection_state', 'opt_out', 'opt_in'
+];
+const WEBHOOK_MAX_ATTEMPTS = 6; // First delivery plus 5 retries
+const WEBHOOK_RETRY_BASE_DELAY = 5000; // 5s, 10s, 20s, 40s, 80s between retries
+const WEBHOOK_TIMEOUT = 10000; // Give each delivery 10 seconds to answer
+const webhooks = readJsonFile(WEBHOOKS_FILE, []);
+
+// Save webhook subscriptions
+function saveWebhooks() {
+  try {
+    writeJsonFile(WEBHOOKS_FILE, webhooks);
+  } catch (error) {
+    log(`❌ Error saving webhooks: ${error.message}`);
+  }
+}
+
+// POST a JSON body, resolving with the status code
+function postWebhook(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: WEBHOOK_TIMEOUT
+    }, (res) => {
+      res.resume(); // The response body is not needed
+      resolve(res.statusCode);
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Deliver one event to one subscription, retrying with exponential backoff
+async function deliverWebhook(webhook, payload, attempt = 1) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  try {
+    const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    const status = await postWebhook(webhook.url, body, {
+      'X-Webhook-Id': payload.id,
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signature}`
+    });
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`HTTP ${status}`);
+    }
+
+    webhook.lastDelivery = { event: payload.event, status: 'delivered', attempts: attempt, at: new Date().toISOString() };
+  } catch (error) {
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      const delay = WEBHOOK_RETRY_BASE_DELAY * Math.pow(2, attempt - 1);
+      log(`⚠️ Webhook ${payload.event} to ${webhook.url} failed (${error.message}), retry ${attempt} in ${delay/1000}s`);
+      setTimeout(() => deliverWebhook(webhook, payload, attempt + 1), delay);
+      return;
+    }
+
+    log(`❌ Webhook ${payload.event} to ${webhook.url} failed after ${attempt} attempts: ${error.message}`);
+    webhook.lastDelivery = { event: payload.event, status: 'failed', attempts: attempt, error: error.message, at: new Date().toISOString() };
+  }
+}
+
+// Send an event to every active subscription that wants it
+function emitWebhookEvent(event, accountId, data) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    accountId,
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  for (const webhook of webhooks) {
+    if (!webhook.active) continue;
+    if (!webhook.events.includes('*') && !webhook.events.includes(event)) continue;
+    if (Array.isArray(webhook.accounts) && !webhook.accounts.includes(accountId)) continue;
+
+    deliverWebhook(webhook, payload);
+  }
+}
+
+// Subscription fields returned by the API, never the secret
+function summarizeWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    accounts: webhook.accounts,
+    active: webhook.active,
+    createdAt: webhook.createdAt,
+    lastDelivery: webhook.lastDelivery || null
+  };
+}
+
+// Validate a subscription's url and events
+function validateWebhookOptions(url, events, accounts) {
+  try {
+    const target = new URL(url);
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return 'Webhook url must use http or https';
+    }
+  } catch (error) {
+    return 'Please provide a valid webhook url';
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'Please provide an array of events';
+  }
+  const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown event(s): ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}, *`;
+  }
+  if (accounts !== undefined && accounts !== null && !Array.isArray(accounts)) {
+    return 'accounts must be an array of account ids or null';
+  }
+  return null;
+}
+
+// List webhook subscriptions
+app.get('/api/webhooks', requireScope('webhooks:admin'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    events: WEBHOOK_EVENTS,
+    webhooks: webhooks.map(summarizeWebhook)
+  });
+});
+
+// Create a webhook subscription, the signing secret is only returned in this response
+app.post('/api/webhooks', requireScope('webhooks:admin'), (req, res) => {
+  const { url, events, accounts, secret } = req.body || {};
+
+  const validationError = validateWebhookOptions(url, events, accounts);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret === '')) {
+    return res.status(400).json({ success: false, message: 'secret must be a non-empty string' });
+  }
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    accounts: accounts || null,
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    active: true,
+    createdAt: new Date().toISOString()
+  };
+  webhooks.push(webhook);
+  saveWebhooks();
+  log(`🪝 Webhook subscription created for ${url} (${events.join(', ')})`);
+
+  res.status(201).json({ success: true, webhook: summarizeWebhook(webhook), secret: webhook.secret });
+});
+
+// Update a webhook subscription (url, events, accounts or active)
+app.patch('/api/webhooks/:id', requireScope('webhooks:admin'), (req, res) => {
+  const webhook = webhooks.find(candidate => candidate.id === req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ success: false, message: `Webhook ${req.params.id} not found` });
+  }
+
+  const { url = webhook.url, events = webhook.events, accounts = webhook.accounts, active } = req.body || {};
+  const validationError = validateWebhookOptions(url, events, accounts);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  webhook.url = url;
+  webhook.events = events;
+  webhook.accounts = accounts || null;
+  if (typeof active === 'boolean') {
+    webhook.active = active;
+  }
+  saveWebhooks();
+
+  res.status(200).json({ success: true, webhook: summarizeWebhook(webhook) });
+});
+
+// Delete a webhook subscription
+app.delete('/api/webhooks/:id', requireScope('webhooks:admin'), (req, res) => {
+  const index = webhooks.findIndex(candidate => candidate.id === req.params.id);
+
+  if (index === -1) {
+    return res.status(404).json({ success: false, message: `Webhook ${req.params.id} not found` });
+  }
+
+  const [webhook] = webhooks.splice(index, 1);
+  saveWebhooks();
+  log(`🪝 Webhook subscription for ${webhook.url} deleted`);
+
+  res.status(200).json({ success: true, message: `Webhook ${webhook.id} deleted` });
+});
+
+// Send a signed test event to one subscription
+app.post('/api/webhooks/:id/test', requireScope('webhooks:admin'), (req, res) => {
+  const webhook = webhooks.find(candidate => candidate.id === req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ success: false, message: `Webhook ${req.params.id} not found` });
+  }
+
+  deliverWebhook(webhook, {
+    id: crypto.randomUUID(),
+    event: 'test',
+    accountId: null,
+    timestamp: new Date().toISOString(),
+    data: { message: 'Webhook test event' }
+  });
+
+  res.status(202).json({ success: true, message: 'Test event queued' });
+});
+
+// Message templates rendered per recipient
+// Syntax: {{name}}, {{guest.seat}}, defaults {{seat | General}}, blocks {{#if seat}}...{{else}}...{{/if}} and {{#unless paid}}...{{/unless}}
+const TEMPLATE_TAG = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+
+// Parse a template into a tree of text, variable and block nodes
+function parseTemplate(template) {
+  if (typeof template !== 'string' || template.length === 0) {
+    throw new Error('Template must be a non-empty string');
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+  TEMPLATE_TAG.lastIndex = 0;
+
+  while ((match = TEMPLATE_TAG.exec(template)) !== null) {
+    const current = stack[stack.length - 1];
+    const [tag, marker, content] = match;
+
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (marker === '#') {
+      const [keyword, variable] = content.split(/\s+/);
+      if ((keyword !== 'if' && keyword !== 'unless') || !variable) {
+        throw new Error(`Invalid block "${tag}", use {{#if name}} or {{#unless name}}`);
+      }
+      const block = { type: keyword, variable, children: [], elseChildren: null };
+      current.children.push(block);
+      stack.push(block);
+    } else if (marker === '/') {
+      if (stack.length === 1 || current.type !== content) {
+        throw new Error(`Unexpected "${tag}"`);
+      }
+      if (current.inElse) {
+        current.elseChildren = current.children;
+        current.children = current.thenChildren;
+        delete current.thenChildren;
+        delete current.inElse;
+      }
+      stack.pop();
+    } else if (content === 'else') {
+      if (stack.length === 1 || current.inElse) {
+        throw new Error('Unexpected "{{else}}"');
+      }
+      current.thenChildren = current.children;
+      current.children = [];
+      current.inElse = true;
+    } else {
+      const pipeIndex = content.indexOf('|');
+      const variable = (pipeIndex === -1 ? content : content.slice(0, pipeIndex)).trim();
+      if (!variable) {
+        throw new Error(`Empty variable "${tag}"`);
+      }
+      current.children.push({
+        type: 'variable',
+        variable,
+        defaultValue: pipeIndex === -1 ? undefined : content.slice(pipeIndex + 1).trim()
+      });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing {{/${stack[stack.length - 1].type}}}`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+// Look up a dotted variable path such as guest.name
+function getTemplateValue(variables, variable) {
+  // Own properties only, so {{constructor}} or {{__proto__}} don't reach into prototypes
+  return variable.split('.').reduce((value, key) => (
+    value !== undefined && value !== null && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined
+  ), variables);
+}
+
+// Whether a value counts as set for {{#if}} and missing-variable checks
+function isTemplateValueSet(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+// Render parsed nodes, collecting variables that have no value and no default
+function renderTemplate(nodes, variables, missing) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = getTemplateValue(variables, node.variable);
+      if (value !== undefined && value !== null && value !== '') {
+        output += String(value);
+      } else if (node.defaultValue !== undefined) {
+        output += node.defaultValue;
+      } else if (!missing.includes(node.variable)) {
+        missing.push(node.variable);
+      }
+    } else {
+      const isSet = isTemplateValueSet(getTemplateValue(variables, node.variable));
+      const useThen = node.type === 'if' ? isSet : !isSet;
+      output += renderTemplate(useThen ? node.children : (node.elseChildren || []), variables, missing);
+    }
+  }
+
+  return output;
+}
+
+// Render the request's template for every recipient that has no message of its own
+// Returns the rendered messages plus per-recipient errors for missing variables
+function applyMessageTemplate(body) {
+  const { messages, template, variables: sharedVariables = {} } = body;
+
+  if (template === undefined) {
+    return { messages, errors: [] };
+  }
+
+  const nodes = parseTemplate(template);
+  const rendered = [];
+  const errors = [];
+
+  messages.forEach((item, index) => {
+    if (item && typeof item.message === 'string') {
+      rendered.push(item);
+      return;
+    }
+
+    const variables = { ...sharedVariables, ...((item && item.variables) || {}) };
+    const missing = [];
+    const message = renderTemplate(nodes, variables, missing);
+
+    if (missing.length > 0) {
+      errors.push({
+        index,
+        id: item && item.id !== undefined ? item.id : null,
+        number: item ? item.number : undefined,
+        message: `Missing template variable(s): ${missing.join(', ')}`,
+        missing
+      });
+    } else {
+      rendered.push({ ...item, message });
+    }
+  });
+
+  return { messages: rendered, errors };
+}
+
+// Media messages: images, documents, audio and video
+// Media is stored once under data/media by its sha256 so a batch reuses the same file for every recipient
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const MEDIA_LOCAL_DIR = process.env.MEDIA_LOCAL_DIR ? path.resolve(process.env.MEDIA_LOCAL_DIR) : null; // Local paths are only read from here
+const MEDIA_URL_HOSTS = (process.env.MEDIA_URL_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean); // Media urls are only fetched from these hosts
+const MEDIA_DOWNLOAD_TIMEOUT = 30000;
+const MEDIA_SIZE_LIMITS = { // WhatsApp's own limits per media kind
+  image: 5 * 1024 * 1024,
+  audio: 16 * 1024 * 1024,
+  video: 16 * 1024 * 1024,
+  document: 100 * 1024 * 1024
+};
+const MEDIA_MAX_SIZE = Math.max(...Object.values(MEDIA_SIZE_LIMITS));
+const mediaUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MEDIA_MAX_SIZE, files: 1 } });
+const MEDIA_TYPES = {
+  'image/jpeg': { kind: 'image', extension: 'jpg' },
+  'image/png': { kind: 'image', extension: 'png' },
+  'image/webp': { kind: 'image', extension: 'webp' },
+  'image/gif': { kind: 'image', extension: 'gif' },
+  'video/mp4': { kind: 'video', extension: 'mp4' },
+  'video/3gpp': { kind: 'video', extension: '3gp' },
+  'audio/mpeg': { kind: 'audio', extension: 'mp3' },
+  'audio/ogg': { kind: 'audio', extension: 'ogg' },
+  'audio/aac': { kind: 'audio', extension: 'aac' },
+  'audio/mp4': { kind: 'audio', extension: 'm4a' },
+  'audio/amr': { kind: 'audio', extension: 'amr' },
+  'application/pdf': { kind: 'document', extension: 'pdf' },
+  'application/msword': { kind: 'document', extension: 'doc' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { kind: 'document', extension: 'docx' },
+  'application/vnd.ms-excel': { kind: 'document', extension: 'xls' },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { kind: 'document', extension: 'xlsx' },
+  'application/vnd.ms-powerpoint': { kind: 'document', extension: 'ppt' },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { kind: 'document', extension: 'pptx' },
+  'application/zip': { kind: 'document', extension: 'zip' },
+  'text/plain': { kind: 'document', extension: 'txt' },
+  'text/csv': { kind: 'document', extension: 'csv' }
+};
+
+// Magic bytes of the binary formats whose declared mimetype we can verify
+const MEDIA_SIGNATURES = [
+  { mimetype: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimetype: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimetype: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimetype: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimetype: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] }
+];
+
+// Guess a mimetype from a filename extension
+function getMimetypeFromFilename(filename) {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  const alias = { jpeg: 'jpg', oga: 'ogg', opus: 'ogg' }[extension] || extension;
+  const match = Object.entries(MEDIA_TYPES).find(([, type]) => type.extension === alias);
+  return match ? match[0] : null;
+}
+
+// Check size and type, and that the content looks like what the mimetype claims
+function validateMedia(buffer, mimetype) {
+  const baseMimetype = (mimetype || '').split(';')[0].trim().toLowerCase();
+  const type = MEDIA_TYPES[baseMimetype];
+
+  if (!type) {
+    throw new Error(`Unsupported media type ${mimetype || '(unknown)'}`);
+  }
+  if (buffer.length === 0) {
+    throw new Error('Media file is empty');
+  }
+  if (buffer.length > MEDIA_SIZE_LIMITS[type.kind]) {
+    throw new Error(`${type.kind} media is ${Math.round(buffer.length / 1024)} KB, the limit is ${MEDIA_SIZE_LIMITS[type.kind] / 1024 / 1024} MB`);
+  }
+
+  const signature = MEDIA_SIGNATURES.find(candidate => candidate.bytes.every((byte, index) => buffer[index] === byte));
+  const declared = MEDIA_SIGNATURES.find(candidate => candidate.mimetype === baseMimetype);
+  if (declared && (!signature || signature.mimetype !== baseMimetype)) {
+    throw new Error(`Media content does not match its mimetype ${baseMimetype}`);
+  }
+
+  return { mimetype: baseMimetype, kind: type.kind };
+}
+
+// Store media under its content hash, returning its descriptor
+function storeMedia(buffer, mimetype, filename) {
+  const validated = validateMedia(buffer, mimetype);
+  const mediaId = crypto.createHash('sha256').update(buffer).digest('hex');
+  const filePath = path.join(MEDIA_DIR, mediaId);
+  const media = {
+    mediaId,
+    mimetype: validated.mimetype,
+    kind: validated.kind,
+    filename: filename || `${validated.kind}.${MEDIA_TYPES[validated.mimetype].extension}`,
+    size: buffer.length
+  };
+
+  ensureDir(MEDIA_DIR);
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, buffer);
+  }
+  writeJsonFile(`${filePath}.json`, media);
+  return media;
+}
+
+// Read the descriptor of stored media
+function getStoredMedia(mediaId) {
+  if (typeof mediaId !== 'string' || !/^[a-f0-9]{64}$/.test(mediaId)) return null;
+  return readJsonFile(path.join(MEDIA_DIR, `${mediaId}.json`), null);
+}
+
+// Download media from a URL, following a few redirects and stopping at the size limit
+function downloadMedia(url, redirects = 3) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return reject(new Error('Invalid media url'));
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return reject(new Error('Media url must use http or https'));
+    }
+    // Checked on every redirect too, so an allowed host can't send the download elsewhere
+    if (!MEDIA_URL_HOSTS.includes(target.hostname.toLowerCase())) {
+      return reject(new Error(MEDIA_URL_HOSTS.length > 0
+        ? `Media url host ${target.hostname} is not in MEDIA_URL_HOSTS`
+        : 'Sending media from urls is disabled, set MEDIA_URL_HOSTS to enable it'));
+    }
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.get(target, { timeout: MEDIA_DOWNLOAD_TIMEOUT }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        return resolve(downloadMedia(new URL(res.headers.location, target).toString(), redirects - 1));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`Media download failed with HTTP ${res.statusCode}`));
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MEDIA_MAX_SIZE) {
+          req.destroy(new Error('Media download is larger than the maximum media size'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({
+        buffer: Buffer.concat(chunks),
+        mimetype: (res.headers['content-type'] || '').split(';')[0].trim()
+      }));
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Media download timed out')));
+    req.on('error', reject);
+  });
+}
+
+// Turn a media input ({ mediaId }, { base64 }, { url } or { path }) into stored media plus send options
+async function resolveMediaInput(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Media must be an object with mediaId, base64, url or path');
+  }
+
+  let media;
+  const filename = input.filename ? path.basename(String(input.filename)) : undefined;
+
+  if (input.mediaId) {
+    media = getStoredMedia(input.mediaId);
+    if (!media) throw new Error(`Media ${input.mediaId} not found`);
+  } else if (input.base64) {
+    const base64 = String(input.base64).replace(/^data:[^;]+;base64,/, '');
+    const mimetype = input.mimetype || (String(input.base64).match(/^data:([^;]+);base64,/) || [])[1] || getMimetypeFromFilename(filename);
+    media = storeMedia(Buffer.from(base64, 'base64'), mimetype, filename);
+  } else if (input.url) {
+    const downloaded = await downloadMedia(input.url);
+    const urlFilename = filename || path.basename(new URL(input.url).pathname) || undefined;
+    media = storeMedia(downloaded.buffer, input.mimetype || downloaded.mimetype || getMimetypeFromFilename(urlFilename), urlFilename);
+  } else if (input.path) {
+    if (!MEDIA_LOCAL_DIR) {
+      throw new Error('Sending local files is disabled, set MEDIA_LOCAL_DIR to enable it');
+    }
+    const filePath = path.resolve(MEDIA_LOCAL_DIR, String(input.path));
+    if (!filePath.startsWith(MEDIA_LOCAL_DIR + path.sep)) {
+      throw new Error('Local media path must be inside MEDIA_LOCAL_DIR');
+    }
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`Local media file ${input.path} not found`);
+    }
+    if (fs.statSync(filePath).size > MEDIA_MAX_SIZE) {
+      throw new Error('Local media file is larger than the maximum media size');
+    }
+    const localFilename = filename || path.basename(filePath);
+    media = storeMedia(fs.readFileSync(filePath), input.mimetype || getMimetypeFromFilename(localFilename), localFilename);
+  } else {
+    throw new Error('Media must have a mediaId, base64, url or path');
+  }
+
+  if (input.sendAsVoice && media.kind !== 'audio') {
+    throw new Error('Only audio can be sent as a voice note');
+  }
+
+  return {
+    mediaId: media.mediaId,
+    mimetype: media.mimetype,
+    filename: filename || media.filename,
+    size: media.size,
+    caption: typeof input.caption === 'string' ? input.caption : undefined,
+    sendAsDocument: Boolean(input.sendAsDocument),
+    sendAsVoice: Boolean(input.sendAsVoice)
+  };
+}
+
+// Resolve request-level and per-recipient media, QR rendering options, code signing, check-in options and passes once per distinct input
+async function applyMessageMedia(body, messages) {
+  const resolved = new Map(); // JSON of the input -> pending stored media, so repeated inputs are decoded (or fail) once
+  const resolveOnce = (input) => {
+    const key = JSON.stringify(input);
+    if (!resolved.has(key)) {
+      resolved.set(key, resolveMediaInput(input));
+    }
+    return resolved.get(key);
+  };
+
+  const qrScanChecks = new Map(); // Option set -> scan check, shared by every recipient of the request
+
+  const withMedia = [];
+  const indexes = []; // Position in the request of each entry in withMedia
+  const errors = [];
+
+  for (const [index, item] of messages.entries()) {
+    const input = (item && item.media) || body.media;
+    const qrInput = item && item.qrData ? { ...(body.qrOptions || {}), ...(item.qrOptions || {}) } : {};
+    const hasQROptions = Object.keys(qrInput).length > 0;
+    // A request-level pass template applies to the recipients with a QR code
+    const passTemplateId = (item && item.passTemplateId) || (item && item.qrData ? body.passTemplateId : null);
+    const signedInput = item && item.qrData ? (item.signed !== undefined ? item.signed : body.signed) : undefined;
+    const checkInInput = item && item.qrData && (item.checkIn || body.checkIn)
+      ? { ...(body.checkIn || {}), ...(item.checkIn || {}) }
+      : undefined;
+    if (!input && !hasQROptions && !passTemplateId && !signedInput && !checkInInput) {
+      withMedia.push(item);
+      indexes.push(index);
+      continue;
+    }
+
+    let part = 'media';
+    try {
+      const resolvedItem = { ...item };
+      if (input) resolvedItem.media = await resolveOnce(input);
+
+      // Signed codes are checked with a sample token, the real one needs the job id
+      part = 'signed option';
+      let codeData = item && item.qrData !== undefined ? String(item.qrData) : undefined;
+      const signed = normalizeSignedOption(signedInput);
+      if (signed) {
+        resolvedItem.signed = signed;
+        codeData = signCode(codeData, `${crypto.randomUUID()}:${index}`, signed.expiresAt || signed.ttlHours ? new Date() : null);
+      }
+
+      part = 'check-in options';
+      const checkIn = normalizeCheckInOption(checkInInput, { ...(body.variables || {}), ...(item.variables || {}) });
+      if (checkIn) resolvedItem.checkIn = checkIn;
+
+      part = 'pass';
+      if (passTemplateId) {
+        resolvedItem.pass = await resolveRecipientPass(passTemplateId, { ...item, qrData: codeData }, body.variables || {}, qrScanChecks);
+      }
+
+      part = 'QR options';
+      if (hasQROptions && !passTemplateId) {
+        // Captions can use the recipient's template variables, e.g. "{{name}}"
+        if (typeof qrInput.caption === 'string' && qrInput.caption.includes('{{')) {
+          const missing = [];
+          qrInput.caption = renderTemplate(parseTemplate(qrInput.caption), { ...(body.variables || {}), ...(item.variables || {}) }, missing);
+          if (missing.length > 0) throw new Error(`Missing caption variable(s): ${missing.join(', ')}`);
+        }
+        resolvedItem.qrOptions = await resolveQROptions(qrInput, codeData, qrScanChecks);
+      }
+
+      withMedia.push(resolvedItem);
+      indexes.push(index);
+    } catch (error) {
+      errors.push({
+        index,
+        id: item && item.id !== undefined ? item.id : null,
+        number: item ? item.number : undefined,
+        message: `Invalid ${part}: ${error.message}`
+      });
+    }
+  }
+
+  return { messages: withMedia, indexes, errors };
+}
+
+// Build MessageMedia for a recipient, reusing one instance per media file within a job run
+function getMessageMedia(media, mediaCache) {
+  if (!mediaCache.has(media.mediaId)) {
+    const data = fs.readFileSync(path.join(MEDIA_DIR, media.mediaId)).toString('base64');
+    mediaCache.set(media.mediaId, new MessageMedia(media.mimetype, data, media.filename, media.size));
+  }
+  return mediaCache.get(media.mediaId);
+}
+
+// Send a recipient's message: media with the message as caption, or plain text
+async function sendRecipientMessage(session, chatId, item, mediaCache) {
+  if (!item.media) {
+    return sendThrottled(session, chatId, item.message);
+  }
+
+  const caption = item.media.caption !== undefined ? item.media.caption : item.message;
+  return sendThrottled(session, chatId, getMessageMedia(item.media, mediaCache), {
+    caption: item.media.sendAsVoice ? undefined : caption,
+    sendMediaAsDocument: item.media.sendAsDocument,
+    sendAudioAsVoice: item.media.sendAsVoice
+  });
+}
+
+// Apply media, QR options, passes and the shared template to a request's messages
+// Returns the ready messages with their positions in the request and the per-recipient errors,
+// or { error } when the template doesn't parse
+async function prepareMessages(body) {
+  const withMedia = await applyMessageMedia(body, body.messages);
+
+  let prepared;
+  try {
+    prepared = applyMessageTemplate({ ...body, messages: withMedia.messages });
+  } catch (error) {
+    return { error: `Invalid template: ${error.message}` };
+  }
+
+  // Report template errors against the recipient's position in the request
+  for (const error of prepared.errors) {
+    error.index = withMedia.indexes[error.index];
+  }
+  const failed = new Set(prepared.errors.map(error => error.index));
+
+  return {
+    messages: prepared.messages,
+    indexes: withMedia.indexes.filter(index => !failed.has(index)),
+    errors: [...withMedia.errors, ...prepared.errors].sort((a, b) => a.index - b.index)
+  };
+}
+
+// Validate the template and media parts of a bulk request, answering 400 when it can't be queued
+// Recipients with missing variables or unusable media reject the whole request unless skipInvalid is true
+async function prepareBulkMessages(req, res) {
+  const prepared = await prepareMessages(req.body);
+  if (prepared.error) {
+    res.status(400).json({ success: false, message: prepared.error });
+    return null;
+  }
+
+  if (prepared.errors.length > 0 && !req.body.skipInvalid) {
+    res.status(400).json({
+      success: false,
+      message: `${prepared.errors.length} recipient(s) have missing template variables, invalid media, unusable QR options or passes. Nothing was queued.`,
+      errors: prepared.errors
+    });
+    return null;
+  }
+
+  if (prepared.messages.length === 0) {
+    res.status(400).json({
+      success: false,
+      message: 'No valid messages left to send.',
+      errors: prepared.errors
+    });
+    return null;
+  }
+
+  return prepared;
+}
+
+// Preview a template for a few recipients without queuing anything
+app.post('/api/templates/render', requireScope('send'), (req, res) => {
+  const { template, variables = {}, recipients = [] } = req.body || {};
+  let nodes;
+
+  try {
+    nodes = parseTemplate(template);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: `Invalid template: ${error.message}` });
+  }
+  if (!Array.isArray(recipients)) {
+    return res.status(400).json({ success: false, message: 'recipients must be an array' });
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    return res.status(400).json({ success: false, message: 'variables must be an object' });
+  }
+
+  const targets = recipients.length > 0 ? recipients : [{}];
+  const results = targets.map((recipient, index) => {
+    const missing = [];
+    const message = renderTemplate(nodes, { ...variables, ...((recipient && recipient.variables) || {}) }, missing);
+    return { index, number: recipient ? recipient.number : undefined, message, missing };
+  });
+
+  res.status(200).json({ success: true, results });
+});
+
+// Upload media once (multipart "file" field, or JSON with base64, url or path) and reference it by mediaId
+app.post('/api/media', requireScope('send'), (req, res, next) => {
+  mediaUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, message: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const media = req.file
+      ? storeMedia(req.file.buffer, req.body.mimetype || req.file.mimetype, path.basename(req.file.originalname))
+      : await resolveMediaInput(req.body);
+
+    res.status(201).json({
+      success: true,
+      media: {
+        mediaId: media.mediaId,
+        mimetype: media.mimetype,
+        filename: media.filename,
+        size: media.size
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Normalise numbers and report which ones are registered on WhatsApp
+app.post('/api/numbers/validate', requireScope('read:status'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  const { numbers, defaultCountryCode } = req.body || {};
+
+  if (!Array.isArray(numbers) || numbers.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid request. Please provide an array of numbers.'
+    });
+  }
+
+  if (numbers.length > 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please validate at most 1000 numbers per request.'
+    });
+  }
+
+  // Registration can only be checked while the account is connected
+  const canCheckRegistration = Boolean(session.isLoggedIn && session.client);
+  const results = [];
+
+  for (const number of numbers) {
+    const normalized = normalizePhoneNumber(number, defaultCountryCode || DEFAULT_COUNTRY_CODE);
+    const result = { ...normalized, registered: null };
+
+    if (normalized.valid && canCheckRegistration) {
+      try {
+        const registration = await checkWhatsAppRegistration(session, normalized.digits);
+        result.registered = registration.registered;
+        result.chatId = registration.chatId || normalized.chatId;
+        if (!registration.registered) {
+          result.reason = 'Number is not registered on WhatsApp';
+        }
+      } catch (error) {
+        result.reason = `Registration check failed: ${error.message}`;
+      }
+    }
+
+    results.push(result);
+  }
+
+  res.status(200).json({
+    success: true,
+    accountId: session.accountId,
+    registrationChecked: canCheckRegistration,
+    message: canCheckRegistration ? undefined : 'WhatsApp not connected, only the number format was checked',
+    summary: {
+      total: results.length,
+      valid: results.filter(result => result.valid).length,
+      registered: results.filter(result => result.registered === true).length,
+      unregistered: results.filter(result => result.registered === false).length
+    },
+    results
+  });
+});
+
+// Incoming messages and keyword auto-replies
+// Rules live in a JSON file (AUTO_REPLY_RULES_FILE) that can be edited by hand and reloaded, or managed through /api/auto-replies
+const AUTO_REPLY_RULES_FILE = process.env.AUTO_REPLY_RULES_FILE
+  ? path.resolve(process.env.AUTO_REPLY_RULES_FILE)
+  : path.join(DATA_DIR, 'auto-replies.json');
+const AUTO_REPLY_TRIGGERS = ['keyword', 'regex', 'exact'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+let autoReplyRules = [];
+const autoReplyCooldowns = new Map(); // "<ruleId>:<accountId>:<chatId>" -> time of the last reply
+const autoReplyMedia = new Map(); // rule id -> resolved media, so url and path replies are fetched once
+
+// Parse "HH:mm" into minutes since midnight
+function parseTimeOfDay(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Wall-clock date and time in a timezone; day is the day of week (0 = Sunday)
+function getZonedTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(candidate => candidate.type === type).value);
+
+  return {
+    year: part('year'),
+    month: part('month'),
+    date: part('day'),
+    day: WEEKDAYS.indexOf(parts.find(candidate => candidate.type === 'weekday').value.toLowerCase()),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second'),
+    minutes: part('hour') * 60 + part('minute')
+  };
+}
+
+// Convert a wall-clock time in a timezone to the actual instant, following DST changes
+function zonedTimeToUtc({ year, month, date, hour, minute, second = 0 }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, date, hour, minute, second);
+  const offsetAt = (instant) => {
+    const zoned = getZonedTime(new Date(instant), timezone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.date, zoned.hour, zoned.minute, zoned.second) - instant;
+  };
+
+  let instant = wallClock - offsetAt(wallClock);
+  const correctedOffset = offsetAt(instant);
+  if (wallClock - correctedOffset !== instant) {
+    instant = wallClock - correctedOffset;
+  }
+  return new Date(instant);
+}
+
+// Check whether a date falls inside business hours; ranges past midnight (22:00-06:00) are allowed
+function isWithinBusinessHours(businessHours, date = new Date()) {
+  const { day, minutes } = getZonedTime(date, businessHours.timezone);
+  const start = parseTimeOfDay(businessHours.start);
+  const end = parseTimeOfDay(businessHours.end);
+
+  if (start <= end) {
+    return businessHours.days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // Overnight ranges belong to the day they started on
+  if (minutes >= start) return businessHours.days.includes(day);
+  return minutes < end && businessHours.days.includes((day + 6) % 7);
+}
+
+// Validate a rule, returning an error message or null
+function validateAutoReplyRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return 'Rule must be an object';
+  }
+
+  const { trigger, reply, businessHours } = rule;
+  if (!trigger || !AUTO_REPLY_TRIGGERS.includes(trigger.type)) {
+    return `trigger.type must be one of: ${AUTO_REPLY_TRIGGERS.join(', ')}`;
+  }
+  const patterns = Array.isArray(trigger.value) ? trigger.value : [trigger.value];
+  if (patterns.length === 0 || patterns.some(pattern => typeof pattern !== 'string' || pattern === '')) {
+    return 'trigger.value must be a non-empty string or array of strings';
+  }
+  if (trigger.type === 'regex') {
+    try {
+      patterns.forEach(pattern => new RegExp(pattern, trigger.caseSensitive ? '' : 'i'));
+    } catch (error) {
+      return `Invalid trigger regex: ${error.message}`;
+    }
+  }
+
+  if (!reply || (reply.text === undefined && reply.template === undefined && reply.media === undefined)) {
+    return 'reply must have text, template or media';
+  }
+  if (reply.text !== undefined && reply.template !== undefined) {
+    return 'reply can have text or template, not both';
+  }
+  if (reply.template !== undefined) {
+    try {
+      parseTemplate(reply.template);
+    } catch (error) {
+      return `Invalid reply template: ${error.message}`;
+    }
+  }
+
+  if (rule.cooldownSeconds !== undefined && !(Number.isFinite(rule.cooldownSeconds) && rule.cooldownSeconds >= 0)) {
+    return 'cooldownSeconds must be a number of seconds';
+  }
+  if (rule.accounts !== undefined && rule.accounts !== null && !Array.isArray(rule.accounts)) {
+    return 'accounts must be an array of account ids or null';
+  }
+
+  if (businessHours) {
+    if (parseTimeOfDay(businessHours.start) === null || parseTimeOfDay(businessHours.end) === null) {
+      return 'businessHours.start and businessHours.end must be HH:mm';
+    }
+    if (!Array.isArray(businessHours.days) || businessHours.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'businessHours.days must be an array of weekdays (0 = Sunday ... 6 = Saturday)';
+    }
+    if (businessHours.when !== undefined && !['inside', 'outside'].includes(businessHours.when)) {
+      return 'businessHours.when must be inside or outside';
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: businessHours.timezone });
+    } catch (error) {
+      return `Unknown timezone ${businessHours.timezone}`;
+    }
+  }
+
+  return null;
+}
+
+// Fill in defaults for a validated rule
+function normalizeAutoReplyRule(rule, existing = {}) {
+  return {
+    id: existing.id || rule.id || crypto.randomUUID(),
+    name: rule.name || existing.name || null,
+    enabled: rule.enabled !== false,
+    priority: Number(rule.priority) || 0,
+    accounts: rule.accounts || null,
+    trigger: {
+      type: rule.trigger.type,
+      value: rule.trigger.value,
+      caseSensitive: Boolean(rule.trigger.caseSensitive)
+    },
+    reply: rule.reply,
+    cooldownSeconds: rule.cooldownSeconds !== undefined ? rule.cooldownSeconds : 300,
+    businessHours: rule.businessHours
+      ? { timezone: 'UTC', when: 'inside', ...rule.businessHours }
+      : null,
+    includeGroups: Boolean(rule.includeGroups),
+    createdAt: existing.createdAt || rule.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Save auto-reply rules
+function saveAutoReplyRules() {
+  try {
+    writeJsonFile(AUTO_REPLY_RULES_FILE, autoReplyRules);
+  } catch (error) {
+    log(`❌ Error saving auto-reply rules: ${error.message}`);
+  }
+}
+
+// Load rules from the rules file, skipping (and logging) invalid ones
+function loadAutoReplyRules() {
+  const stored = readJsonFile(AUTO_REPLY_RULES_FILE, []);
+  const rules = [];
+
+  if (!Array.isArray(stored)) {
+    log(`❌ ${AUTO_REPLY_RULES_FILE} must contain an array of rules`);
+    return { loaded: 0, errors: [{ index: null, message: 'Rules file must contain an array' }] };
+  }
+
+  const errors = [];
+  stored.forEach((rule, index) => {
+    const validationError = validateAutoReplyRule(rule);
+    if (validationError) {
+      errors.push({ index, id: rule && rule.id, message: validationError });
+      log(`⚠️ Skipping auto-reply rule ${index + 1}: ${validationError}`);
+      return;
+    }
+    rules.push({ ...normalizeAutoReplyRule(rule, rule), updatedAt: rule.updatedAt || new Date().toISOString() });
+  });
+
+  autoReplyRules = rules;
+  autoReplyMedia.clear();
+
+  // Hand-written rules get an id on first load so the API can address them
+  if (stored.some(rule => rule && !rule.id)) {
+    saveAutoReplyRules();
+  }
+  log(`🤖 Loaded ${rules.length} auto-reply rule(s)`);
+  return { loaded: rules.length, errors };
+}
+
+// Check a message body against a rule's trigger, returning the regex match (or true) when it fires
+function matchAutoReplyTrigger(trigger, body) {
+  const patterns = Array.isArray(trigger.value) ? trigger.value : [trigger.value];
+  const text = trigger.caseSensitive ? body.trim() : body.trim().toLowerCase();
+
+  for (const pattern of patterns) {
+    if (trigger.type === 'regex') {
+      const match = new RegExp(pattern, trigger.caseSensitive ? '' : 'i').exec(body);
+      if (match) return match;
+      continue;
+    }
+
+    const value = trigger.caseSensitive ? pattern.trim() : pattern.trim().toLowerCase();
+    if (trigger.type === 'exact' && text === value) return true;
+    // Keywords match whole words or phrases, so "join" doesn't fire on "joined"
+    if (trigger.type === 'keyword' && new RegExp(`(^|\\W)${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|\\W)`).test(text)) return true;
+  }
+
+  return null;
+}
+
+// Find the first enabled rule that applies to a message, highest priority first
+function findAutoReplyRule(session, message, now = new Date()) {
+  const rules = autoReplyRules
+    .filter(rule => rule.enabled)
+    .sort((a, b) => b.priority - a.priority);
+  const isGroup = message.from.endsWith('@g.us');
+
+  for (const rule of rules) {
+    if (rule.accounts && !rule.accounts.includes(session.accountId)) continue;
+    if (isGroup && !rule.includeGroups) continue;
+
+    if (rule.businessHours) {
+      const inside = isWithinBusinessHours(rule.businessHours, now);
+      if (inside !== (rule.businessHours.when === 'inside')) continue;
+    }
+
+    const match = matchAutoReplyTrigger(rule.trigger, message.body || '');
+    if (!match) continue;
+
+    // A rule stays quiet in a chat until its cooldown is over, lower priority rules are not tried instead
+    const cooldownKey = `${rule.id}:${session.accountId}:${message.from}`;
+    const lastReply = autoReplyCooldowns.get(cooldownKey);
+    if (lastReply && now.getTime() - lastReply < rule.cooldownSeconds * 1000) {
+      return null;
+    }
+
+    return { rule, match, cooldownKey };
+  }
+
+  return null;
+}
+
+// Send a rule's reply (text, rendered template and/or media) to the chat the message came from
+async function sendAutoReply(session, message, rule, match) {
+  const { reply } = rule;
+  let text = reply.text;
+
+  if (reply.template !== undefined) {
+    const contact = await message.getContact().catch(() => null);
+    const variables = {
+      ...(reply.variables || {}),
+      name: contact ? (contact.pushname || contact.name) : undefined,
+      number: message.from.split('@')[0],
+      message: message.body,
+      match: Array.isArray(match) ? [...match] : []
+    };
+    text = renderTemplate(parseTemplate(reply.template), variables, []);
+  }
+
+  if (!reply.media) {
+    return sendThrottled(session, message.from, text);
+  }
+
+  if (!autoReplyMedia.has(rule.id)) {
+    autoReplyMedia.set(rule.id, await resolveMediaInput(reply.media));
+  }
+  const item = { message: text, media: autoReplyMedia.get(rule.id) };
+  return sendRecipientMessage(session, message.from, item, new Map());
+}
+
+// Entry point for every message an account receives
+async function handleIncomingMessage(session, message) {
+  if (message.fromMe || message.isStatus || message.from === 'status@broadcast') return;
+
+  session.lastActiveTimestamp = Date.now();
+
+  // Opt-out and opt-in keywords get their confirmation instead of an auto-reply
+  const optOutKeyword = message.from.endsWith('@g.us') ? null : matchOptOutKeyword(message.body);
+  if (optOutKeyword) {
+    storeIncomingMessage(session, message, null);
+    await handleOptOutKeyword(session, message, optOutKeyword);
+    return;
+  }
+
+  const found = findAutoReplyRule(session, message);
+  storeIncomingMessage(session, message, found ? found.rule : null);
+  if (!found) return;
+
+  const { rule, match, cooldownKey } = found;
+  if (optOuts.has(await getSenderNumber(message))) {
+    sessionLog(session, `🚫 No auto-reply to ${message.from}, the number opted out`);
+    return;
+  }
+  autoReplyCooldowns.set(cooldownKey, Date.now());
+
+  try {
+    await sendAutoReply(session, message, rule, match);
+    sessionLog(session, `🤖 Auto-replied to ${message.from} with rule ${rule.name || rule.id}`);
+  } catch (error) {
+    sessionLog(session, `❌ Auto-reply to ${message.from} failed (rule ${rule.name || rule.id}): ${error.message}`);
+  }
+}
+
+// Check a rule's media can be used before saving it
+async function checkAutoReplyMedia(rule) {
+  if (!rule.reply.media) return null;
+  try {
+    const media = await resolveMediaInput(rule.reply.media);
+    autoReplyMedia.set(rule.id, media);
+    return null;
+  } catch (error) {
+    return `Invalid reply media: ${error.message}`;
+  }
+}
+
+// List auto-reply rules
+app.get('/api/auto-replies', requireScope('autoreply:admin'), (req, res) => {
+  res.status(200).json({ success: true, file: AUTO_REPLY_RULES_FILE, rules: autoReplyRules });
+});
+
+// Create an auto-reply rule
+app.post('/api/auto-replies', requireScope('autoreply:admin'), async (req, res) => {
+  const validationError = validateAutoReplyRule(req.body);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  const rule = normalizeAutoReplyRule({ ...req.body, id: undefined });
+  const mediaError = await checkAutoReplyMedia(rule);
+  if (mediaError) {
+    return res.status(400).json({ success: false, message: mediaError });
+  }
+
+  autoReplyRules.push(rule);
+  saveAutoReplyRules();
+  log(`🤖 Auto-reply rule ${rule.name || rule.id} created`);
+
+  res.status(201).json({ success: true, rule });
+});
+
+// Update an auto-reply rule, fields that are left out keep their value
+app.patch('/api/auto-replies/:id', requireScope('autoreply:admin'), async (req, res) => {
+  const index = autoReplyRules.findIndex(candidate => candidate.id === req.params.id);
+
+  if (index === -1) {
+    return res.status(404).json({ success: false, message: `Auto-reply rule ${req.params.id} not found` });
+  }
+
+  const existing = autoReplyRules[index];
+  const merged = { ...existing, ...(req.body || {}), id: existing.id };
+  const validationError = validateAutoReplyRule(merged);
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  const rule = normalizeAutoReplyRule(merged, existing);
+  autoReplyMedia.delete(rule.id);
+  const mediaError = await checkAutoReplyMedia(rule);
+  if (mediaError) {
+    return res.status(400).json({ success: false, message: mediaError });
+  }
+
+  autoReplyRules[index] = rule;
+  saveAutoReplyRules();
+
+  res.status(200).json({ success: true, rule });
+});
+
+// Delete an auto-reply rule
+app.delete('/api/auto-replies/:id', requireScope('autoreply:admin'), (req, res) => {
+  const index = autoReplyRules.findIndex(candidate => candidate.id === req.params.id);
+
+  if (index === -1) {
+    return res.status(404).json({ success: false, message: `Auto-reply rule ${req.params.id} not found` });
+  }
+
+  const [rule] = autoReplyRules.splice(index, 1);
+  autoReplyMedia.delete(rule.id);
+  saveAutoReplyRules();
+  log(`🤖 Auto-reply rule ${rule.name || rule.id} deleted`);
+
+  res.status(200).json({ success: true, message: `Auto-reply rule ${rule.id} deleted` });
+});
+
+// Reload the rules file after editing it by hand
+app.post('/api/auto-replies/reload', requireScope('autoreply:admin'), (req, res) => {
+  const result = loadAutoReplyRules();
+  res.status(200).json({ success: true, loaded: result.loaded, errors: result.errors });
+});
+
+// Dry-run a message against the rules without sending anything
+app.post('/api/auto-replies/test', requireScope('autoreply:admin'), (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  const { from = 'test@c.us', body = '', at } = req.body || {};
+  const now = at ? new Date(at) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    return res.status(400).json({ success: false, message: 'at must be a valid date' });
+  }
+
+  const found = findAutoReplyRule(session, { from, body }, now);
+  res.status(200).json({
+    success: true,
+    matched: Boolean(found),
+    rule: found ? found.rule : null
+  });
+});
+
+// Opt-outs: numbers that asked not to be messaged, kept in data/opt-outs.json
+// A reply that is exactly an opt-out keyword ("STOP") adds the sender, an opt-in keyword ("START") removes them again
+// The list covers every account; bulk jobs skip listed numbers when they are queued and again right before sending
+const OPT_OUTS_FILE = path.join(DATA_DIR, 'opt-outs.json');
+const OPT_OUT_SETTINGS_FILE = path.join(DATA_DIR, 'opt-out-settings.json');
+const DEFAULT_OPT_OUT_SETTINGS = {
+  optOutKeywords: (process.env.OPT_OUT_KEYWORDS || 'STOP,STOP ALL,UNSUBSCRIBE,OPT OUT,END,QUIT').split(','),
+  optInKeywords: (process.env.OPT_IN_KEYWORDS || 'START,SUBSCRIBE,UNSTOP').split(','),
+  optOutReply: 'You have been unsubscribed and will not receive further messages from us. Reply START to subscribe again.', // Empty for no confirmation
+  optInReply: 'You have been subscribed again. Reply STOP to unsubscribe.'
+};
+const optOuts = new Map(); // E.164 number -> { number, addedAt, source, keyword, accountId, note, by }
+
+// Keywords are matched case-insensitively against the whole message
+function normalizeKeywords(keywords) {
+  return [...new Set(keywords.map(keyword => String(keyword).trim().replace(/\s+/g, ' ').toUpperCase()).filter(Boolean))];
+}
+
+const storedOptOutSettings = { ...DEFAULT_OPT_OUT_SETTINGS, ...readJsonFile(OPT_OUT_SETTINGS_FILE, {}) };
+const optOutSettings = {
+  ...storedOptOutSettings,
+  optOutKeywords: normalizeKeywords(storedOptOutSettings.optOutKeywords),
+  optInKeywords: normalizeKeywords(storedOptOutSettings.optInKeywords)
+};
+
+// Save the opt-out list
+function saveOptOuts() {
+  try {
+    writeJsonFile(OPT_OUTS_FILE, [...optOuts.values()]);
+  } catch (error) {
+    log(`❌ Error saving opt-outs: ${error.message}`);
+  }
+}
+
+function loadOptOuts() {
+  const stored = readJsonFile(OPT_OUTS_FILE, []);
+  optOuts.clear();
+  for (const entry of Array.isArray(stored) ? stored : []) {
+    if (entry && entry.number) optOuts.set(entry.number, entry);
+  }
+  log(`🚫 Loaded ${optOuts.size} opted-out number(s)`);
+}
+
+// Put a number on the list, replacing an earlier entry for it
+function addOptOut(number, details = {}) {
+  const entry = { number, addedAt: new Date().toISOString(), source: 'api', keyword: null, accountId: null, note: null, by: null, ...details };
+  optOuts.set(number, entry);
+  saveOptOuts();
+  return entry;
+}
+
+// Take a number off the list, returns whether it was on it
+function removeOptOut(number) {
+  const removed = optOuts.delete(number);
+  if (removed) saveOptOuts();
+  return removed;
+}
+
+// Opt-out or opt-in keyword a message consists of, as { type, keyword }, or null
+function matchOptOutKeyword(body) {
+  const text = String(body || '').trim().replace(/[\s.!]+$/, '').replace(/\s+/g, ' ').toUpperCase();
+  if (!text) return null;
+  if (optOutSettings.optOutKeywords.includes(text)) return { type: 'opt_out', keyword: text };
+  if (optOutSettings.optInKeywords.includes(text)) return { type: 'opt_in', keyword: text };
+  return null;
+}
+
+// Update the list from a keyword reply and confirm the change to the sender
+async function handleOptOutKeyword(session, message, { type, keyword }) {
+  const number = await getSenderNumber(message);
+  if (!number) {
+    sessionLog(session, `⚠️ "${keyword}" from ${message.from} ignored, the sender's number is unknown`);
+    return;
+  }
+  let reply;
+
+  if (type === 'opt_out') {
+    addOptOut(number, { source: 'keyword', keyword, accountId: session.accountId });
+    sessionLog(session, `🚫 ${number} opted out with "${keyword}"`);
+    reply = optOutSettings.optOutReply;
+  } else if (removeOptOut(number)) {
+    sessionLog(session, `✅ ${number} opted back in with "${keyword}"`);
+    reply = optOutSettings.optInReply;
+  } else {
+    return;
+  }
+
+  emitWebhookEvent(type, session.accountId, { number, keyword });
+  if (!reply) return;
+
+  try {
+    await sendThrottled(session, message.from, reply);
+  } catch (error) {
+    sessionLog(session, `❌ Opt-out confirmation to ${number} failed: ${error.message}`);
+  }
+}
+
+// Why an opted-out recipient was skipped
+function getOptOutReason(entry) {
+  return `Number opted out${entry.keyword ? ` with "${entry.keyword}"` : ''} on ${entry.addedAt}`;
+}
+
+// E.164 number of a message's sender; chats shown as @lid only reveal it through the contact
+async function getSenderNumber(message) {
+  if (message.from.endsWith('@c.us')) return `+${message.from.split('@')[0]}`;
+  const contact = await message.getContact().catch(() => null);
+  const digits = contact && contact.number ? String(contact.number).replace(/\D/g, '') : '';
+  return digits ? `+${digits}` : null;
+}
+
+// List entry of a chat id's number, for the replies sent outside of jobs
+function getChatOptOut(chatId) {
+  return String(chatId || '').endsWith('@c.us') ? optOuts.get(`+${chatId.split('@')[0]}`) : undefined;
+}
+
+// Skip the recipients of a new job whose number is on the list
+function markOptedOutRecipients(job) {
+  for (const item of job.results) {
+    const entry = item.status === 'queued' && optOuts.get(item.e164);
+    if (!entry) continue;
+    item.status = 'skipped';
+    item.optedOut = true;
+    item.error = getOptOutReason(entry);
+  }
+}
+
+// Skip a queued recipient whose number was listed after the job was created, returns whether it was skipped
+function skipOptedOutRecipient(job, item) {
+  const entry = optOuts.get(item.e164);
+  if (!entry) return false;
+
+  item.optedOut = true;
+  recordJobResult(job, item, 'skipped', getOptOutReason(entry));
+  log(`🚫 Skipped ${item.number}, the number opted out (job ${job.id})`);
+  return true;
+}
+
+// List opted-out numbers (newest first)
+app.get('/api/opt-outs', requireScope('optouts:admin'), (req, res) => {
+  const { source } = req.query;
+  const digits = getNumberFilter(req.query.number);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  const list = [...optOuts.values()]
+    .filter(entry => !digits || entry.number === `+${digits}`)
+    .filter(entry => !source || entry.source === source)
+    .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+
+  res.status(200).json({ success: true, total: list.length, optOuts: list.slice(0, limit) });
+});
+
+// Add numbers to the list: { numbers: [...], note, defaultCountryCode }
+app.post('/api/opt-outs', requireScope('optouts:admin'), (req, res) => {
+  const { numbers, number, note, defaultCountryCode } = req.body || {};
+  const inputs = Array.isArray(numbers) ? numbers : (number !== undefined ? [number] : []);
+
+  if (inputs.length === 0) {
+    return res.status(400).json({ success: false, message: 'Please provide the numbers to opt out' });
+  }
+
+  const added = [];
+  const errors = [];
+  for (const [index, input] of inputs.entries()) {
+    const normalized = normalizePhoneNumber(input, defaultCountryCode || DEFAULT_COUNTRY_CODE);
+    if (!normalized.valid) {
+      errors.push({ index, number: input, message: normalized.reason });
+      continue;
+    }
+    added.push(addOptOut(normalized.e164, { note: note ? String(note) : null, by: req.apiKey ? req.apiKey.name : 'dashboard' }));
+  }
+
+  if (added.length > 0) {
+    log(`🚫 ${added.length} number(s) added to the opt-out list`);
+  }
+  res.status(added.length > 0 ? 201 : 400).json({ success: added.length > 0, added, errors });
+});
+
+// Keywords and confirmation replies
+app.get('/api/opt-outs/settings', requireScope('optouts:admin'), (req, res) => {
+  res.status(200).json({ success: true, settings: optOutSettings });
+});
+
+app.patch('/api/opt-outs/settings', requireScope('optouts:admin'), (req, res) => {
+  const body = req.body || {};
+  const updates = {};
+
+  for (const name of ['optOutKeywords', 'optInKeywords']) {
+    if (body[name] === undefined) continue;
+    if (!Array.isArray(body[name]) || body[name].some(keyword => typeof keyword !== 'string')) {
+      return res.status(400).json({ success: false, message: `${name} must be an array of strings` });
+    }
+    updates[name] = normalizeKeywords(body[name]);
+  }
+  for (const name of ['optOutReply', 'optInReply']) {
+    if (body[name] === undefined) continue;
+    if (body[name] !== null && typeof body[name] !== 'string') {
+      return res.status(400).json({ success: false, message: `${name} must be a string, empty or null for no reply` });
+    }
+    updates[name] = body[name] || null;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Please provide at least one of: ${Object.keys(DEFAULT_OPT_OUT_SETTINGS).join(', ')}`
+    });
+  }
+
+  const optOutKeywords = updates.optOutKeywords || optOutSettings.optOutKeywords;
+  const overlap = (updates.optInKeywords || optOutSettings.optInKeywords).filter(keyword => optOutKeywords.includes(keyword));
+  if (overlap.length > 0) {
+    return res.status(400).json({ success: false, message: `Keyword(s) ${overlap.join(', ')} can't both opt out and opt in` });
+  }
+
+  Object.assign(optOutSettings, updates);
+  try {
+    writeJsonFile(OPT_OUT_SETTINGS_FILE, optOutSettings);
+  } catch (error) {
+    log(`❌ Error saving opt-out settings: ${error.message}`);
+  }
+  log(`🚫 Opt-out settings updated: ${Object.keys(updates).join(', ')}`);
+
+  res.status(200).json({ success: true, settings: optOutSettings });
+});
+
+// Take a number off the list so it can be messaged again
+app.delete('/api/opt-outs/:number', requireScope('optouts:admin'), (req, res) => {
+  const normalized = normalizePhoneNumber(req.params.number, req.query.defaultCountryCode || DEFAULT_COUNTRY_CODE);
+
+  if (!normalized.valid || !removeOptOut(normalized.e164)) {
+    return res.status(404).json({ success: false, message: `${req.params.number} is not on the opt-out list` });
+  }
+
+  log(`✅ ${normalized.e164} removed from the opt-out list`);
+  res.status(200).json({ success: true, message: `${normalized.e164} removed from the opt-out list` });
+});
+
+// Inbox: every received message is appended to data/inbox/messages.jsonl
+// Conversations (one per account and chat) carry the handled flag, a new message reopens them
+const INBOX_DIR = path.join(DATA_DIR, 'inbox');
+const INBOX_MESSAGES_FILE = path.join(INBOX_DIR, 'messages.jsonl');
+const INBOX_CONVERSATIONS_FILE = path.join(INBOX_DIR, 'conversations.json');
+const INBOX_REPLY_WINDOW = (parseInt(process.env.INBOX_REPLY_WINDOW_HOURS, 10) || 72) * 60 * 60 * 1000; // A message counts as a reply to a job sent this recently
+const inboxMessages = [];
+let conversations = {};
+
+// Load stored messages and conversation state
+function loadInbox() {
+  ensureDir(INBOX_DIR);
+  conversations = readJsonFile(INBOX_CONVERSATIONS_FILE, {});
+
+  if (fs.existsSync(INBOX_MESSAGES_FILE)) {
+    const lines = fs.readFileSync(INBOX_MESSAGES_FILE, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        inboxMessages.push(JSON.parse(line));
+      } catch (error) {
+        log(`⚠️ Skipping unreadable inbox line: ${error.message}`);
+      }
+    }
+  }
+
+  log(`📥 Loaded ${inboxMessages.length} inbox message(s) in ${Object.keys(conversations).length} conversation(s)`);
+}
+
+// Save conversation state
+function saveConversations() {
+  try {
+    writeJsonFile(INBOX_CONVERSATIONS_FILE, conversations);
+  } catch (error) {
+    log(`❌ Error saving conversations: ${error.message}`);
+  }
+}
+
+function getConversationKey(accountId, chatId) {
+  return `${accountId}:${chatId}`;
+}
+
+// Work out which job a message answers: the quoted job message, else the last job sent to the chat recently
+async function findRepliedJob(accountId, message, receivedAt) {
+  if (message.hasQuotedMsg) {
+    try {
+      const quoted = await message.getQuotedMessage();
+      const entry = quoted && quoted.id && messageIndex.get(quoted.id._serialized);
+      if (entry) return { jobId: entry.jobId, index: entry.index, matchedBy: 'quote' };
+    } catch (error) {
+      // Fall back to the last job sent to the chat
+    }
+  }
+
+  const lastSent = lastSentToChat.get(getConversationKey(accountId, message.from));
+  if (lastSent && receivedAt - new Date(lastSent.sentAt).getTime() <= INBOX_REPLY_WINDOW) {
+    return { jobId: lastSent.jobId, index: lastSent.index, matchedBy: 'recent' };
+  }
+  return null;
+}
+
+// Download and store an incoming message's media, keeping the failure reason when it can't be stored
+async function storeIncomingMedia(message) {
+  try {
+    const downloaded = await message.downloadMedia();
+    if (!downloaded) return { error: 'Media is no longer available' };
+
+    const media = storeMedia(Buffer.from(downloaded.data, 'base64'), downloaded.mimetype, downloaded.filename || undefined);
+    return { mediaId: media.mediaId, mimetype: media.mimetype, filename: media.filename, size: media.size };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Persist a received message and update its conversation
+async function storeIncomingMessage(session, message, autoReplyRule = null) {
+  try {
+    const receivedAt = Date.now();
+    const sender = message.author || message.from; // In groups the author is the member who wrote
+    const contact = await message.getContact().catch(() => null);
+
+    const record = {
+      id: message.id && message.id._serialized ? message.id._serialized : crypto.randomUUID(),
+      accountId: session.accountId,
+      chatId: message.from,
+      from: sender,
+      number: sender.split('@')[0],
+      senderName: contact ? (contact.pushname || contact.name || null) : null,
+      isGroup: message.from.endsWith('@g.us'),
+      type: message.type || 'chat',
+      body: message.body || '',
+      media: message.hasMedia ? await storeIncomingMedia(message) : null,
+      timestamp: message.timestamp ? new Date(message.timestamp * 1000).toISOString() : new Date(receivedAt).toISOString(),
+      receivedAt: new Date(receivedAt).toISOString(),
+      repliedTo: await findRepliedJob(session.accountId, message, receivedAt),
+      autoReplyRuleId: autoReplyRule ? autoReplyRule.id : null
+    };
+
+    inboxMessages.push(record);
+    ensureDir(INBOX_DIR);
+    fs.appendFileSync(INBOX_MESSAGES_FILE, JSON.stringify(record) + '\n');
+
+    const key = getConversationKey(record.accountId, record.chatId);
+    const conversation = conversations[key] || {
+      accountId: record.accountId,
+      chatId: record.chatId,
+      number: record.chatId.split('@')[0],
+      messageCount: 0
+    };
+    conversations[key] = {
+      ...conversation,
+      name: record.isGroup ? conversation.name || null : record.senderName || conversation.name || null,
+      messageCount: conversation.messageCount + 1,
+      lastMessageAt: record.receivedAt,
+      lastMessage: record.body.slice(0, 200),
+      // A new message needs attention again
+      handled: false,
+      handledAt: null,
+      handledBy: null,
+      note: null
+    };
+    saveConversations();
+
+    emitWebhookEvent('message_received', session.accountId, record);
+  } catch (error) {
+    sessionLog(session, `❌ Failed to store incoming message from ${message.from}: ${error.message}`);
+  }
+}
+
+// Parse an optional date filter, answering 400 when it is not a date
+function parseDateFilter(value, name, res) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    res.status(400).json({ success: false, message: `${name} must be a valid date` });
+    return null;
+  }
+  return date.toISOString();
+}
+
+// Digits to compare a number filter with, whatever format it was given in
+function getNumberFilter(number) {
+  if (!number) return null;
+  const normalized = normalizePhoneNumber(number, DEFAULT_COUNTRY_CODE);
+  return normalized.valid ? normalized.digits : String(number).replace(/\D/g, '');
+}
+
+// List received messages, newest first
+// Filters: accountId, number, since, until, jobId (replies to that job), handled, limit, offset
+app.get('/api/messages', requireScope('inbox:read'), (req, res) => {
+  const { accountId, jobId, handled } = req.query;
+  const since = parseDateFilter(req.query.since, 'since', res);
+  const until = parseDateFilter(req.query.until, 'until', res);
+  if (since === null || until === null) return;
+
+  const number = getNumberFilter(req.query.number);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  const list = inboxMessages
+    .filter(record => canAccessAccount(req, record.accountId))
+    .filter(record => !accountId || record.accountId === accountId)
+    .filter(record => !number || record.number === number || record.chatId.split('@')[0] === number)
+    .filter(record => !since || record.receivedAt >= since)
+    .filter(record => !until || record.receivedAt <= until)
+    .filter(record => !jobId || (record.repliedTo && record.repliedTo.jobId === jobId))
+    .filter(record => {
+      if (handled === undefined) return true;
+      const conversation = conversations[getConversationKey(record.accountId, record.chatId)];
+      return Boolean(conversation && conversation.handled) === (handled === 'true');
+    })
+    .reverse();
+
+  res.status(200).json({
+    success: true,
+    total: list.length,
+    messages: list.slice(offset, offset + limit)
+  });
+});
+
+// Content-Disposition for a download; non-ASCII names go in filename* since headers only carry Latin-1
+function getAttachmentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Download the media file of a received (or uploaded) message
+app.get('/api/media/:mediaId', requireScope('inbox:read'), (req, res) => {
+  const media = getStoredMedia(req.params.mediaId);
+
+  if (!media) {
+    return res.status(404).json({ success: false, message: `Media ${req.params.mediaId} not found` });
+  }
+
+  res.setHeader('Content-Type', media.mimetype);
+  res.setHeader('Content-Disposition', getAttachmentDisposition(media.filename));
+  res.sendFile(path.resolve(MEDIA_DIR, media.mediaId));
+});
+
+// List conversations, the ones waiting for an answer first
+app.get('/api/conversations', requireScope('inbox:read'), (req, res) => {
+  const { accountId, handled } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  const list = Object.values(conversations)
+    .filter(conversation => canAccessAccount(req, conversation.accountId))
+    .filter(conversation => !accountId || conversation.accountId === accountId)
+    .filter(conversation => handled === undefined || conversation.handled === (handled === 'true'))
+    .sort((a, b) => (a.handled - b.handled) || b.lastMessageAt.localeCompare(a.lastMessageAt));
+
+  res.status(200).json({
+    success: true,
+    total: list.length,
+    conversations: list.slice(0, limit)
+  });
+});
+
+// Mark a conversation handled (or open it again with { "handled": false })
+app.post('/api/conversations/:chatId/handled', requireScope('inbox:write'), (req, res) => {
+  const accountId = getRequestAccountId(req);
+  const chatId = req.params.chatId.includes('@') ? req.params.chatId : `${getNumberFilter(req.params.chatId)}@c.us`;
+  const conversation = conversations[getConversationKey(accountId, chatId)];
+
+  if (!conversation) {
+    return res.status(404).json({ success: false, message: `No conversation with ${req.params.chatId} on account ${accountId}` });
+  }
+
+  const handled = !req.body || req.body.handled !== false;
+  conversation.handled = handled;
+  conversation.handledAt = handled ? new Date().toISOString() : null;
+  conversation.handledBy = handled ? req.apiKey.name : null;
+  conversation.note = handled && req.body && typeof req.body.note === 'string' ? req.body.note : null;
+  saveConversations();
+
+  res.status(200).json({ success: true, conversation });
+});
+
+// List all WhatsApp accounts
+app.get('/api/accounts', requireScope('read:status'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    accounts: [...sessions.values()]
+      .filter(session => canAccessAccount(req, session.accountId))
+      .map(summarizeAccount)
+  });
+});
+
+// Create a WhatsApp account and start its client (scan its QR on /?accountId=<id>)
+app.post('/api/accounts', requireScope('session:admin'), (req, res) => {
+  const { id, name } = req.body || {};
+
+  if (!id || typeof id !== 'string' || !ACCOUNT_ID_PATTERN.test(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid account id. Only letters, numbers, underscores and hyphens are allowed.'
+    });
+  }
+
+  if (sessions.has(id)) {
+    return res.status(409).json({
+      success: false,
+      message: `WhatsApp account ${id} already exists`
+    });
+  }
+
+  const session = addAccount(id, name);
+  saveAccounts();
+  startSession(session);
+  log(`➕ WhatsApp account ${id} created`);
+
+  res.status(201).json({
+    success: true,
+    message: `WhatsApp account ${id} created. Scan its QR code at /?accountId=${encodeURIComponent(id)}`,
+    account: summarizeAccount(session)
+  });
+});
+
+// Remove a WhatsApp account, optionally logging the device out first
+app.delete('/api/accounts/:accountId', requireScope('session:admin'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  if (req.query.logout === 'true' && session.isLoggedIn && session.client) {
+    try {
+      await session.client.logout();
+    } catch (error) {
+      sessionLog(session, `❌ Error during WhatsApp logout: ${error.message}`);
+    }
+  }
+
+  sessions.delete(session.accountId);
+  await stopSession(session);
+  wipeSavedSession(session.accountId);
+  saveAccounts();
+
+  // Jobs of a removed account can never be sent
+  for (const job of jobs.values()) {
+    if (getJobAccountId(job) === session.accountId && (job.status === 'queued' || job.status === 'running')) {
+      job.status = 'failed';
+      job.completedAt = new Date().toISOString();
+      saveJob(job);
+    }
+  }
+
+  log(`➖ WhatsApp account ${session.accountId} removed`);
+
+  res.status(200).json({
+    success: true,
+    message: `WhatsApp account ${session.accountId} removed`
+  });
+});
+
+// Connection state transitions of an account, newest first, to see when and why it dropped
+app.get('/api/session/history', requireScope('read:status'), (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  const since = parseDateFilter(req.query.since, 'since', res);
+  if (since === null) return;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, CONNECTION_HISTORY_LIMIT);
+
+  const history = (connectionHistory.get(session.accountId) || [])
+    .filter(entry => !since || entry.at >= since)
+    .filter(entry => !req.query.state || entry.to === req.query.state)
+    .slice(-limit)
+    .reverse();
+
+  res.status(200).json({
+    success: true,
+    accountId: session.accountId,
+    state: session.connection.state,
+    since: session.connection.since,
+    reason: session.connection.reason,
+    waState: session.connection.waState,
+    history
+  });
+});
+
+// Ping test route to test connection
+app.get('/ping', requireScope('read:status'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  if (!session.isLoggedIn || !session.client) {
+    return res.status(200).json({
+      success: false,
+      accountId: session.accountId,
+      status: session.connection.state,
+      message: 'WhatsApp not connected'
+    });
+  }
+
+  try {
+    const state = await session.client.getState();
+    session.connection.waState = state;
+    session.lastActiveTimestamp = Date.now();
+    
+    return res.status(200).json({
+      success: true,
+      accountId: session.accountId,
+      status: state,
+      number: session.loggedInNumber,
+      name: session.loggedInName,
+      message: 'Connection active'
+    });
+  } catch (error) {
+    sessionLog(session, `❌ Ping check failed: ${error.message}`);
+    
+    return res.status(200).json({
+      success: false,
+      accountId: session.accountId,
+      status: 'ERROR',
+      message: `Failed to check state: ${error.message}`
+    });
+  }
+});
+
+// Generate new QR code manually
+app.post('/generate-qr', requireScope('session:admin'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  sessionLog(session, '🔄 Manual QR code generation requested...');
+  
+  // Only allow this if we're not logged in
+  if (session.isLoggedIn) {
+    return res.status(200).json({
+      success: false,
+      message: 'Cannot generate QR code while logged in'
+    });
+  }
+  
+  // Reset client and generate new QR
+  await destroyClient(session, 'New QR code requested');
+  
+  // Initialize new client to get a fresh QR
+  scheduleReconnect(session, 2000, 'New QR code requested');
+  
+  res.status(200).json({
+    success: true,
+    message: 'Generating new QR code'
+  });
+});
+
+// Toggle QR auto-refresh
+app.post('/toggle-qr-auto-refresh', requireScope('session:admin'), (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  session.qrAutoRefresh = !session.qrAutoRefresh;
+  publishSessionState(session);
+  sessionLog(session, `🔄 QR auto-refresh ${session.qrAutoRefresh ? 'enabled' : 'disabled'}`);
+  
+  res.status(200).json({
+    success: true,
+    autoRefresh: session.qrAutoRefresh,
+    message: `QR auto-refresh ${session.qrAutoRefresh ? 'enabled' : 'disabled'}`
+  });
+});
+
+// Live dashboard updates over Server-Sent Events
+// GET /api/events streams one account's "state" (connection and QR code), "jobs" (progress) and "accounts" (switcher) events
+const EVENT_KEEPALIVE_INTERVAL = 25000; // Comment lines keep proxies from closing idle streams
+const JOB_EVENT_DELAY = 500; // Job progress is pushed at most this often per account
+const eventClients = new Set(); // { req, res, accountId } per open stream
+const pendingJobEvents = new Map(); // Account id -> timer of the next jobs event
+
+// Write one event to a stream
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// What the dashboard shows about an account's connection
+function getDashboardState(session) {
+  return {
+    accountId: session.accountId,
+    state: session.connection.state,
+    since: session.connection.since,
+    reason: session.connection.reason,
+    connected: session.isLoggedIn,
+    number: session.isLoggedIn ? session.loggedInNumber : null,
+    name: session.isLoggedIn ? session.loggedInName : null,
+    profilePictureUrl: session.isLoggedIn ? session.profilePictureUrl : null,
+    qr: session.qrCodeData && !session.isLoggedIn
+      ? { image: session.qrCodeData, generatedAt: new Date(session.qrGenerationTime).toISOString() }
+      : null,
+    qrAutoRefresh: session.qrAutoRefresh
+  };
+}
+
+// The account's unfinished jobs and the last few finished ones
+function getDashboardJobs(accountId) {
+  const accountJobs = [...jobs.values()]
+    .filter(job => getJobAccountId(job) === accountId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const active = accountJobs.filter(job => ['queued', 'scheduled', 'running', 'paused'].includes(job.status));
+  const finished = accountJobs.filter(job => !active.includes(job)).slice(0, 3);
+
+  return [...active.slice(0, 10), ...finished].map(job => ({
+    id: job.id,
+    type: job.type,
+    campaignId: job.campaignId || null,
+    status: job.status,
+    counts: getJobCounts(job)
+  }));
+}
+
+// Connection status of the accounts a request's key may use, for the switcher
+function getDashboardAccounts(req) {
+  return [...sessions.values()]
+    .filter(session => canAccessAccount(req, session.accountId))
+    .map(session => ({ id: session.accountId, name: session.name, connected: session.isLoggedIn }));
+}
+
+// Push an account's connection state to its streams, and the switcher to every stream allowed to see the account
+function publishSessionState(session) {
+  if (eventClients.size === 0) return;
+
+  const state = getDashboardState(session);
+  for (const client of eventClients) {
+    if (!canAccessAccount(client.req, session.accountId)) continue;
+    if (client.accountId === session.accountId) sendEvent(client.res, 'state', state);
+    sendEvent(client.res, 'accounts', getDashboardAccounts(client.req));
+  }
+}
+
+// Push job progress to the account's streams, batching the updates of a running job
+function publishJobProgress(job) {
+  const accountId = getJobAccountId(job);
+  if (eventClients.size === 0 || pendingJobEvents.has(accountId)) return;
+
+  pendingJobEvents.set(accountId, setTimeout(() => {
+    pendingJobEvents.delete(accountId);
+    const list = getDashboardJobs(accountId);
+    for (const client of eventClients) {
+      if (client.accountId === accountId) sendEvent(client.res, 'jobs', list);
+    }
+  }, JOB_EVENT_DELAY));
+}
+
+// Event stream for the dashboard (or any client with read:status)
+app.get('/api/events', requireScope('read:status'), (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const client = { req, res, accountId: session.accountId };
+  eventClients.add(client);
+
+  // Start with the full picture, then send changes as they happen
+  sendEvent(res, 'state', getDashboardState(session));
+  sendEvent(res, 'jobs', getDashboardJobs(session.accountId));
+  sendEvent(res, 'accounts', getDashboardAccounts(req));
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENT_KEEPALIVE_INTERVAL);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    eventClients.delete(client);
+  });
+});
+
+// Escape text for HTML, account names and ids come from API requests
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Links to switch the dashboard between accounts, staying on the same page
+function renderAccountSwitcher(session, basePath = '/') {
+  if (sessions.size < 2) return '';
+
+  const links = [...sessions.values()].map(account => {
+    const icon = account.isLoggedIn ? '🟢' : '⚪';
+    const active = account === session ? ' active' : '';
+    return `<a class="account-link${active}" href="${basePath}?accountId=${encodeURIComponent(account.accountId)}"><span data-account-icon="${escapeHtml(account.accountId)}">${icon}</span> ${escapeHtml(account.name)}</a>`;
+  });
+
+  return `<div class="accounts">${links.join('')}</div>`;
+}
+
+// CSS shared by the dashboard pages for the account switcher
+const ACCOUNT_SWITCHER_STYLES = `
+            .accounts { display: flex; flex-wrap: wrap; justify-content: center; gap: 6px; margin-bottom: 15px; }
+            .account-link { font-size: 12px; color: #128C7E; text-decoration: none; padding: 4px 8px; border: 1px solid #128C7E; border-radius: 12px; }
+            .account-link.active { background: #128C7E; color: white; }`;
+
+// Links between the dashboard's status and campaign pages
+function renderDashboardNav(session, currentPath) {
+  const accountQuery = `?accountId=${encodeURIComponent(session.accountId)}`;
+  const links = [['/', 'Status'], ['/campaigns', 'Campaigns']].map(([href, label]) => {
+    const active = href === currentPath ? ' active' : '';
+    return `<a class="nav-link${active}" href="${href}${accountQuery}">${label}</a>`;
+  });
+
+  return `<div class="dashboard-nav">${links.join('')}</div>`;
+}
+
+// CSS for the dashboard's page links
+const DASHBOARD_NAV_STYLES = `
+            .dashboard-nav { margin-bottom: 15px; }
+            .nav-link { color: #128C7E; text-decoration: none; font-size: 14px; margin: 0 8px; }
+            .nav-link.active { font-weight: bold; border-bottom: 2px solid #128C7E; }`;
+
+// Sign out form shown at the bottom of every dashboard page
+const DASHBOARD_SIGN_OUT = `<form method="POST" action="/dashboard/logout" style="margin-top: 10px;"><button type="submit" style="background: none; border: none; color: #777; font-size: 12px; text-decoration: underline; cursor: pointer;">Sign out of dashboard</button></form>`;
+
+// CSS for the dashboard's job list
+const JOB_CONTROL_STYLES = `
+            .jobs { margin-top: 20px; text-align: left; }
+            .jobs h3 { font-size: 15px; margin: 0 0 8px; }
+            .jobs table { width: 100%; font-size: 12px; border-collapse: collapse; }
+            .jobs td, .jobs th { padding: 4px; border-bottom: 1px solid #eee; }
+            .btn-small { padding: 4px 8px; font-size: 11px; margin: 0 2px; }`;
+
+// Client-side handler for the job buttons, the table updates from the event stream
+const JOB_CONTROL_SCRIPT = `
+            function controlJob(jobId, action) {
+              if (action === 'cancel' && !confirm('Cancel this job? Messages that were not sent yet will not be sent.')) return;
+              fetch('/api/jobs/' + jobId + '/' + action, { method: 'POST' })
+                .then(response => response.json())
+                .then(data => {
+                  if (!data.success) alert(data.message);
+                })
+                .catch(err => {
+                  alert('Error updating job');
+                });
+            }`;
+
+// Web server routes
+// The dashboard is one page with a view per connection stage, kept up to date by the /api/events stream
+app.get('/', (req, res) => {
+  // The dashboard has its own login
+  if (!hasDashboardSession(req)) {
+    return res.redirect('/dashboard/login');
+  }
+
+  const accountId = String(req.query.accountId || DEFAULT_ACCOUNT_ID);
+  const session = sessions.get(accountId);
+
+  if (!session) {
+    return res.status(404).send(`WhatsApp account ${escapeHtml(accountId)} not found`);
+  }
+
+  // Every dashboard action targets the account being viewed
+  const accountQuery = `?accountId=${encodeURIComponent(session.accountId)}`;
+
+  res.send(`
+      <html>
+        <head>
+          <title>WhatsApp Status</title>
+          <style>
+            body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh; flex-direction: column; background-color: #f0f2f5; margin: 0; padding: 0; }
+            .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); text-align: center; max-width: 500px; width: 100%; }
+            .view { display: none; }
+            .view.active { display: block; }
+            .success { color: #128C7E; }
+            .waiting { color: #E37400; }
+            .live { color: #777; font-size: 12px; margin-top: 20px; }
+            .live.offline { color: #e74c3c; }
+            .actions { margin-top: 20px; }
+            .btn { background: #128C7E; color: white; border: none; padding: 10px 15px; border-radius: 5px; cursor: pointer; margin: 0 5px; }
+            .btn-danger { background: #e74c3c; }
+            .btn-warning { background: #f39c12; }
+            .profile-section { display: flex; flex-direction: column; align-items: center; margin-bottom: 20px; }
+            .profile-pic { width: 135px; height: 135px; border-radius: 50%; object-fit: cover; border: 3px solid #128C7E; margin-bottom: 10px; }
+            .profile-pic-placeholder { width: 100px; height: 100px; border-radius: 50%; background-color: #128C7E; display: flex; align-items: center; justify-content: center; color: white; font-size: 40px; margin-bottom: 10px; }
+            .user-name { font-weight: bold; font-size: 18px; margin-bottom: 5px; }
+            .user-number { color: #666; margin-bottom: 10px; }
+            .qr-image { max-width: 300px; border: 1px solid #ddd; padding: 10px; margin: 20px 0; }
+            .qr-timestamp { font-size: 12px; color: #666; margin-top: 5px; }
+            .qr-container { display: flex; justify-content: center; align-items: center; }
+            .loader { border: 5px solid #f3f3f3; border-radius: 50%; border-top: 5px solid #128C7E; width: 50px; height: 50px; animation: spin 1s linear infinite; margin: 20px auto; }
+            @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
+            ${ACCOUNT_SWITCHER_STYLES}
+            ${DASHBOARD_NAV_STYLES}
+            ${JOB_CONTROL_STYLES}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            ${renderDashboardNav(session, '/')}
+            ${renderAccountSwitcher(session)}
+
+            <div id="view-connected" class="view">
+              <h2 class="success">✅ WhatsApp Connected</h2>
+              <div class="profile-section">
+                <img id="profile-pic" class="profile-pic" alt="Profile Picture" style="display: none;" onerror="this.style.display='none';document.getElementById('profile-placeholder').style.display='flex';"/>
+                <div id="profile-placeholder" class="profile-pic-placeholder">+</div>
+                <div id="user-name" class="user-name"></div>
+                <div id="user-number" class="user-number"></div>
+              </div>
+              <p>WhatsApp session is active and being monitored.</p>
+              <p>Current status: <span class="status"></span></p>
+              <div class="actions">
+                <button class="btn" onclick="pingConnection()">Check Connection</button>
+                <button class="btn btn-warning" onclick="logoutConnection()">Logout Device</button>
+                <button class="btn btn-danger" onclick="resetConnection()">Reset Connection</button>
+              </div>
+              <div id="ping-result" style="margin-top: 15px;"></div>
+            </div>
+
+            <div id="view-qr" class="view">
+              <h2>Scan QR Code with WhatsApp</h2>
+              <p>Open WhatsApp on your phone, go to Settings > Linked Devices > Link a Device</p>
+              <div class="qr-container">
+                <img id="qr-image" class="qr-image" alt="WhatsApp QR Code" />
+              </div>
+              <p class="qr-timestamp">QR Code generated: <span id="qr-time"></span></p>
+              <p>Current status: <span class="status"></span></p>
+              <div class="actions">
+                <button class="btn" onclick="generateNewQR()">Generate New QR Code</button>
+                <button id="toggle-btn" class="btn" onclick="toggleAutoRefresh()"></button>
+              </div>
+            </div>
+
+            <div id="view-loading" class="view">
+              <h2 class="waiting">⏳ Preparing WhatsApp Connection...</h2>
+              <div class="loader"></div>
+              <p>Current status: <span class="status"></span></p>
+            </div>
+
+            <div id="jobs" class="jobs" style="display: none;">
+              <h3>Jobs</h3>
+              <table><thead><tr><th>Job</th><th>Status</th><th>Progress</th><th></th></tr></thead><tbody id="job-rows"></tbody></table>
+            </div>
+            <p id="live" class="live">Connecting to live updates...</p>
+            ${DASHBOARD_SIGN_OUT}
+          </div>
+          
+          <script>
+            const accountQuery = '${accountQuery}';
+
+            // Show the view for the account's connection stage and fill it in
+            function applyState(state) {
+              const view = state.connected ? 'connected' : (state.qr ? 'qr' : 'loading');
+              document.querySelectorAll('.view').forEach(element => {
+                element.classList.toggle('active', element.id === 'view-' + view);
+              });
+              document.querySelectorAll('.status').forEach(element => { element.textContent = state.state; });
+              document.title = state.connected ? 'WhatsApp Status' : (state.qr ? 'Scan QR Code' : 'Connecting...');
+
+              if (state.connected) {
+                const picture = document.getElementById('profile-pic');
+                const placeholder = document.getElementById('profile-placeholder');
+                if (state.profilePictureUrl) {
+                  picture.src = state.profilePictureUrl;
+                  picture.style.display = 'block';
+                  placeholder.style.display = 'none';
+                } else {
+                  picture.style.display = 'none';
+                  placeholder.style.display = 'flex';
+                  placeholder.textContent = state.name ? state.name[0].toUpperCase() : '+';
+                }
+                document.getElementById('user-name').textContent = state.name || 'WhatsApp User';
+                document.getElementById('user-number').textContent = '+' + state.number;
+              }
+
+              if (state.qr) {
+                // Only swap the image when the code changed, so a scan in progress isn't disturbed
+                const image = document.getElementById('qr-image');
+                if (image.getAttribute('src') !== state.qr.image) image.src = state.qr.image;
+                document.getElementById('qr-time').textContent = new Date(state.qr.generatedAt).toLocaleTimeString();
+              }
+
+              const toggle = document.getElementById('toggle-btn');
+              toggle.textContent = (state.qrAutoRefresh ? 'Disable' : 'Enable') + ' Auto-Refresh';
+              toggle.style.background = state.qrAutoRefresh ? '#f39c12' : '#128C7E';
+            }
+
+            // Job table with pause, resume and cancel buttons for unfinished jobs
+            function renderJobs(jobs) {
+              const rows = document.getElementById('job-rows');
+              rows.innerHTML = '';
+              document.getElementById('jobs').style.display = jobs.length > 0 ? 'block' : 'none';
+
+              jobs.forEach(job => {
+                const row = document.createElement('tr');
+                const done = job.counts.total - job.counts.queued;
+
+                // Every job links to its progress page
+                const link = document.createElement('a');
+                link.href = '/campaigns/' + job.id + accountQuery;
+                link.textContent = job.campaignId || job.type;
+                row.appendChild(document.createElement('td')).appendChild(link);
+
+                [job.status, done + '/' + job.counts.total].forEach(text => {
+                  const cell = document.createElement('td');
+                  cell.textContent = text;
+                  row.appendChild(cell);
+                });
+
+                const actions = document.createElement('td');
+                if (['queued', 'scheduled', 'running', 'paused'].includes(job.status)) {
+                  const toggleAction = job.status === 'paused' ? 'resume' : 'pause';
+                  actions.appendChild(jobButton(job.id, toggleAction, toggleAction === 'resume' ? 'Resume' : 'Pause', toggleAction === 'resume' ? '' : 'btn-warning'));
+                  actions.appendChild(jobButton(job.id, 'cancel', 'Cancel', 'btn-danger'));
+                }
+                row.appendChild(actions);
+                rows.appendChild(row);
+              });
+            }
+
+            function jobButton(jobId, action, label, style) {
+              const button = document.createElement('button');
+              button.className = 'btn btn-small ' + style;
+              button.textContent = label;
+              button.onclick = () => controlJob(jobId, action);
+              return button;
+            }
+
+            // Tick the other accounts' status in the switcher
+            function updateAccounts(accounts) {
+              accounts.forEach(account => {
+                const icon = document.querySelector('[data-account-icon="' + account.id + '"]');
+                if (icon) icon.textContent = account.connected ? '🟢' : '⚪';
+              });
+            }
+
+            // Live updates, EventSource reconnects by itself after a dropped stream
+            const events = new EventSource('/api/events' + accountQuery);
+            const live = document.getElementById('live');
+            events.addEventListener('state', event => applyState(JSON.parse(event.data)));
+            events.addEventListener('jobs', event => renderJobs(JSON.parse(event.data)));
+            events.addEventListener('accounts', event => updateAccounts(JSON.parse(event.data)));
+            events.onopen = () => {
+              live.textContent = 'Live updates connected.';
+              live.classList.remove('offline');
+            };
+            events.onerror = () => {
+              live.textContent = 'Live updates interrupted, reconnecting...';
+              live.classList.add('offline');
+            };
+
+            function pingConnection() {
+              document.getElementById('ping-result').innerHTML = 'Checking connection...';
+              fetch('/ping' + accountQuery)
+                .then(response => response.json())
+                .then(data => {
+                  document.getElementById('ping-result').innerHTML = 
+                    data.success ? 
+                    '<span style="color:#128C7E">✅ Connection active: ' + data.status + '</span>' : 
+                    '<span style="color:#e74c3c">❌ Connection issue: ' + data.message + '</span>';
+                })
+                .catch(err => {
+                  document.getElementById('ping-result').innerHTML = 
+                    '<span style="color:#e74c3c">❌ Error checking connection</span>';
+                });
+            }
+            
+            function resetConnection() {
+              if (confirm('Are you sure you want to reset the WhatsApp connection?')) {
+                fetch('/reset' + accountQuery, { method: 'POST' })
+                  .then(response => response.text())
+                  .then(data => alert(data))
+                  .catch(err => {
+                    alert('Error resetting connection');
+                  });
+              }
+            }
+            
+            function logoutConnection() {
+              if (confirm('Are you sure you want to logout this device from WhatsApp?')) {
+                fetch('/logout' + accountQuery, { method: 'POST' })
+                  .then(response => response.text())
+                  .then(data => alert(data))
+                  .catch(err => {
+                    alert('Error logging out');
+                  });
+              }
+            }
+
+            function generateNewQR() {
+              fetch('/generate-qr' + accountQuery, { method: 'POST' })
+                .then(response => response.json())
+                .then(data => {
+                  if (!data.success) alert(data.message);
+                })
+                .catch(err => {
+                  alert('Error generating QR code');
+                });
+            }
+            
+            function toggleAutoRefresh() {
+              fetch('/toggle-qr-auto-refresh' + accountQuery, { method: 'POST' })
+                .then(response => response.json())
+                .then(data => {
+                  if (!data.success) alert(data.message);
+                })
+                .catch(err => {
+                  alert('Error toggling auto-refresh');
+                });
+            }
+            ${JOB_CONTROL_SCRIPT}
+          </script>
+        </body>
+      </html>
+    `);
+});
+
+// Bulk messaging API endpoint
+// app.post('/api/send-bulk', async (req, res) => {
+//     // Check if WhatsApp is connected
+//     if (!isLoggedIn || !client) {
+//       return res.status(403).json({
+//         success: false,
+//         message: 'WhatsApp not connected. Please scan QR code first.'
+//       });
+//     }
+  
+//     try {
+//       // Get the messages array from request body
+//       const { messages } = req.body;
+      
+//       if (!messages || !Array.isArray(messages) || messages.length === 0) {
+//         return res.status(400).json({
+//           success: false,
+//           message: 'Invalid request. Please provide an array of messages.'
+//         });
+//       }
+      
+//       // Start processing messages
+//       log(`📤 Starting bulk message sending - ${messages.length} messages queued`);
+      
+//       // Initial response to prevent timeout
+//       res.status(202).json({
+//         success: true,
+//         message: `Processing ${messages.length} messages in the background`,
+//         queued: messages.length
+//       });
+      
+//       // Process messages in the background with a small delay between each
+//       let successCount = 0;
+//       let failCount = 0;
+      
+//       // Function to send a single text message
+//       const sendTextMessage = async (recipient, message) => {
+//         try {
+//           // Send simple text message
+//           await client.sendMessage(recipient, message);
+          
+//           // Track successful message
+//           successCount++;
+//           log(`✅ Sent message to ${recipient}`);
+          
+//           return { recipient, status: 'success' };
+//         } catch (error) {
+//           failCount++;
+//           log(`❌ Failed to send message to ${recipient}: ${error.message}`);
+//           return { recipient, status: 'failed', error: error.message };
+//         }
+//       };
+  
+//       // Process each message with a small delay between sends
+//       for (let i = 0; i < messages.length; i++) {
+//         const { number, message } = messages[i];
+        
+//         // Validate the number format
+//         const formattedNumber = number.startsWith('+') ? 
+//           number.substring(1) + '@c.us' : 
+//           number + '@c.us';
+        
+//         try {
+//           // Send the text message
+//           await sendTextMessage(formattedNumber, message);
+          
+//           // Small delay between messages to prevent rate limiting (500-800ms)
+//           if (i < messages.length - 1) {
+//             await new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * 300) + 500));
+//           }
+          
+//           // Log progress periodically
+//           if (i % 10 === 0 || i === messages.length - 1) {
+//             log(`📊 Bulk sending progress: ${i + 1}/${messages.length}`);
+//           }
+//         } catch (error) {
+//           log(`❌ Error in bulk send loop: ${error.message}`);
+//           failCount++;
+//         }
+//       }
+      
+//       // Log final results
+//       log(`✅ Bulk message sending completed: ${successCount} successful, ${failCount} failed`);
+      
+//     } catch (error) {
+//       log(`❌ Error in bulk sending API: ${error.message}`);
+//       // We've already sent the initial response
+//     }
+//   });
+
+  
+//   app.post('/api/send-bulk-qr', async (req, res) => {
+//     // Check if WhatsApp is connected
+//     if (!isLoggedIn || !client) {
+//       return res.status(403).json({
+//         success: false,
+//         message: 'WhatsApp not connected. Please scan QR code first.'
+//       });
+//     }
+    
+//     try {
+//       // Get the messages array from request body
+//       const { messages } = req.body;
+      
+//       if (!messages || !Array.isArray(messages) || messages.length === 0) {
+//         return res.status(400).json({
+//           success: false,
+//           message: 'Invalid request. Please provide an array of messages.'
+//         });
+//       }
+      
+//       // Start processing messages
+//       log(`📤 Starting bulk message sending - ${messages.length} messages queued`);
+      
+//       // Initial response to prevent timeout
+//       res.status(202).json({
+//         success: true,
+//         message: `Processing ${messages.length} messages in the background`,
+//         queued: messages.length
+//       });
+      
+//       // Process messages in the background with a small delay between each
+//       let successCount = 0;
+//       let failCount = 0;
+      
+//       // Function to generate QR code from data
+//       const generateQRCode = async (qrData) => {
+//         try {
+//           if (!qrData) return null;
+          
+//           // Generate QR code as data URL using qrcode library
+//           // Using await directly with the promise-based API
+//           const qrCodeDataURL = await qrcode.toDataURL(qrData, {
+//             errorCorrectionLevel: 'H',
+//             margin: 1,
+//             width: 300
+//           });
+          
+//           // Convert data URL to buffer
+//           const base64Data = qrCodeDataURL.replace(/^data:image\/png;base64,/, '');
+//           const imageBuffer = Buffer.from(base64Data, 'base64');
+          
+//           return imageBuffer;
+//         } catch (error) {
+//           log(`❌ Error generating QR code: ${error.message}`);
+//           return null;
+//         }
+//       };
+      
+//       // Function to send a message - either text or image with caption
+//       const sendMessage = async (recipient, message, qrData) => {
+//         try {
+//           // Format the number
+//           const formattedNumber = recipient.startsWith('+') ?
+//             recipient.substring(1) + '@c.us' :
+//             recipient + '@c.us';
+          
+//           // If QR data is provided, send image with caption
+//           if (qrData) {
+//             try {
+//               // Generate QR code image
+//               const qrImageBuffer = await generateQRCode(qrData);
+              
+//               if (qrImageBuffer) {
+//                 // Create media from buffer
+//                 const media = new MessageMedia('image/png', qrImageBuffer.toString('base64'), 'qrcode.png');
+                
+//                 // Send the image with message as caption
+//                 await client.sendMessage(formattedNumber, media, { caption: message });
+                
+//                 successCount++;
+//                 log(`✅ Sent QR image message to ${recipient}`);
+//               } else {
+//                 // If QR generation failed, send text message only
+//                 await client.sendMessage(formattedNumber, message);
+//                 log(`⚠️ QR generation failed for ${recipient}, sent text only`);
+//                 successCount++;
+//               }
+//             } catch (qrError) {
+//               // If there's an error with QR generation, fall back to text message
+//               log(`⚠️ QR error for ${recipient}: ${qrError.message}, sending text only`);
+//               await client.sendMessage(formattedNumber, message);
+//               successCount++;
+//             }
+//           } else {
+//             // Send simple text message
+//             await client.sendMessage(formattedNumber, message);
+//             successCount++;
+//             log(`✅ Sent text message to ${recipient}`);
+//           }
+          
+//           return { recipient, status: 'success' };
+//         } catch (error) {
+//           failCount++;
+//           log(`❌ Failed to send message to ${recipient}: ${error.message}`);
+//           return { recipient, status: 'failed', error: error.message };
+//         }
+//       };
+      
+//       // Process each message with a small delay between sends
+//       for (let i = 0; i < messages.length; i++) {
+//         const { number, message, qrData } = messages[i];
+        
+//         try {
+//           // Send the message (with QR if available)
+//           await sendMessage(number, message, qrData);
+          
+//           // Small delay between messages to prevent rate limiting (500-800ms)
+//           if (i < messages.length - 1) {
+//             await new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * 300) + 500));
+//           }
+          
+//           // Log progress periodically
+//           if (i % 10 === 0 || i === messages.length - 1) {
+//             log(`📊 Bulk sending progress: ${i + 1}/${messages.length}`);
+//           }
+//         } catch (error) {
+//           log(`❌ Error in bulk send loop: ${error.message}`);
+//           failCount++;
+//         }
+//       }
+      
+//       // Log final results
+//       log(`✅ Bulk message sending completed: ${successCount} successful, ${failCount} failed`);
+      
+//     } catch (error) {
+//       log(`❌ Error in bulk sending API: ${error.message}`);
+//       // We've already sent the initial response
+//     }
+//   });
+
+// app.post('/api/send-messages', async (req, res) => {
+//   // Check if WhatsApp is connected
+//   if (!isLoggedIn || !client) {
+//     return res.status(403).json({
+//       success: false,
+//       message: 'WhatsApp not connected. Please scan QR code first.'
+//     });
+//   }
+
+//   try {
+//     // Get the messages array from request body
+//     const { messages } = req.body;
+    
+//     if (!messages || !Array.isArray(messages) || messages.length === 0) {
+//       return res.status(400).json({
+//         success: false,
+//         message: 'Invalid request. Please provide an array of messages.'
+//       });
+//     }
+    
+//     // Immediately respond to prevent timeout
+//     res.status(202).json({
+//       success: true,
+//       message: `Processing ${messages.length} messages in the background`,
+//       queued: messages.length
+//     });
+    
+//     // Track success and failure
+//     let successCount = 0;
+//     let failCount = 0;
+    
+//     // Process messages one by one
+//     for (let i = 0; i < messages.length; i++) {
+//       const { number, message, qrData } = messages[i];
+      
+//       // Format phone number
+//       const formattedNumber = number.startsWith('+') ?
+//         number.substring(1) + '@c.us' :
+//         number + '@c.us';
+      
+//       try {
+//         // Check if this message should include a QR code
+//         if (qrData) {
+//           try {
+//             // Generate QR code
+//             const qrImageBuffer = await generateQRCode(qrData);
+            
+//             if (qrImageBuffer) {
+//               // Create media from buffer
+//               const media = new MessageMedia('image/png', qrImageBuffer.toString('base64'), 'qrcode.png');
+              
+//               // Send the image with message as caption
+//               await client.sendMessage(formattedNumber, media, { caption: message });
+              
+//               successCount++;
+//               log(`✅ Sent QR image message to ${number} (${i+1}/${messages.length})`);
+//             } else {
+//               // QR generation failed, send text only
+//               await client.sendMessage(formattedNumber, message);
+//               successCount++;
+//               log(`⚠️ QR generation failed for ${number}, sent text only (${i+1}/${messages.length})`);
+//             }
+//           } catch (qrError) {
+//             // If QR generation errors, fall back to text message
+//             log(`⚠️ QR error for ${number}: ${qrError.message}, sending text only`);
+//             await client.sendMessage(formattedNumber, message);
+//             successCount++;
+//           }
+//         } else {
+//           // Send simple text message (no QR)
+//           await client.sendMessage(formattedNumber, message);
+//           successCount++;
+//           log(`✅ Sent text message to ${number} (${i+1}/${messages.length})`);
+//         }
+//       } catch (error) {
+//         failCount++;
+//         log(`❌ Failed to send message to ${number}: ${error.message} (${i+1}/${messages.length})`);
+//       }
+      
+//       // Add delay between messages (600-900ms)
+//       if (i < messages.length - 1) {
+//         await new Promise(resolve => setTimeout(resolve, 600 + Math.floor(Math.random() * 300)));
+//       }
+      
+//       // Log progress periodically
+//       if (i % 5 === 0 || i === messages.length - 1) {
+//         log(`📊 Sending progress: ${i + 1}/${messages.length} (${successCount} success, ${failCount} fail)`);
+//       }
+//     }
+    
+//     // Log final results
+//     log(`✅ Message sending completed: ${successCount} successful, ${failCount} failed`);
+    
+//   } catch (error) {
+//     log(`❌ Error in message sending API: ${error.message}`);
+//   }
+// });
+
+// // Improved QR code generation function with better error handling
+// const generateQRCode = async (qrData) => {
+//   if (!qrData) return null;
+  
+//   try {
+//     // Set a timeout for QR generation to prevent hanging
+//     const qrPromise = new Promise((resolve, reject) => {
+//       qrcode.toBuffer(qrData, {
+//         errorCorrectionLevel: 'M',
+//         margin: 1,
+//         width: 300,
+//         color: {
+//           dark: '#000000',
+//           light: '#ffffff'
+//         }
+//       })
+//       .then(resolve)
+//       .catch(reject);
+      
+//       // Set 5 second timeout for QR generation
+//       setTimeout(() => reject(new Error('QR generation timeout')), 5000);
+//     });
+    
+//     return await qrPromise;
+//   } catch (error) {
+//     log(`❌ Error generating QR code: ${error.message}`);
+//     return null;
+//   }
+// };
+// // Status endpoint to check server and WhatsApp connection status
+// app.get('/status', async (req, res) => {
+//   let state = connectionState;
+
+//   // If logged in, try to get real-time state
+//   if (isLoggedIn && client) {
+//     try {
+//       state = await client.getState();
+//       lastKnownState = state;
+//       lastActiveTimestamp = Date.now();
+//     } catch (error) {
+//       log(`❌ Error getting state for status endpoint: ${error.message}`);
+//       // Keep using the stored connectionState if error
+//     }
+//   }
+
+//   res.json({
+//     server: 'running',
+//     whatsapp: {
+//       connected: isLoggedIn,
+//       state: state,
+//       number: isLoggedIn ? loggedInNumber : null,
+//       name: isLoggedIn ? loggedInName : null,
+//       profilePicture: isLoggedIn ? (profilePictureUrl ? true : false) : false,
+//       lastActive: lastActiveTimestamp > 0 ? new Date(lastActiveTimestamp).toISOString() : null,
+//       qrAutoRefresh: qrAutoRefresh
+//     }
+//   });
+// });
+
+// const generateQRCode = async (qrData) => {
+//   if (!qrData) return null;
+
+//   try {
+//     const qrPromise = new Promise((resolve, reject) => {
+//       qrcode.toBuffer(qrData, {
+//         errorCorrectionLevel: 'M',
+//         margin: 1,
+//         width: 300,
+//         color: {
+//           dark: '#000000',
+//           light: '#ffffff'
+//         }
+//       })
+//       .then(resolve)
+//       .catch(reject);
+
+//       setTimeout(() => reject(new Error('QR generation timeout')), 5000);
+//     });
+
+//     return await qrPromise;
+//   } catch (error) {
+//     log(`❌ Error generating QR code: ${error.message}`);
+//     return null;
+//   }
+// };
+
+// QR rendering options, per message ("qrOptions") or for the whole request
+// { symbology, format: 'png' | 'svg', errorCorrectionLevel: 'L' | 'M' | 'Q' | 'H', margin, width,
+//   color: { dark, light }, logo: <media input>, logoSize: fraction of the width, caption }
+const CODE_SYMBOLOGIES = { // Codes other than QR are drawn by bwip-js
+  qrcode: null,
+  code128: { bcid: 'code128', linear: true },
+  ean13: { bcid: 'ean13', linear: true },
+  pdf417: { bcid: 'pdf417', linear: false },
+  datamatrix: { bcid: 'datamatrix', linear: false }
+};
+const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+const QR_FORMATS = ['png', 'svg'];
+const QR_MAX_LOGO_SIZE = { L: 0, M: 0.15, Q: 0.22, H: 0.3 }; // Largest logo (fraction of the code's width) each level recovers from
+const QR_MIN_CONTRAST = 3; // Luminance contrast scanners need between the modules and the background
+const QR_CAPTION_HEIGHT = 40; // Pixels added under PNG codes for the caption strip
+const DEFAULT_QR_OPTIONS = {
+  symbology: 'qrcode',
+  format: 'png',
+  errorCorrectionLevel: 'M',
+  margin: 2,
+  width: 350,
+  dark: '#000000',
+  light: '#ffffff',
+  logo: null,
+  logoSize: 0.2,
+  caption: null
+};
+
+// Expand #rgb to #rrggbb, returning null for anything that isn't a hex colour
+function parseHexColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].split('').map(char => char + char).join('') : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+// Relative luminance of a #rrggbb colour (WCAG definition)
+function getLuminance(hex) {
+  const [r, g, b] = [1, 3, 5].map(offset => {
+    const channel = parseInt(hex.slice(offset, offset + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Validate QR options and fill in defaults; the logo is left as given (see resolveQROptions)
+function normalizeQROptions(input = {}) {
+  const options = { ...DEFAULT_QR_OPTIONS };
+
+  if (input.symbology !== undefined) {
+    options.symbology = String(input.symbology).toLowerCase();
+    if (!(options.symbology in CODE_SYMBOLOGIES)) {
+      throw new Error(`symbology must be one of: ${Object.keys(CODE_SYMBOLOGIES).join(', ')}`);
+    }
+  }
+
+  if (input.format !== undefined) {
+    options.format = String(input.format).toLowerCase();
+    if (!QR_FORMATS.includes(options.format)) throw new Error(`format must be one of: ${QR_FORMATS.join(', ')}`);
+  }
+
+  // Logos hide modules, so they default to the highest error correction
+  options.errorCorrectionLevel = String(input.errorCorrectionLevel || (input.logo ? 'H' : 'M')).toUpperCase();
+  if (!QR_ERROR_LEVELS.includes(options.errorCorrectionLevel)) {
+    throw new Error(`errorCorrectionLevel must be one of: ${QR_ERROR_LEVELS.join(', ')}`);
+  }
+
+  if (input.margin !== undefined) {
+    options.margin = Number(input.margin);
+    if (!Number.isInteger(options.margin) || options.margin < 0 || options.margin > 10) throw new Error('margin must be a whole number of modules from 0 to 10');
+  }
+  if (input.width !== undefined) {
+    options.width = Number(input.width);
+    if (!Number.isInteger(options.width) || options.width < 100 || options.width > 2000) throw new Error('width must be between 100 and 2000 pixels');
+  }
+
+  // Normalized options keep the colours at the top level, so they can be normalized again
+  const color = input.color || { dark: input.dark, light: input.light };
+  for (const name of ['dark', 'light']) {
+    if (color[name] === undefined) continue;
+    options[name] = parseHexColor(color[name]);
+    if (!options[name]) throw new Error(`color.${name} must be a hex colour like #1a237e`);
+  }
+
+  // Scanners expect dark modules on a light background with enough contrast between them
+  const darkLuminance = getLuminance(options.dark);
+  const lightLuminance = getLuminance(options.light);
+  if (darkLuminance >= lightLuminance) {
+    throw new Error('color.dark must be darker than color.light, inverted codes do not scan everywhere');
+  }
+  const contrast = (lightLuminance + 0.05) / (darkLuminance + 0.05);
+  if (contrast < QR_MIN_CONTRAST) {
+    throw new Error(`Colour contrast ${contrast.toFixed(1)}:1 is too low to scan reliably, at least ${QR_MIN_CONTRAST}:1 is needed`);
+  }
+
+  if (input.logo) {
+    if (options.symbology !== 'qrcode') throw new Error('A logo can only be placed on QR codes');
+    options.logo = input.logo;
+    if (input.logoSize !== undefined) options.logoSize = Number(input.logoSize);
+    const maxLogoSize = QR_MAX_LOGO_SIZE[options.errorCorrectionLevel];
+    if (!(options.logoSize > 0) || options.logoSize > maxLogoSize) {
+      throw new Error(maxLogoSize === 0
+        ? 'A logo needs errorCorrectionLevel M, Q or H'
+        : `logoSize must be above 0 and at most ${maxLogoSize} at errorCorrectionLevel ${options.errorCorrectionLevel}`);
+    }
+  }
+
+  if (input.caption !== undefined && input.caption !== null && input.caption !== '') {
+    options.caption = String(input.caption).slice(0, 100);
+  }
+
+  return options;
+}
+
+// Render a QR code as PNG (Buffer) or SVG (Buffer of the markup) with the given normalized options
+async function renderQRCode(qrData, options) {
+  if (options.symbology && options.symbology !== 'qrcode') {
+    return renderBarcode(qrData, options);
+  }
+
+  const baseOptions = {
+    errorCorrectionLevel: options.errorCorrectionLevel,
+    margin: options.margin,
+    width: options.width,
+    color: { dark: options.dark, light: options.light }
+  };
+
+  if (options.format === 'svg') {
+    return Buffer.from(decorateQRCodeSvg(await qrcode.toString(qrData, { ...baseOptions, type: 'svg' }), options));
+  }
+
+  const png = await qrcode.toBuffer(qrData, baseOptions);
+  if (!options.logo && !options.caption) return png;
+
+  const code = await Jimp.read(png);
+  const size = code.bitmap.width;
+  const light = parseInt(`${options.light.slice(1)}ff`, 16);
+
+  if (options.logo) {
+    const logoSize = Math.round(size * options.logoSize);
+    const padding = Math.max(2, Math.round(logoSize * 0.08));
+    const logo = await Jimp.read(path.join(MEDIA_DIR, options.logo.mediaId));
+    logo.contain({ w: logoSize, h: logoSize });
+
+    // A light plate behind the logo keeps its edges from blending into the modules
+    const plate = new Jimp({ width: logoSize + padding * 2, height: logoSize + padding * 2, color: light });
+    plate.composite(logo, padding, padding);
+    code.composite(plate, Math.round((size - plate.bitmap.width) / 2), Math.round((size - plate.bitmap.height) / 2));
+  }
+
+  return options.caption ? addCodeCaption(code, options) : code.getBuffer('image/png');
+}
+
+// Render a barcode (Code128, EAN-13, PDF417 or Data Matrix) as PNG or SVG
+// bwip-js sizes codes by module scale, so the width is matched as closely as whole modules allow
+async function renderBarcode(data, options) {
+  const symbology = CODE_SYMBOLOGIES[options.symbology];
+  const bwipOptions = {
+    bcid: symbology.bcid,
+    text: String(data),
+    barcolor: options.dark.slice(1),
+    backgroundcolor: options.light.slice(1),
+    ...(symbology.linear
+      ? { height: 15, includetext: true, textxalign: 'center', textcolor: options.dark.slice(1), paddingwidth: options.margin * 5, paddingheight: options.margin }
+      : { padding: options.margin })
+  };
+
+  if (options.format === 'svg') {
+    return Buffer.from(decorateQRCodeSvg(bwipjs.toSVG(bwipOptions), options));
+  }
+
+  const natural = await bwipjs.toBuffer({ ...bwipOptions, scale: 1 });
+  const scale = Math.max(1, Math.round(options.width / natural.readUInt32BE(16))); // PNG width lives at byte 16
+  const png = await bwipjs.toBuffer({ ...bwipOptions, scale });
+  return options.caption ? addCodeCaption(await Jimp.read(png), options) : png;
+}
+
+// Add the caption strip under a rendered code, returning the PNG
+async function addCodeCaption(code, options) {
+  const { width, height } = code.bitmap;
+  const canvas = new Jimp({ width, height: height + QR_CAPTION_HEIGHT, color: parseInt(`${options.light.slice(1)}ff`, 16) });
+  canvas.composite(code, 0, 0);
+  const font = await loadFont(getLuminance(options.light) > 0.4 ? jimpFonts.SANS_16_BLACK : jimpFonts.SANS_16_WHITE);
+  canvas.print({
+    font,
+    x: 0,
+    y: height + 8,
+    text: { text: options.caption, alignmentX: HorizontalAlign.CENTER },
+    maxWidth: width
+  });
+  return canvas.getBuffer('image/png');
+}
+
+// Add the logo and caption to a code's SVG (qrcode's viewBox is in modules, bwip-js's in points)
+function decorateQRCodeSvg(svg, options) {
+  const [, viewWidth, viewHeight] = (/viewBox="0 0 ([\d.]+) ([\d.]+)"/.exec(svg) || []).map(Number);
+  if (!viewWidth || (!options.logo && !options.caption)) return svg;
+
+  const escapeXml = value => String(value).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+  let extra = '';
+
+  if (options.logo) {
+    const logoSize = viewWidth * options.logoSize;
+    const padding = logoSize * 0.08;
+    const offset = (viewWidth - logoSize) / 2;
+    const logoData = fs.readFileSync(path.join(MEDIA_DIR, options.logo.mediaId)).toString('base64');
+    extra += `<rect x="${offset - padding}" y="${offset - padding}" width="${logoSize + padding * 2}" height="${logoSize + padding * 2}" fill="${options.light}"/>`;
+    extra += `<image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" preserveAspectRatio="xMidYMid meet" href="data:${options.logo.mimetype};base64,${logoData}"/>`;
+  }
+
+  let height = viewHeight;
+  if (options.caption) {
+    const captionHeight = viewWidth * QR_CAPTION_HEIGHT / options.width;
+    extra += `<rect x="0" y="${viewHeight}" width="${viewWidth}" height="${captionHeight}" fill="${options.light}"/>`;
+    extra += `<text x="${viewWidth / 2}" y="${viewHeight + captionHeight * 0.6}" font-family="Arial, sans-serif" font-size="${captionHeight * 0.4}" text-anchor="middle" fill="${options.dark}">${escapeXml(options.caption)}</text>`;
+    height = viewHeight + captionHeight;
+  }
+
+  return svg
+    .replace(/<svg[^>]*>/, tag => tag
+      .replace(/viewBox="[^"]*"/, `viewBox="0 0 ${viewWidth} ${height}"`)
+      .replace(/height="(\d+)"/, `height="${Math.round(options.width * height / viewWidth)}"`))
+    .replace('</svg>', `${extra}</svg>`);
+}
+
+// Render the code as PNG and decode it again, throwing when it doesn't read back as the same data
+async function verifyQRCodeScannable(qrData, options) {
+  // jsQR only reads QR codes, other symbologies are checked by encoding the data
+  if (options.symbology !== 'qrcode') {
+    try {
+      await renderBarcode(qrData, { ...options, format: 'png' });
+    } catch (error) {
+      throw new Error(`The data can't be encoded as ${options.symbology}: ${error.message}`);
+    }
+    return;
+  }
+
+  const image = await Jimp.read(await renderQRCode(qrData, { ...options, format: 'png' }));
+  const decoded = jsQR(new Uint8ClampedArray(image.bitmap.data), image.bitmap.width, image.bitmap.height);
+
+  if (!decoded || decoded.data !== String(qrData)) {
+    throw new Error(`The QR code does not scan at errorCorrectionLevel ${options.errorCorrectionLevel}, use a smaller logo, more contrast or a higher level`);
+  }
+}
+
+// Validate QR options, store the logo and check a sample code scans
+// Scan checks are cached per option set and QR version (longer data makes a denser code), captions don't change whether the code scans
+// Barcodes are checked per recipient since their data decides whether they can be encoded at all
+async function resolveQROptions(input, qrData, scanChecks = new Map()) {
+  const options = normalizeQROptions(input);
+
+  if (options.logo) {
+    const logo = await resolveMediaInput(options.logo);
+    if (!['image/png', 'image/jpeg'].includes(logo.mimetype)) {
+      throw new Error('logo must be a PNG or JPEG image');
+    }
+    options.logo = { mediaId: logo.mediaId, mimetype: logo.mimetype };
+  }
+
+  const checkKey = JSON.stringify({
+    ...options,
+    caption: Boolean(options.caption),
+    version: options.symbology === 'qrcode' ? qrcode.create(String(qrData), { errorCorrectionLevel: options.errorCorrectionLevel }).version : undefined,
+    data: options.symbology === 'qrcode' ? undefined : String(qrData)
+  });
+  if (!scanChecks.has(checkKey)) {
+    scanChecks.set(checkKey, verifyQRCodeScannable(qrData, options));
+  }
+  await scanChecks.get(checkKey);
+
+  return options;
+}
+
+// Build the MessageMedia for a rendered code; SVG goes out as a document since WhatsApp doesn't preview it
+function getQRCodeMedia(qrImageBuffer, options) {
+  const format = options ? options.format : 'png';
+  return new MessageMedia(
+    format === 'svg' ? 'image/svg+xml' : 'image/png',
+    qrImageBuffer.toString('base64'),
+    `qrcode.${format}`
+  );
+}
+
+// Send a rendered code with the message as caption
+function sendQRCodeMessage(session, chatId, qrImageBuffer, options, message) {
+  return sendThrottled(session, chatId, getQRCodeMedia(qrImageBuffer, options), {
+    caption: message,
+    sendMediaAsDocument: Boolean(options && options.format === 'svg')
+  });
+}
+
+// Preview a QR code with rendering options, answering with the image or why it won't scan
+app.post('/api/qr/preview', requireScope('send'), async (req, res) => {
+  const { data, qrOptions = {} } = req.body || {};
+
+  if (!data) {
+    return res.status(400).json({ success: false, message: 'Please provide the data to encode' });
+  }
+
+  try {
+    const options = await resolveQROptions(qrOptions, String(data));
+    const image = await renderQRCode(String(data), options);
+    res.setHeader('Content-Type', options.format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.send(image);
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Signed verification codes
+// With "signed", the code carries a token instead of the raw qrData: base64url(payload).base64url(HMAC-SHA256)
+// The payload holds the data, the code id (job id and recipient index) and an optional expiry, so gate scanners
+// can check a code with POST /api/verify-code without a database lookup
+const CODE_SECRET_FILE = path.join(DATA_DIR, 'code-secret.json');
+let codeSecret = null;
+
+// The HMAC secret: CODE_SIGNING_SECRET, or one generated on first use and kept in the data directory
+function getCodeSecret() {
+  if (codeSecret) return codeSecret;
+
+  if (process.env.CODE_SIGNING_SECRET) {
+    codeSecret = process.env.CODE_SIGNING_SECRET;
+    return codeSecret;
+  }
+
+  const stored = readJsonFile(CODE_SECRET_FILE, null);
+  if (stored && stored.secret) {
+    codeSecret = stored.secret;
+  } else {
+    codeSecret = crypto.randomBytes(32).toString('hex');
+    writeJsonFile(CODE_SECRET_FILE, { secret: codeSecret, createdAt: new Date().toISOString() });
+    log(`🔑 Generated a code signing secret in ${CODE_SECRET_FILE}, set CODE_SIGNING_SECRET to share one between servers`);
+  }
+  return codeSecret;
+}
+
+// Validate the "signed" option: true, or { ttlHours } / { expiresAt } for codes that expire
+function normalizeSignedOption(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return { ttlHours: null, expiresAt: null };
+  if (typeof value !== 'object') throw new Error('signed must be true or an object with ttlHours or expiresAt');
+
+  const signed = { ttlHours: null, expiresAt: null };
+  if (value.ttlHours !== undefined) {
+    signed.ttlHours = Number(value.ttlHours);
+    if (!(signed.ttlHours > 0)) throw new Error('signed.ttlHours must be a positive number of hours');
+  }
+  if (value.expiresAt !== undefined) {
+    const expiresAt = new Date(value.expiresAt);
+    if (isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+      throw new Error('signed.expiresAt must be a date in the future');
+    }
+    signed.expiresAt = expiresAt.toISOString();
+  }
+  return signed;
+}
+
+// HMAC of a token body, truncated to 128 bits to keep codes small
+function getCodeSignature(body) {
+  return crypto.createHmac('sha256', getCodeSecret()).update(body).digest().subarray(0, 16).toString('base64url');
+}
+
+// Build a signed token for the data
+function signCode(data, codeId, expiresAt) {
+  const payload = { d: String(data), id: codeId };
+  if (expiresAt) payload.exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${getCodeSignature(body)}`;
+}
+
+// When a recipient's signed code expires, ttlHours counts from the job's creation
+function getSignedCodeExpiry(job, item) {
+  return item.signed.expiresAt || (item.signed.ttlHours
+    ? new Date(new Date(job.createdAt).getTime() + item.signed.ttlHours * 60 * 60 * 1000).toISOString()
+    : null);
+}
+
+// The data encoded in a recipient's code: a token for signed codes, otherwise qrData as is
+// Tokens only depend on the job, so a retried send carries the same code
+function getRecipientCodeData(job, item) {
+  if (!item.signed) return item.qrData;
+  return signCode(item.qrData, `${job.id}:${item.index}`, getSignedCodeExpiry(job, item));
+}
+
+// Check a scanned token's signature and expiry
+function verifyCode(token) {
+  const [body, signature, ...rest] = String(token).trim().split('.');
+  if (!body || !signature || rest.length > 0) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(getCodeSignature(body));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const result = {
+    valid: true,
+    codeId: payload.id,
+    data: payload.d,
+    expiresAt: payload.exp ? new Date(payload.exp * 1000).toISOString() : null
+  };
+  if (payload.exp && payload.exp * 1000 < Date.now()) {
+    return { ...result, valid: false, reason: 'expired' };
+  }
+  return result;
+}
+
+// Issued codes and check-ins
+// Every code a job sends is registered under its code id ("<jobId>:<index>") with the recipient it went to
+// Per message or request "checkIn" options: { event, singleUse, confirmation: template sent back on check-in }
+// Unsigned codes are looked up on the account the scan request names (accountId, default account otherwise)
+const ISSUED_CODES_FILE = path.join(DATA_DIR, 'issued-codes.json');
+let issuedCodes = {}; // Code id -> registry entry
+const unsignedCodeIndex = new Map(); // "<accountId>:<qrData>" of unsigned codes -> code id, scanners send the raw data for those
+let issuedCodesSaveTimer = null;
+
+// Save the registry now
+function saveIssuedCodes() {
+  clearTimeout(issuedCodesSaveTimer);
+  issuedCodesSaveTimer = null;
+  try {
+    writeJsonFile(ISSUED_CODES_FILE, issuedCodes);
+  } catch (error) {
+    log(`❌ Error saving issued codes: ${error.message}`);
+  }
+}
+
+// Codes are issued in bursts while a job runs, so batch those writes
+function scheduleIssuedCodesSave() {
+  if (issuedCodesSaveTimer) return;
+  issuedCodesSaveTimer = setTimeout(saveIssuedCodes, 2000);
+}
+
+// Load the registry from a previous run
+function loadIssuedCodes() {
+  issuedCodes = readJsonFile(ISSUED_CODES_FILE, {});
+  unsignedCodeIndex.clear();
+  for (const entry of Object.values(issuedCodes)) {
+    if (!entry.signed) unsignedCodeIndex.set(`${entry.accountId}:${entry.data}`, entry.codeId);
+  }
+}
+
+// Validate the "checkIn" option and render its confirmation with the recipient's variables
+function normalizeCheckInOption(value, variables) {
+  if (value === undefined || value === null || value === false) return null;
+  if (typeof value !== 'object') throw new Error('checkIn must be an object with event, singleUse or confirmation');
+
+  let confirmation = null;
+  if (value.confirmation !== undefined && value.confirmation !== null && value.confirmation !== '') {
+    const missing = [];
+    confirmation = renderTemplate(parseTemplate(String(value.confirmation)), variables, missing);
+    if (missing.length > 0) throw new Error(`Missing confirmation variable(s): ${[...new Set(missing)].join(', ')}`);
+  }
+
+  return {
+    event: value.event ? String(value.event) : null,
+    singleUse: Boolean(value.singleUse),
+    confirmation
+  };
+}
+
+// Add a sent code to the registry, keeping the check-ins of a code that was sent again
+function registerIssuedCode(job, item) {
+  const codeId = `${job.id}:${item.index}`;
+  const existing = issuedCodes[codeId];
+  const checkIn = item.checkIn || {};
+
+  issuedCodes[codeId] = {
+    codeId,
+    jobId: job.id,
+    index: item.index,
+    accountId: getJobAccountId(job),
+    campaignId: job.campaignId || null,
+    event: checkIn.event || null,
+    recipientId: item.id,
+    number: item.number,
+    chatId: item.chatId,
+    data: String(item.qrData),
+    signed: Boolean(item.signed),
+    expiresAt: item.signed ? getSignedCodeExpiry(job, item) : null,
+    singleUse: Boolean(checkIn.singleUse),
+    confirmation: checkIn.confirmation || null,
+    issuedAt: existing ? existing.issuedAt : item.sentAt,
+    checkIns: existing ? existing.checkIns : [],
+    rejectedScans: existing ? existing.rejectedScans : 0,
+    confirmationSentAt: existing ? existing.confirmationSentAt : null
+  };
+
+  if (!item.signed) unsignedCodeIndex.set(`${getJobAccountId(job)}:${item.qrData}`, codeId);
+  scheduleIssuedCodesSave();
+}
+
+// Find the registry entry for a scanned value: a signed token or an unsigned code's data
+// Returns { entry, verification } or { reason } for codes to turn away
+function findScannedCode(req, code) {
+  const value = String(code).trim();
+  const unsignedCodeId = unsignedCodeIndex.get(`${getRequestAccountId(req)}:${value}`);
+  let entry = null;
+  let verification = null;
+
+  if (unsignedCodeId) {
+    entry = issuedCodes[unsignedCodeId];
+  } else {
+    verification = verifyCode(value);
+    if (!verification.valid) {
+      return { reason: verification.reason === 'malformed' ? 'unknown_code' : verification.reason, verification };
+    }
+
+    // Only codes this server sent are in the registry, a valid signature alone isn't enough
+    entry = issuedCodes[verification.codeId];
+  }
+
+  if (!entry || !canAccessAccount(req, entry.accountId)) {
+    return { reason: 'unknown_code' };
+  }
+  return { entry, verification };
+}
+
+// Record a check-in, refusing a second one for single-use codes
+function checkInCode(entry, { by, gate, singleUse }) {
+  const at = new Date().toISOString();
+
+  if ((singleUse || entry.singleUse) && entry.checkIns.length > 0) {
+    entry.rejectedScans = (entry.rejectedScans || 0) + 1;
+    entry.lastRejectedAt = at;
+    saveIssuedCodes();
+    return { checkedIn: false, reason: 'already_checked_in', firstCheckIn: entry.checkIns[0] };
+  }
+
+  const checkIn = { at, by, gate: gate ? String(gate) : null };
+  entry.checkIns.push(checkIn);
+  saveIssuedCodes();
+  return { checkedIn: true, checkIn, firstCheckIn: entry.checkIns[0] };
+}
+
+// Send the attendee their confirmation after the first check-in
+async function sendCheckInConfirmation(entry) {
+  const session = sessions.get(entry.accountId);
+  if (!session || !session.isLoggedIn || !session.client) {
+    log(`⚠️ Check-in confirmation for ${entry.number} not sent, account ${entry.accountId} is not connected`);
+    return;
+  }
+  if (getChatOptOut(entry.chatId)) {
+    sessionLog(session, `🚫 Check-in confirmation for ${entry.number} not sent, the number opted out`);
+    return;
+  }
+
+  try {
+    await sendThrottled(session, entry.chatId, entry.confirmation);
+    entry.confirmationSentAt = new Date().toISOString();
+    saveIssuedCodes();
+    sessionLog(session, `🎟️ Sent check-in confirmation to ${entry.number}`);
+  } catch (error) {
+    sessionLog(session, `❌ Check-in confirmation to ${entry.number} failed: ${error.message}`);
+  }
+}
+
+// Registry entry for API responses
+function summarizeIssuedCode(entry) {
+  return {
+    codeId: entry.codeId,
+    jobId: entry.jobId || null,
+    event: entry.event || null,
+    recipient: { number: entry.number || null, id: entry.recipientId !== undefined ? entry.recipientId : null },
+    data: entry.data,
+    signed: entry.signed,
+    expiresAt: entry.expiresAt,
+    singleUse: entry.singleUse,
+    issuedAt: entry.issuedAt,
+    checkedInAt: entry.checkIns.length > 0 ? entry.checkIns[0].at : null,
+    checkIns: entry.checkIns.length,
+    rejectedScans: entry.rejectedScans || 0
+  };
+}
+
+// Verify a scanned code, marking it used unless consume is false
+// Answers 200 with valid: false and a reason (unknown_code, invalid_signature, expired, already_used) for codes to turn away
+app.post('/api/verify-code', requireScope('codes:verify'), (req, res) => {
+  const { code, consume = true, gate } = req.body || {};
+
+  if (!code) {
+    return res.status(400).json({ success: false, message: 'Please provide the scanned code' });
+  }
+
+  const found = findScannedCode(req, code);
+  if (!found.entry) {
+    return res.status(200).json({ success: true, ...found.verification, valid: false, reason: found.reason });
+  }
+
+  const { entry } = found;
+  const result = { codeId: entry.codeId, data: entry.data, expiresAt: entry.expiresAt, recipient: summarizeIssuedCode(entry).recipient };
+
+  // Verification treats every code as single use
+  if (entry.checkIns.length > 0) {
+    if (consume) checkInCode(entry, { by: req.apiKey.name, gate, singleUse: true });
+    return res.status(200).json({ success: true, valid: false, reason: 'already_used', ...result, usedAt: entry.checkIns[0].at });
+  }
+
+  if (consume) {
+    checkInCode(entry, { by: req.apiKey.name, gate, singleUse: true });
+  }
+
+  res.status(200).json({ success: true, valid: true, ...result, used: Boolean(consume) });
+});
+
+// Check an attendee in with a scanned code
+// Single-use codes (or singleUse in the request) are refused a second time with reason already_checked_in
+app.post('/api/check-in', requireScope('codes:verify'), (req, res) => {
+  const { code, gate, singleUse = false, confirm = true } = req.body || {};
+
+  if (!code) {
+    return res.status(400).json({ success: false, message: 'Please provide the scanned code' });
+  }
+
+  const found = findScannedCode(req, code);
+  if (!found.entry) {
+    return res.status(200).json({ success: true, checkedIn: false, reason: found.reason });
+  }
+
+  const result = checkInCode(found.entry, { by: req.apiKey.name, gate, singleUse: Boolean(singleUse) });
+  const first = result.checkedIn && found.entry.checkIns.length === 1;
+  if (result.checkedIn) {
+    log(`🎟️ Checked in ${found.entry.number || found.entry.codeId}${gate ? ` at ${gate}` : ''}`);
+  }
+
+  // Confirmations go out once, after the response so the gate isn't kept waiting
+  const confirmation = first && confirm && found.entry.confirmation && found.entry.chatId;
   res.status(200).json({
     success: true,
-    message: 'Generating new QR code'
+    ...result,
+    firstVisit: first,
+    confirmation: confirmation ? 'queued' : null,
+    code: summarizeIssuedCode(found.entry)
+  });
+  if (confirmation) sendCheckInConfirmation(found.entry);
+});
+
+// Attendance for an event, job or campaign: how many issued codes were checked in, by gate and by hour
+app.get('/api/check-ins/report', requireScope('read:status'), (req, res) => {
+  const { event, jobId, campaignId, accountId, status } = req.query;
+
+  const entries = Object.values(issuedCodes)
+    .filter(entry => canAccessAccount(req, entry.accountId))
+    .filter(entry => !event || entry.event === event)
+    .filter(entry => !jobId || entry.jobId === jobId)
+    .filter(entry => !campaignId || entry.campaignId === campaignId)
+    .filter(entry => !accountId || entry.accountId === accountId);
+
+  const checkedIn = entries.filter(entry => entry.checkIns.length > 0);
+  const byGate = {};
+  const byHour = {};
+  for (const entry of checkedIn) {
+    const { at, gate } = entry.checkIns[0];
+    byGate[gate || 'unknown'] = (byGate[gate || 'unknown'] || 0) + 1;
+    const hour = `${at.slice(0, 13)}:00`;
+    byHour[hour] = (byHour[hour] || 0) + 1;
+  }
+
+  const attendees = entries
+    .filter(entry => !status || (status === 'checked_in') === (entry.checkIns.length > 0))
+    .map(summarizeIssuedCode)
+    .sort((a, b) => (a.checkedInAt || '~').localeCompare(b.checkedInAt || '~'));
+
+  res.status(200).json({
+    success: true,
+    filters: { event: event || null, jobId: jobId || null, campaignId: campaignId || null, accountId: accountId || null },
+    totals: {
+      issued: entries.length,
+      checkedIn: checkedIn.length,
+      notCheckedIn: entries.length - checkedIn.length,
+      attendanceRate: entries.length > 0 ? Math.round(checkedIn.length / entries.length * 1000) / 10 : 0,
+      scans: entries.reduce((sum, entry) => sum + entry.checkIns.length + (entry.rejectedScans || 0), 0),
+      rejectedScans: entries.reduce((sum, entry) => sum + (entry.rejectedScans || 0), 0)
+    },
+    byGate,
+    byHour,
+    attendees
+  });
+});
+
+// Pass templates: a background image with the recipient's QR code and text fields drawn on it
+// {
+//   name, background: <media input>,
+//   qr: { x, y, size, options: <qrOptions without format or caption> },
+//   fields: [{ name, text: 'Seat {{seat}}', x, y, maxWidth, align: 'left' | 'center' | 'right', fontSize, color: 'black' | 'white' }]
+// }
+const PASS_TEMPLATES_FILE = path.join(DATA_DIR, 'pass-templates.json');
+const PASS_FIELD_ALIGNS = { left: HorizontalAlign.LEFT, center: HorizontalAlign.CENTER, right: HorizontalAlign.RIGHT };
+let passTemplates = [];
+const passFonts = new Map(); // Font file -> loaded font, fonts are reused across passes
+
+// Font sizes jimp ships for a colour, e.g. [8, 16, 32, 64, 128] for white
+function getPassFontSizes(color) {
+  return Object.keys(jimpFonts)
+    .map(name => /^SANS_(\d+)_(BLACK|WHITE)$/.exec(name))
+    .filter(match => match && match[2] === color.toUpperCase())
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+// Load a field's font once
+async function getPassFont(field) {
+  const file = jimpFonts[`SANS_${field.fontSize}_${field.color.toUpperCase()}`];
+  if (!passFonts.has(file)) {
+    passFonts.set(file, await loadFont(file));
+  }
+  return passFonts.get(file);
+}
+
+// Validate a template and resolve its background and QR logo, returning the template to store
+// Throws with a message for the client when something doesn't fit
+async function buildPassTemplate(input, existing = {}) {
+  if (!input || typeof input !== 'object') throw new Error('Template must be an object');
+  if (!input.background) throw new Error('background must be a media input (mediaId, base64, url or path)');
+
+  const background = await resolveMediaInput(input.background);
+  if (!['image/png', 'image/jpeg'].includes(background.mimetype)) {
+    throw new Error('background must be a PNG or JPEG image');
+  }
+  const { width, height } = (await Jimp.read(path.join(MEDIA_DIR, background.mediaId))).bitmap;
+  const insideBackground = (x, y) => Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < width && y < height;
+
+  const qr = input.qr || {};
+  const size = Number(qr.size);
+  if (!Number.isInteger(size) || size < 100) throw new Error('qr.size must be at least 100 pixels');
+  if (!insideBackground(qr.x, qr.y) || qr.x + size > width || qr.y + size > height) {
+    throw new Error(`qr must fit inside the ${width}x${height} background`);
+  }
+  const { format, caption, ...qrInput } = qr.options || {};
+  const qrOptions = normalizeQROptions({ ...qrInput, width: size });
+  if (qrOptions.logo) {
+    const logo = await resolveMediaInput(qrOptions.logo);
+    if (!['image/png', 'image/jpeg'].includes(logo.mimetype)) throw new Error('qr.options.logo must be a PNG or JPEG image');
+    qrOptions.logo = { mediaId: logo.mediaId, mimetype: logo.mimetype };
+  }
+
+  const fields = input.fields || [];
+  if (!Array.isArray(fields)) throw new Error('fields must be an array');
+  const names = new Set();
+  const normalizedFields = fields.map((field, index) => {
+    const label = `fields[${index}]`;
+    if (!field || typeof field.name !== 'string' || field.name === '') throw new Error(`${label}.name is required`);
+    if (names.has(field.name)) throw new Error(`Field name ${field.name} is used twice`);
+    names.add(field.name);
+
+    const text = field.text !== undefined ? String(field.text) : `{{${field.name}}}`;
+    try {
+      parseTemplate(text);
+    } catch (error) {
+      throw new Error(`${label}.text is not a valid template: ${error.message}`);
+    }
+
+    if (!insideBackground(field.x, field.y)) throw new Error(`${label} must start inside the ${width}x${height} background`);
+    const align = field.align || 'left';
+    if (!PASS_FIELD_ALIGNS[align]) throw new Error(`${label}.align must be one of: ${Object.keys(PASS_FIELD_ALIGNS).join(', ')}`);
+    const color = field.color || 'black';
+    if (!['black', 'white'].includes(color)) throw new Error(`${label}.color must be black or white`);
+    const fontSize = Number(field.fontSize || 32);
+    const fontSizes = getPassFontSizes(color);
+    if (!fontSizes.includes(fontSize)) throw new Error(`${label}.fontSize for ${color} text must be one of: ${fontSizes.join(', ')}`);
+    const maxWidth = field.maxWidth !== undefined ? Number(field.maxWidth) : width - field.x;
+    if (!Number.isInteger(maxWidth) || maxWidth <= 0 || field.x + maxWidth > width) {
+      throw new Error(`${label}.maxWidth must keep the text inside the background`);
+    }
+
+    return { name: field.name, text, x: field.x, y: field.y, maxWidth, align, fontSize, color };
   });
+
+  return {
+    id: existing.id || crypto.randomUUID(),
+    name: input.name || existing.name || null,
+    background: { mediaId: background.mediaId, mimetype: background.mimetype, width, height },
+    qr: { x: qr.x, y: qr.y, size, options: qrOptions },
+    fields: normalizedFields,
+    createdAt: existing.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Save pass templates
+function savePassTemplates() {
+  try {
+    writeJsonFile(PASS_TEMPLATES_FILE, passTemplates);
+  } catch (error) {
+    log(`❌ Error saving pass templates: ${error.message}`);
+  }
+}
+
+// Load pass templates saved by a previous run
+function loadPassTemplates() {
+  const stored = readJsonFile(PASS_TEMPLATES_FILE, []);
+  passTemplates = Array.isArray(stored) ? stored : [];
+  if (passTemplates.length > 0) {
+    log(`🎫 Loaded ${passTemplates.length} pass template(s)`);
+  }
+}
+
+// Work out a recipient's pass: the template and the rendered text of each field
+// Throws when the template is unknown, the QR code won't scan or variables are missing
+async function resolveRecipientPass(templateId, item, sharedVariables, scanChecks = new Map()) {
+  const template = passTemplates.find(candidate => candidate.id === templateId);
+  if (!template) throw new Error(`Pass template ${templateId} not found`);
+  if (!item.qrData) throw new Error('A pass needs qrData for its QR code');
+
+  await resolveQROptions(template.qr.options, String(item.qrData), scanChecks);
+
+  const variables = { ...sharedVariables, ...(item.variables || {}) };
+  const missing = [];
+  const fields = {};
+  for (const field of template.fields) {
+    fields[field.name] = renderTemplate(parseTemplate(field.text), variables, missing);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing pass variable(s): ${[...new Set(missing)].join(', ')}`);
+  }
+
+  return { templateId, fields };
+}
+
+// Render a recipient's pass as PNG
+async function renderPass(pass, qrData) {
+  const template = passTemplates.find(candidate => candidate.id === pass.templateId);
+  if (!template) throw new Error(`Pass template ${pass.templateId} no longer exists`);
+
+  const image = await Jimp.read(path.join(MEDIA_DIR, template.background.mediaId));
+  const code = await Jimp.read(await renderQRCode(qrData, { ...template.qr.options, format: 'png', caption: null }));
+  image.composite(code, template.qr.x, template.qr.y);
+
+  for (const field of template.fields) {
+    const text = pass.fields[field.name];
+    if (!text) continue;
+    image.print({
+      font: await getPassFont(field),
+      x: field.x,
+      y: field.y,
+      text: { text, alignmentX: PASS_FIELD_ALIGNS[field.align] },
+      maxWidth: field.maxWidth
+    });
+  }
+
+  return image.getBuffer('image/png');
+}
+
+// Render the image sent to a QR recipient: their pass when they have one, otherwise the bare code
+async function generateRecipientQRImage(job, item) {
+  const codeData = getRecipientCodeData(job, item);
+  if (!item.pass) {
+    return generateQRCode(codeData, item.qrOptions);
+  }
+  try {
+    return await renderPass(item.pass, codeData);
+  } catch (error) {
+    log(`❌ Error rendering pass: ${error.message}`);
+    return null;
+  }
+}
+
+// List pass templates
+app.get('/api/pass-templates', requireScope('passes:admin'), (req, res) => {
+  res.status(200).json({ success: true, templates: passTemplates });
+});
+
+// Create a pass template
+app.post('/api/pass-templates', requireScope('passes:admin'), async (req, res) => {
+  let template;
+  try {
+    template = await buildPassTemplate(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  passTemplates.push(template);
+  savePassTemplates();
+  log(`🎫 Pass template ${template.name || template.id} created`);
+
+  res.status(201).json({ success: true, template });
+});
+
+// Get a pass template
+app.get('/api/pass-templates/:id', requireScope('passes:admin'), (req, res) => {
+  const template = passTemplates.find(candidate => candidate.id === req.params.id);
+
+  if (!template) {
+    return res.status(404).json({ success: false, message: `Pass template ${req.params.id} not found` });
+  }
+
+  res.status(200).json({ success: true, template });
+});
+
+// Update a pass template, fields that are left out keep their value
+// Queued passes are drawn with the template as it is when they are sent
+app.patch('/api/pass-templates/:id', requireScope('passes:admin'), async (req, res) => {
+  const index = passTemplates.findIndex(candidate => candidate.id === req.params.id);
+
+  if (index === -1) {
+    return res.status(404).json({ success: false, message: `Pass template ${req.params.id} not found` });
+  }
+
+  const existing = passTemplates[index];
+  let template;
+  try {
+    template = await buildPassTemplate({ ...existing, ...(req.body || {}) }, existing);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  passTemplates[index] = template;
+  savePassTemplates();
+
+  res.status(200).json({ success: true, template });
+});
+
+// Delete a pass template
+app.delete('/api/pass-templates/:id', requireScope('passes:admin'), (req, res) => {
+  const index = passTemplates.findIndex(candidate => candidate.id === req.params.id);
+
+  if (index === -1) {
+    return res.status(404).json({ success: false, message: `Pass template ${req.params.id} not found` });
+  }
+
+  const [template] = passTemplates.splice(index, 1);
+  savePassTemplates();
+  log(`🎫 Pass template ${template.name || template.id} deleted`);
+
+  res.status(200).json({ success: true, message: `Pass template ${template.id} deleted` });
+});
+
+// Render a sample pass from qrData and variables without sending it
+app.post('/api/pass-templates/:id/preview', requireScope('send'), async (req, res) => {
+  const { qrData = 'PREVIEW', variables = {} } = req.body || {};
+
+  try {
+    const pass = await resolveRecipientPass(req.params.id, { qrData, variables }, {}, new Map());
+    res.setHeader('Content-Type', 'image/png');
+    res.send(await renderPass(pass, String(qrData)));
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
 });
 
-// Toggle QR auto-refresh
-app.post('/toggle-qr-auto-refresh', (req, res) => {
-  qrAutoRefresh = !qrAutoRefresh;
-  log(`🔄 QR auto-refresh ${qrAutoRefresh ? 'enabled' : 'disabled'}`);
-  
-  res.status(200).json({
-    success: true,
-    autoRefresh: qrAutoRefresh,
-    message: `QR auto-refresh ${qrAutoRefresh ? 'enabled' : 'disabled'}`
-  });
-});
+// Improved version of the QR code generator function
+// options are the normalized qrOptions of the recipient; the defaults give the original black on white PNG
+const generateQRCode = async (qrData, options = DEFAULT_QR_OPTIONS) => {
+  if (!qrData) return null;
+  try {
+    // Implement timeout protection for QR generation
+    const qrPromise = new Promise((resolve, reject) => {
+      renderQRCode(qrData, options || DEFAULT_QR_OPTIONS)
+      .then(resolve)
+      .catch(reject);
+      
+      // Timeout after 8 seconds (increased from 5)
+      setTimeout(() => reject(new Error('QR generation timeout')), 8000);
+    });
+    
+    return await qrPromise;
+  } catch (error) {
+    log(`❌ Error generating QR code: ${error.message}`);
+    return null;
+  }
+};
+
+// Process a queued /api/send-messages job one message at a time
+async function processSendMessagesJob(session, job) {
+  const mediaCache = new Map(); // mediaId -> MessageMedia, shared by every recipient of the job
+
+  // Only recipients that were never attempted are picked up (also after a restart)
+  const pending = job.results.filter(item => item.status === 'queued');
+  const total = job.results.length;
+  log(`📦 Sending ${pending.length} messages (job ${job.id})`);
+
+  for (let i = 0; i < pending.length; i++) {
+    // Pacing comes from the shared rate limiter
+    await waitForSendSlot();
+
+    // Stop at a message boundary if the connection dropped (the job resumes after reconnection) or the job was paused or cancelled
+    if (isJobInterrupted(session, job)) return;
+
+    const item = pending[i];
+
+    // Numbers that opted out after the job was queued are skipped, not sent
+    if (skipOptedOutRecipient(job, item)) continue;
+
+    const { number, message, qrData, qrOptions } = item;
+    const position = `${item.index+1}/${total}`;
+    item.attempts++;
+
+    try {
+      // Number was normalised when the job was created
+      const formattedNumber = getRecipientChatId(item);
+
+      // Check if this message should include a QR code
+      if (qrData) {
+        try {
+          // Generate QR code
+          const qrImageBuffer = await generateRecipientQRImage(job, item);
+
+          if (qrImageBuffer) {
+            // Send the image with message as caption
+            const sentMessage = await sendQRCodeMessage(session, formattedNumber, qrImageBuffer, item.pass ? null : qrOptions, message);
+
+            recordJobResult(job, item, 'sent', null, sentMessage);
+            log(`✅ Sent QR image message to ${number} (${position})`);
+          } else {
+            // QR generation failed, send text only
+            const sentMessage = await sendThrottled(session, formattedNumber, message);
+            recordJobResult(job, item, 'sent', null, sentMessage);
+            log(`⚠️ QR generation failed for ${number}, sent text only (${position})`);
+          }
+        } catch (qrError) {
+          // If QR generation errors, fall back to text message
+          log(`⚠️ QR error for ${number}: ${qrError.message}, sending text only`);
+          const sentMessage = await sendThrottled(session, formattedNumber, message);
+          recordJobResult(job, item, 'sent', null, sentMessage);
+        }
+      } else {
+        // Send text, or the recipient's media with the message as caption
+        const sentMessage = await sendRecipientMessage(session, formattedNumber, item, mediaCache);
+        recordJobResult(job, item, 'sent', null, sentMessage);
+        log(`✅ Sent ${item.media ? 'media' : 'text'} message to ${number} (${position})`);
+      }
+    } catch (error) {
+      recordJobResult(job, item, 'failed', error.message);
+      log(`❌ Failed to send message to ${number}: ${error.message} (${position})`);
+    }
+  }
+}
+
+// Endpoint for sending bulk messages with batching
+app.post('/api/send-messages', requireScope('send'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  // A retried request gets the job it created the first time instead of sending again
+  const replay = findReplayedJob(req, session.accountId, 'send-messages');
+  if (replay) return sendReplayResponse(res, replay);
+
+  // Scheduled sends are accepted while disconnected, they run once the account is ready
+  const scheduledAt = getRequestSendAt(req, res);
+  if (scheduledAt === false) return;
+
+  // Check if WhatsApp is connected
+  if (!scheduledAt && (!session.isLoggedIn || !session.client)) {
+    return res.status(403).json({
+      success: false,
+      message: 'WhatsApp not connected. Please scan QR code first.'
+    });
+  }
+
+  try {
+    // Get the messages array from request body
+    const { messages } = req.body;
+    
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request. Please provide an array of messages.'
+      });
+    }
+
+    // Render the shared template (if any) before anything is queued
+    const prepared = await prepareBulkMessages(req, res);
+    if (!prepared) return;
 
-// Web server routes
-app.get('/', (req, res) => {
-  if (isLoggedIn) {
-    res.send(`
-      <html>
-        <head>
-          <title>WhatsApp Status</title>
-          <meta http-equiv="refresh" content="${Math.floor(PAGE_REFRESH_INTERVAL/1000)}">
-          <style>
-            body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; flex-direction: column; background-color: #f0f2f5; margin: 0; padding: 0; }
-            .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); text-align: center; max-width: 500px; width: 100%; }
-            .success { color: #128C7E; }
-            .refresh { color: #777; font-size: 12px; margin-top: 20px; }
-            .actions { margin-top: 20px; }
-            .btn { background: #128C7E; color: white; border: none; padding: 10px 15px; border-radius: 5px; cursor: pointer; margin: 0 5px; }
-            .btn-danger { background: #e74c3c; }
-            .btn-warning { background: #f39c12; }
-            .profile-section { display: flex; flex-direction: column; align-items: center; margin-bottom: 20px; }
-            .profile-pic { width: 135px; height: 135px; border-radius: 50%; object-fit: cover; border: 3px solid #128C7E; margin-bottom: 10px; }
-            .profile-pic-placeholder { width: 100px; height: 100px; border-radius: 50%; background-color: #128C7E; display: flex; align-items: center; justify-content: center; color: white; font-size: 40px; margin-bottom: 10px; }
-            .user-name { font-weight: bold; font-size: 18px; margin-bottom: 5px; }
-            .user-number { color: #666; margin-bottom: 10px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h2 class="success">✅ WhatsApp Connected</h2>
-            
-            <div class="profile-section">
-              ${profilePictureUrl 
-                ? `<img src="${profilePictureUrl}" alt="Profile Picture" class="profile-pic" onerror="this.onerror=null;this.src='';this.classList.add('profile-pic-placeholder');this.innerHTML='+';"/>` 
-                : `<div class="profile-pic-placeholder">${loggedInName ? loggedInName[0].toUpperCase() : '+'}</div>`
-              }
-              <div class="user-name">${loggedInName || 'WhatsApp User'}</div>
-              <div class="user-number">+${loggedInNumber}</div>
-            </div>
-            
-            <p>WhatsApp session is active and being monitored.</p>
-            <p>Current status: ${connectionState}</p>
-            <p>Last check: ${new Date().toLocaleTimeString()}</p>
-            
-            <div class="actions">
-              <button class="btn" onclick="pingConnection()">Check Connection</button>
-              <button class="btn btn-warning" onclick="logoutConnection()">Logout Device</button>
-              <button class="btn btn-danger" onclick="resetConnection()">Reset Connection</button>
-            </div>
-            <p class="refresh">Page refreshes automatically every ${Math.floor(PAGE_REFRESH_INTERVAL/1000)} seconds.</p>
-            <div id="ping-result" style="margin-top: 15px;"></div>
-          </div>
-          
-          <script>
-            function pingConnection() {
-              document.getElementById('ping-result').innerHTML = 'Checking connection...';
-              fetch('/ping')
-                .then(response => response.json())
-                .then(data => {
-                  document.getElementById('ping-result').innerHTML = 
-                    data.success ? 
-                    '<span style="color:#128C7E">✅ Connection active: ' + data.status + '</span>' : 
-                    '<span style="color:#e74c3c">❌ Connection issue: ' + data.message + '</span>';
-                })
-                .catch(err => {
-                  document.getElementById('ping-result').innerHTML = 
-                    '<span style="color:#e74c3c">❌ Error checking connection</span>';
-                });
-            }
-            
-            function resetConnection() {
-              if (confirm('Are you sure you want to reset the WhatsApp connection?')) {
-                fetch('/reset', { method: 'POST' })
-                  .then(response => response.text())
-                  .then(data => {
-                    alert(data);
-                    setTimeout(() => location.reload(), 1000);
-                  })
-                  .catch(err => {
-                    alert('Error resetting connection');
-                  });
-              }
-            }
-            
-            function logoutConnection() {
-              if (confirm('Are you sure you want to logout this device from WhatsApp?')) {
-                fetch('/logout', { method: 'POST' })
-                  .then(response => response.text())
-                  .then(data => {
-                    alert(data);
-                    setTimeout(() => location.reload(), 1000);
-                  })
-                  .catch(err => {
-                    alert('Error logging out');
-                  });
-              }
-            }
-          </script>
-        </body>
-      </html>
-    `);
-  } else if (qrCodeData) {
-    // QR code display with manual refresh and auto-refresh toggle
-    res.send(`
-      <html>
-        <head>
-          <title>Scan QR Code</title>
-          <meta http-equiv="refresh" content="${Math.floor(PAGE_REFRESH_INTERVAL/1000)}">
-          <style>
-            body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; flex-direction: column; background-color: #f0f2f5; margin: 0; padding: 0; }
-            .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); text-align: center; max-width: 500px; width: 100%; }
-            img { max-width: 300px; border: 1px solid #ddd; padding: 10px; margin: 20px 0; }
-            .refresh { color: #777; font-size: 12px; margin-top: 20px; }
-            .qr-timestamp { font-size: 12px; color: #666; margin-top: 5px; }
-            .qr-container { display: flex; justify-content: center; align-items: center; }
-            .btn { background: #128C7E; color: white; border: none; padding: 10px 15px; border-radius: 5px; cursor: pointer; margin: 10px 5px; }
-            .btn-secondary { background: #888; }
-            .toggle-btn { background: ${qrAutoRefresh ? '#f39c12' : '#128C7E'}; }
-            .actions { margin-top: 15px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h2>Scan QR Code with WhatsApp</h2>
-            <p>Open WhatsApp on your phone, go to Settings > Linked Devices > Link a Device</p>
-            <div class="qr-container">
-              <img src="${qrCodeData}" alt="WhatsApp QR Code" />
-            </div>
-            <p class="qr-timestamp">QR Code generated: ${new Date(qrGenerationTime).toLocaleTimeString()}</p>
-            <p>Current status: ${connectionState}</p>
-            
-            <div class="actions">
-              <button class="btn" onclick="generateNewQR()">Generate New QR Code</button>
-              <button class="btn toggle-btn" onclick="toggleAutoRefresh()">${qrAutoRefresh ? 'Disable' : 'Enable'} Auto-Refresh</button>
-            </div>
-            
-            <p class="refresh">Page refreshes automatically every ${Math.floor(PAGE_REFRESH_INTERVAL/1000)} seconds.</p>
-          </div>
-          
-          <script>
-            function generateNewQR() {
-              fetch('/generate-qr', { method: 'POST' })
-                .then(response => response.json())
-                .then(data => {
-                  if (data.success) {
-                    alert('Generating new QR code...');
-                    setTimeout(() => location.reload(), 3000);
-                  } else {
-                    alert(data.message);
-                  }
-                })
-                .catch(err => {
-                  alert('Error generating QR code');
-                });
-            }
-            
-            function toggleAutoRefresh() {
-              fetch('/toggle-qr-auto-refresh', { method: 'POST' })
-                .then(response => response.json())
-                .then(data => {
-                  alert(data.message);
-                  location.reload();
-                })
-                .catch(err => {
-                  alert('Error toggling auto-refresh');
-                });
-            }
-          </script>
-        </body>
-      </html>
-    `);
-  } else {
-    // Loading state with improved UI
-    res.send(`
-      <html>
-        <head>
-          <meta http-equiv="refresh" content="${Math.floor(PAGE_REFRESH_INTERVAL/1000)}">
-          <style>
-            body { font-family: Arial, sans-serif; display: flex; justify-content: center; align-items: center; height: 100vh; flex-direction: column; background-color: #f0f2f5; margin: 0; padding: 0; }
-            .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); text-align: center; max-width: 500px; width: 100%; }
-            .waiting { color: #E37400; }
-            .refresh { color: #777; font-size: 12px; margin-top: 20px; }
-            .loader { border: 5px solid #f3f3f3; border-radius: 50%; border-top: 5px solid #128C7E; width: 50px; height: 50px; animation: spin 1s linear infinite; margin: 20px auto; }
-            @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h2 class="waiting">⏳ Preparing WhatsApp Connection...</h2>
-            <div class="loader"></div>
-            <p>Current status: ${connectionState}</p>
-            <p class="refresh">Page refreshes automatically every ${Math.floor(PAGE_REFRESH_INTERVAL/1000)} seconds.</p>
-          </div>
-        </body>
-      </html>
-    `);
+    // Check again now that nothing async is left, a copy may have been queued meanwhile
+    const lateReplay = findReplayedJob(req, session.accountId, 'send-messages');
+    if (lateReplay) return sendReplayResponse(res, lateReplay);
+
+    // Persist the batch before acknowledging it so a restart cannot lose it
+    const job = createJob(session.accountId, 'send-messages', prepared.messages, { ...getJobOptions(req.body), ...getIdempotencyOptions(req, 'send-messages'), scheduledAt });
+
+    // Immediately respond to prevent timeout
+    res.status(202).json({
+      success: true,
+      message: `Processing ${prepared.messages.length} messages in batches`,
+      jobId: job.id,
+      accountId: session.accountId,
+      scheduledAt: job.scheduledAt,
+      queued: prepared.messages.length,
+      rejected: prepared.errors,
+      duplicates: job.results.filter(item => item.duplicateOf).map(summarizeJobResult),
+      optedOut: job.results.filter(item => item.optedOut).map(summarizeJobResult)
+    });
+
+    runJobQueue(session);
+  } catch (error) {
+    log(`❌ Error in message sending API: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message });
+    }
   }
 });
 
-// Bulk messaging API endpoint
+// New endpoint specifically for handling bulk messages with batching
 // app.post('/api/send-bulk', async (req, res) => {
-//     // Check if WhatsApp is connected
-//     if (!isLoggedIn || !client) {
-//       return res.status(403).json({
+//   // Check if WhatsApp is connected
+//   if (!isLoggedIn || !client) {
+//     return res.status(403).json({
+//       success: false, 
+//       message: 'WhatsApp not connected. Please scan QR code first.'
+//     });
+//   }
+
+//   try {
+//     // Get the messages array from request body
+//     const { messages, total } = req.body;
+    
+//     if (!messages || !Array.isArray(messages) || messages.length === 0) {
+//       return res.status(400).json({
 //         success: false,
-//         message: 'WhatsApp not connected. Please scan QR code first.'
+//         message: 'Invalid request. Please provide an array of messages.'
 //       });
 //     }
-  
-//     try {
-//       // Get the messages array from request body
-//       const { messages } = req.body;
-      
-//       if (!messages || !Array.isArray(messages) || messages.length === 0) {
-//         return res.status(400).json({
-//           success: false,
-//           message: 'Invalid request. Please provide an array of messages.'
-//         });
-//       }
-      
-//       // Start processing messages
-//       log(`📤 Starting bulk message sending - ${messages.length} messages queued`);
-      
-//       // Initial response to prevent timeout
-//       res.status(202).json({
-//         success: true,
-//         message: `Processing ${messages.length} messages in the background`,
-//         queued: messages.length
-//       });
-      
-//       // Process messages in the background with a small delay between each
-//       let successCount = 0;
-//       let failCount = 0;
+
+//     // Immediately respond to prevent timeout
+//     res.status(202).json({
+//       success: true,
+//       message: `Processing ${messages.length} messages in batches`,
+//       queued: messages.length
+//     });
+
+//     // Implementation of improved batching mechanism
+//     const BATCH_SIZE = 20; // Send 20 messages per batch
+//     const BATCH_DELAY = 5000; // 5 seconds between batches
+//     const MESSAGE_DELAY = 1500; // 1.5 seconds between messages
+    
+//     // Track success and failure
+//     let successCount = 0;
+//     let failCount = 0;
+    
+//     // Process messages in batches
+//     for (let batchStart = 0; batchStart < messages.length; batchStart += BATCH_SIZE) {
+//       const batchEnd = Math.min(batchStart + BATCH_SIZE, messages.length);
+//       log(`📦 Processing batch ${Math.floor(batchStart/BATCH_SIZE) + 1}: messages ${batchStart+1} to ${batchEnd}`);
       
-//       // Function to send a single text message
-//       const sendTextMessage = async (recipient, message) => {
-//         try {
-//           // Send simple text message
-//           await client.sendMessage(recipient, message);
-          
-//           // Track successful message
-//           successCount++;
-//           log(`✅ Sent message to ${recipient}`);
-          
-//           return { recipient, status: 'success' };
-//         } catch (error) {
-//           failCount++;
-//           log(`❌ Failed to send message to ${recipient}: ${error.message}`);
-//           return { recipient, status: 'failed', error: error.message };
-//         }
-//       };
-  
-//       // Process each message with a small delay between sends
-//       for (let i = 0; i < messages.length; i++) {
+//       // Process current batch
+//       for (let i = batchStart; i < batchEnd; i++) {
 //         const { number, message } = messages[i];
         
-//         // Validate the number format
-//         const formattedNumber = number.startsWith('+') ? 
-//           number.substring(1) + '@c.us' : 
-//           number + '@c.us';
+//         // Format phone number
+//         const formattedNumber = number.startsWith('+') 
+//           ? number.substring(1) + '@c.us' 
+//           : number + '@c.us';
         
 //         try {
-//           // Send the text message
-//           await sendTextMessage(formattedNumber, message);
-          
-//           // Small delay between messages to prevent rate limiting (500-800ms)
-//           if (i < messages.length - 1) {
-//             await new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * 300) + 500));
-//           }
-          
-//           // Log progress periodically
-//           if (i % 10 === 0 || i === messages.length - 1) {
-//             log(`📊 Bulk sending progress: ${i + 1}/${messages.length}`);
-//           }
+//           // Send text message
+//           await client.sendMessage(formattedNumber, message);
+//           successCount++;
+//           log(`✅ Sent message to ${number} (${i+1}/${messages.length})`);
 //         } catch (error) {
-//           log(`❌ Error in bulk send loop: ${error.message}`);
 //           failCount++;
+//           log(`❌ Failed to send message to ${number}: ${error.message} (${i+1}/${messages.length})`);
+//         }
+        
+//         // Add delay between messages - longer and more consistent delay
+//         if (i < batchEnd - 1) {
+//           await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY));
 //         }
 //       }
       
-//       // Log final results
-//       log(`✅ Bulk message sending completed: ${successCount} successful, ${failCount} failed`);
+//       // Log batch completion
+//       log(`✅ Batch ${Math.floor(batchStart/BATCH_SIZE) + 1} completed: ${successCount} success, ${failCount} fail so far`);
       
-//     } catch (error) {
-//       log(`❌ Error in bulk sending API: ${error.message}`);
-//       // We've already sent the initial response
+//       // Add delay between batches (only if there are more batches to process)
+//       if (batchEnd < messages.length) {
+//         log(`⏳ Waiting ${BATCH_DELAY/1000} seconds before next batch...`);
+//         await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
+//       }
 //     }
-//   });
+    
+//     // Log final results
+//     log(`✅ Message sending completed: ${successCount} successful, ${failCount} failed`);
+    
+//   } catch (error) {
+//     log(`❌ Error in bulk messaging API: ${error.message}`);
+//   }
+// });
+// Endpoint for sending bulk messages optimized for speed
+// app.post('/api/send-bulk', async (req, res) => {
+//   // Check if WhatsApp is connected
+//   if (!isLoggedIn || !client) {
+//     return res.status(403).json({
+//       success: false, 
+//       message: 'WhatsApp not connected. Please scan QR code first.'
+//     });
+//   }
 
-  
-//   app.post('/api/send-bulk-qr', async (req, res) => {
-//     // Check if WhatsApp is connected
-//     if (!isLoggedIn || !client) {
-//       return res.status(403).json({
+//   try {
+//     // Get the messages array from request body
+//     const { messages, batchNumber, totalBatches } = req.body;
+    
+//     if (!messages || !Array.isArray(messages) || messages.length === 0) {
+//       return res.status(400).json({
 //         success: false,
-//         message: 'WhatsApp not connected. Please scan QR code first.'
+//         message: 'Invalid request. Please provide an array of messages.'
 //       });
 //     }
+
+//     // Immediately respond to prevent timeout
+//     res.status(202).json({
+//       success: true,
+//       message: `Processing batch ${batchNumber || 1} of ${totalBatches || 1} with ${messages.length} messages`,
+//       queued: messages.length
+//     });
+
+//     // Implementation of speed-optimized batching mechanism
+//     const MESSAGE_BATCH_SIZE = 10; // Process 10 messages at a time (increased from 5)
+//     const BATCH_DELAY = 2000; // 2 seconds between batches (reduced from 8)
+//     const MESSAGE_DELAY = 1000; // 1 second between messages (reduced from 3)
+//     const MAX_RETRIES = 1; // Only retry once to maintain speed
     
-//     try {
-//       // Get the messages array from request body
-//       const { messages } = req.body;
+//     // Track success and failure
+//     let successCount = 0;
+//     let failCount = 0;
+    
+//     // Helper function to send a single message with minimal retry
+//     async function sendMessageWithRetry(number, message, retryCount = 0) {
+//       try {
+//         // Format phone number
+//         const formattedNumber = number.startsWith('+') 
+//           ? number.substring(1) + '@c.us' 
+//           : number + '@c.us';
+        
+//         // Send message
+//         await client.sendMessage(formattedNumber, message);
+//         successCount++;
+//         log(`✅ Sent message to ${number}`);
+//         return true;
+//       } catch (error) {
+//         if (retryCount < MAX_RETRIES) {
+//           // Quick retry once
+//           await new Promise(resolve => setTimeout(resolve, 500));
+//           return sendMessageWithRetry(number, message, retryCount + 1);
+//         } else {
+//           failCount++;
+//           log(`❌ Failed to send message to ${number}: ${error.message}`);
+//           return false;
+//         }
+//       }
+//     }
+    
+//     // Process messages in optimal-sized batches
+//     for (let batchStart = 0; batchStart < messages.length; batchStart += MESSAGE_BATCH_SIZE) {
+//       const batchEnd = Math.min(batchStart + MESSAGE_BATCH_SIZE, messages.length);
       
-//       if (!messages || !Array.isArray(messages) || messages.length === 0) {
-//         return res.status(400).json({
-//           success: false,
-//           message: 'Invalid request. Please provide an array of messages.'
-//         });
+//       // Process current batch
+//       for (let i = batchStart; i < batchEnd; i++) {
+//         const { number, message } = messages[i];
+        
+//         // Send the message with minimal retry
+//         await sendMessageWithRetry(number, message);
+        
+//         // Add minimal delay between messages
+//         if (i < batchEnd - 1) {
+//           await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY));
+//         }
 //       }
       
-//       // Start processing messages
-//       log(`📤 Starting bulk message sending - ${messages.length} messages queued`);
+//       // Add minimal delay between batches (only if there are more to process)
+//       if (batchEnd < messages.length) {
+//         await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
+//       }
+//     }
+    
+//     // Log final results
+//     log(`✅ Message sending completed: ${successCount} successful, ${failCount} failed`);
+    
+//   } catch (error) {
+//     log(`❌ Error in bulk messaging API: ${error.message}`);
+//   }
+// });
+// Process a queued /api/send-bulk job, retrying each failed message once
+async function processSendBulkJob(session, job) {
+  const MAX_RETRIES = 1;         // Only retry once for speed
+  const mediaCache = new Map();  // mediaId -> MessageMedia, shared by every recipient of the job
+
+  // Helper function to send a single message with minimal retry
+  async function sendMessageWithRetry(item, retryCount = 0) {
+    const { number, message } = item;
+    item.attempts++;
+
+    try {
+      // Number was normalised when the job was created
+      const formattedNumber = getRecipientChatId(item);
       
-//       // Initial response to prevent timeout
-//       res.status(202).json({
-//         success: true,
-//         message: `Processing ${messages.length} messages in the background`,
-//         queued: messages.length
-//       });
+      // Send message (or media) and verify success
+      const response = await sendRecipientMessage(session, formattedNumber, item, mediaCache);
       
-//       // Process messages in the background with a small delay between each
-//       let successCount = 0;
-//       let failCount = 0;
+      // Basic verification
+      if (!response) {
+        throw new Error('No response from WhatsApp client');
+      }
       
-//       // Function to generate QR code from data
-//       const generateQRCode = async (qrData) => {
-//         try {
-//           if (!qrData) return null;
-          
-//           // Generate QR code as data URL using qrcode library
-//           // Using await directly with the promise-based API
-//           const qrCodeDataURL = await qrcode.toDataURL(qrData, {
-//             errorCorrectionLevel: 'H',
-//             margin: 1,
-//             width: 300
-//           });
-          
-//           // Convert data URL to buffer
-//           const base64Data = qrCodeDataURL.replace(/^data:image\/png;base64,/, '');
-//           const imageBuffer = Buffer.from(base64Data, 'base64');
-          
-//           return imageBuffer;
-//         } catch (error) {
-//           log(`❌ Error generating QR code: ${error.message}`);
-//           return null;
-//         }
-//       };
+      log(`✅ Sent message to ${number}`);
+      recordJobResult(job, item, 'sent', null, response);
       
-//       // Function to send a message - either text or image with caption
-//       const sendMessage = async (recipient, message, qrData) => {
+      return true;
+    } catch (error) {
+      log(`⚠️ Error sending to ${number}: ${error.message}`);
+      
+      if (retryCount < MAX_RETRIES && session.isLoggedIn && session.client) {
+        // Retry once, the rate limiter spaces it out and slows down if errors keep coming
+        return sendMessageWithRetry(item, retryCount + 1);
+      } else {
+        log(`❌ Failed to send message to ${number}`);
+        recordJobResult(job, item, 'failed', error.message);
+        
+        return false;
+      }
+    }
+  }
+
+  // Only recipients that were never attempted are picked up (also after a restart)
+  const pending = job.results.filter(item => item.status === 'queued');
+  
+  for (let i = 0; i < pending.length; i++) {
+    // Messages go out one at a time, paced by the shared rate limiter
+    await waitForSendSlot();
+
+    // Stop at a message boundary if the connection dropped (the job resumes after reconnection) or the job was paused or cancelled
+    if (isJobInterrupted(session, job)) return;
+
+    // Numbers that opted out after the job was queued are skipped, not sent
+    if (skipOptedOutRecipient(job, pending[i])) continue;
+
+    await sendMessageWithRetry(pending[i]);
+
+    if ((i + 1) % 10 === 0 || i === pending.length - 1) {
+      log(`📦 Batch progress: ${i + 1}/${pending.length} processed (job ${job.id})`);
+    }
+  }
+}
+
+// BACKEND API ENDPOINT
+app.post('/api/send-bulk', requireScope('send'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  // A retried request gets the job it created the first time instead of sending again
+  const replay = findReplayedJob(req, session.accountId, 'send-bulk');
+  if (replay) return sendReplayResponse(res, replay);
+
+  // Scheduled sends are accepted while disconnected, they run once the account is ready
+  const scheduledAt = getRequestSendAt(req, res);
+  if (scheduledAt === false) return;
+
+  // Check if WhatsApp is connected
+  if (!scheduledAt && (!session.isLoggedIn || !session.client)) {
+    return res.status(403).json({ success: false, message: 'WhatsApp not connected. Please scan QR code first.' });
+  }
+  
+  try {
+    // Get the messages array from request body
+    const { messages, batchNumber, totalBatches } = req.body;
+    
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ success: false, message: 'Invalid request. Please provide an array of messages.' });
+    }
+
+    // Render the shared template (if any) before anything is queued
+    const prepared = await prepareBulkMessages(req, res);
+    if (!prepared) return;
+
+    // Check again now that nothing async is left, a copy may have been queued meanwhile
+    const lateReplay = findReplayedJob(req, session.accountId, 'send-bulk');
+    if (lateReplay) return sendReplayResponse(res, lateReplay);
+
+    // Persist the batch before acknowledging it so a restart cannot lose it
+    const job = createJob(session.accountId, 'send-bulk', prepared.messages, { ...getJobOptions(req.body), ...getIdempotencyOptions(req, 'send-bulk'), scheduledAt, batchNumber, totalBatches });
+    
+    // Send a quick acknowledgment response to prevent timeout
+    // This is important for Render's limitations
+    res.status(202).json({ 
+      success: true, 
+      message: `Processing batch ${batchNumber || 1} of ${totalBatches || 1} with ${prepared.messages.length} messages`,
+      jobId: job.id,
+      accountId: session.accountId,
+      scheduledAt: job.scheduledAt,
+      queued: prepared.messages.length,
+      rejected: prepared.errors,
+      duplicates: job.results.filter(item => item.duplicateOf).map(summarizeJobResult),
+      optedOut: job.results.filter(item => item.optedOut).map(summarizeJobResult)
+    });
+
+    runJobQueue(session);
+  } catch (error) {
+    log(`❌ Error in bulk messaging API: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+});
+// New endpoint for bulk messages with QR codes
+// app.post('/api/send-bulk-qr', async (req, res) => {
+//   // Check if WhatsApp is connected
+//   if (!isLoggedIn || !client) {
+//     return res.status(403).json({
+//       success: false,
+//       message: 'WhatsApp not connected. Please scan QR code first.'
+//     });
+//   }
+
+//   try {
+//     // Get the messages array from request body
+//     const { messages, total } = req.body;
+    
+//     if (!messages || !Array.isArray(messages) || messages.length === 0) {
+//       return res.status(400).json({
+//         success: false,
+//         message: 'Invalid request. Please provide an array of messages.'
+//       });
+//     }
+
+//     // Immediately respond to prevent timeout
+//     res.status(202).json({
+//       success: true,
+//       message: `Processing ${messages.length} messages with QR codes in batches`,
+//       queued: messages.length
+//     });
+
+//     // Implementation of improved batching mechanism for QR messages
+//     const BATCH_SIZE = 15; // Smaller batch size for QR messages
+//     const BATCH_DELAY = 8000; // 8 seconds between batches (longer for QR messages)
+//     const MESSAGE_DELAY = 2000; // 2 seconds between messages (QR generation takes time)
+    
+//     // Track success and failure
+//     let successCount = 0;
+//     let failCount = 0;
+    
+//     // Process messages in batches
+//     for (let batchStart = 0; batchStart < messages.length; batchStart += BATCH_SIZE) {
+//       const batchEnd = Math.min(batchStart + BATCH_SIZE, messages.length);
+//       log(`📦 Processing QR batch ${Math.floor(batchStart/BATCH_SIZE) + 1}: messages ${batchStart+1} to ${batchEnd}`);
+      
+//       // Process current batch
+//       for (let i = batchStart; i < batchEnd; i++) {
+//         const { number, message, qrData } = messages[i];
+        
+//         // Format phone number
+//         const formattedNumber = number.startsWith('+') 
+//           ? number.substring(1) + '@c.us' 
+//           : number + '@c.us';
+        
 //         try {
-//           // Format the number
-//           const formattedNumber = recipient.startsWith('+') ?
-//             recipient.substring(1) + '@c.us' :
-//             recipient + '@c.us';
-          
-//           // If QR data is provided, send image with caption
+//           // Handle message with or without QR
 //           if (qrData) {
 //             try {
-//               // Generate QR code image
+//               // Generate QR code
 //               const qrImageBuffer = await generateQRCode(qrData);
               
 //               if (qrImageBuffer) {
 //                 // Create media from buffer
-//                 const media = new MessageMedia('image/png', qrImageBuffer.toString('base64'), 'qrcode.png');
+//                 const media = new MessageMedia(
+//                   'image/png', 
+//                   qrImageBuffer.toString('base64'), 
+//                   'qrcode.png'
+//                 );
                 
 //                 // Send the image with message as caption
 //                 await client.sendMessage(formattedNumber, media, { caption: message });
                 
 //                 successCount++;
-//                 log(`✅ Sent QR image message to ${recipient}`);
+//                 log(`✅ Sent QR image message to ${number} (${i+1}/${messages.length})`);
 //               } else {
-//                 // If QR generation failed, send text message only
+//                 // QR generation failed, send text only
 //                 await client.sendMessage(formattedNumber, message);
-//                 log(`⚠️ QR generation failed for ${recipient}, sent text only`);
 //                 successCount++;
+//                 log(`⚠️ QR generation failed for ${number}, sent text only (${i+1}/${messages.length})`);
 //               }
 //             } catch (qrError) {
-//               // If there's an error with QR generation, fall back to text message
-//               log(`⚠️ QR error for ${recipient}: ${qrError.message}, sending text only`);
+//               // If QR generation errors, fall back to text message
+//               log(`⚠️ QR error for ${number}: ${qrError.message}, sending text only`);
 //               await client.sendMessage(formattedNumber, message);
 //               successCount++;
 //             }
 //           } else {
-//             // Send simple text message
+//             // Send simple text message (no QR)
 //             await client.sendMessage(formattedNumber, message);
 //             successCount++;
-//             log(`✅ Sent text message to ${recipient}`);
+//             log(`✅ Sent text message to ${number} (${i+1}/${messages.length})`);
 //           }
-          
-//           return { recipient, status: 'success' };
 //         } catch (error) {
 //           failCount++;
-//           log(`❌ Failed to send message to ${recipient}: ${error.message}`);
-//           return { recipient, status: 'failed', error: error.message };
+//           log(`❌ Failed to send message to ${number}: ${error.message} (${i+1}/${messages.length})`);
 //         }
-//       };
-      
-//       // Process each message with a small delay between sends
-//       for (let i = 0; i < messages.length; i++) {
-//         const { number, message, qrData } = messages[i];
         
-//         try {
-//           // Send the message (with QR if available)
-//           await sendMessage(number, message, qrData);
-          
-//           // Small delay between messages to prevent rate limiting (500-800ms)
-//           if (i < messages.length - 1) {
-//             await new Promise(resolve => setTimeout(resolve, Math.floor(Math.random() * 300) + 500));
-//           }
-          
-//           // Log progress periodically
-//           if (i % 10 === 0 || i === messages.length - 1) {
-//             log(`📊 Bulk sending progress: ${i + 1}/${messages.length}`);
-//           }
-//         } catch (error) {
-//           log(`❌ Error in bulk send loop: ${error.message}`);
-//           failCount++;
+//         // Add delay between messages - longer delay for QR messages
+//         if (i < batchEnd - 1) {
+//           await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY));
 //         }
 //       }
       
-//       // Log final results
-//       log(`✅ Bulk message sending completed: ${successCount} successful, ${failCount} failed`);
+//       // Log batch completion
+//       log(`✅ QR Batch ${Math.floor(batchStart/BATCH_SIZE) + 1} completed: ${successCount} success, ${failCount} fail so far`);
       
-//     } catch (error) {
-//       log(`❌ Error in bulk sending API: ${error.message}`);
-//       // We've already sent the initial response
+//       // Add delay between batches (only if there are more batches to process)
+//       if (batchEnd < messages.length) {
+//         log(`⏳ Waiting ${BATCH_DELAY/1000} seconds before next batch...`);
+//         await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
+//       }
 //     }
-//   });
+    
+//     // Log final results
+//     log(`✅ QR message sending completed: ${successCount} successful, ${failCount} failed`);
+    
+//   } catch (error) {
+//     log(`❌ Error in QR bulk messaging API: ${error.message}`);
+//   }
+// });
+// Process a queued /api/send-bulk-qr job, generating each recipient's QR image
+async function processSendBulkQrJob(session, job) {
+  const mediaCache = new Map(); // mediaId -> MessageMedia, shared by every recipient of the job
+  const batchLabel = job.batchNumber || '?';
+
+  // Only recipients that were never attempted are picked up (also after a restart)
+  const pending = job.results.filter(item => item.status === 'queued');
+  const total = job.results.length;
+  log(`📦 Sending ${pending.length} QR messages of batch ${batchLabel} (job ${job.id})`);
+
+  for (let i = 0; i < pending.length; i++) {
+    // Pacing comes from the shared rate limiter
+    await waitForSendSlot();
+
+    // Stop at a message boundary if the connection dropped (the job resumes after reconnection) or the job was paused or cancelled
+    if (isJobInterrupted(session, job)) return;
+
+    const item = pending[i];
+
+    // Numbers that opted out after the job was queued are skipped, not sent
+    if (skipOptedOutRecipient(job, item)) continue;
+
+    const { number, message, qrData, qrOptions } = item;
+    const position = `${item.index+1}/${total}`;
+    
+    // Invalid numbers were already skipped when the job was created
+    const formattedNumber = getRecipientChatId(item);
+    
+    // We'll make multiple attempts for each message
+    let success = false;
+    let attempts = 0;
+    const MAX_ATTEMPTS = 2;
+    
+    while (!success && attempts < MAX_ATTEMPTS) {
+      attempts++;
+      item.attempts++;
+      try {
+        // Handle message with or without QR
+        if (qrData) {
+          try {
+            // Generate QR code with exponential backoff
+            let qrImageBuffer = null;
+            let qrAttempt = 0;
+            
+            while (!qrImageBuffer && qrAttempt < 2) {
+              try {
+                qrImageBuffer = await generateRecipientQRImage(job, item);
+                
+                if (!qrImageBuffer) {
+                  throw new Error('QR generation returned null');
+                }
+              } catch (qrGenError) {
+                qrAttempt++;
+                if (qrAttempt < 2) {
+                  // Wait before retrying QR generation
+                  await new Promise(resolve => setTimeout(resolve, 2000));
+                  log(`⚠️ Retrying QR generation for message ${item.index+1} (attempt ${qrAttempt+1})`);
+                } else {
+                  throw qrGenError; // Propagate error after max attempts
+                }
+              }
+            }
+            
+            if (qrImageBuffer) {
+              // Send the image with message as caption
+              const sentMessage = await sendQRCodeMessage(session, formattedNumber, qrImageBuffer, item.pass ? null : qrOptions, message);
+              
+              recordJobResult(job, item, 'sent', null, sentMessage);
+              success = true;
+              log(`✅ Sent QR image message to ${number} (${position})`);
+            } else {
+              // QR generation failed, send text only
+              const sentMessage = await sendThrottled(session, formattedNumber, message);
+              recordJobResult(job, item, 'sent', null, sentMessage);
+              success = true;
+              log(`⚠️ QR generation failed for ${number}, sent text only (${position})`);
+            }
+          } catch (qrError) {
+            if (attempts >= MAX_ATTEMPTS) {
+              // If QR generation errors after all attempts, fall back to text message
+              log(`⚠️ QR error for ${number} after ${attempts} attempts: ${qrError.message}, sending text only`);
+              try {
+                const sentMessage = await sendThrottled(session, formattedNumber, message);
+                recordJobResult(job, item, 'sent', null, sentMessage);
+                success = true;
+                log(`✅ Sent fallback text message to ${number} (${position})`);
+              } catch (textError) {
+                recordJobResult(job, item, 'failed', textError.message);
+                log(`❌ Failed to send text message to ${number}: ${textError.message}`);
+              }
+            } else {
+              log(`⚠️ QR error for ${number} (attempt ${attempts}): ${qrError.message}, will retry`);
+            }
+          }
+        } else {
+          // Send text, or the recipient's media with the message as caption
+          const sentMessage = await sendRecipientMessage(session, formattedNumber, item, mediaCache);
+          recordJobResult(job, item, 'sent', null, sentMessage);
+          success = true;
+          log(`✅ Sent ${item.media ? 'media' : 'text'} message to ${number} (${position})`);
+        }
+      } catch (error) {
+        if (attempts >= MAX_ATTEMPTS) {
+          recordJobResult(job, item, 'failed', error.message);
+          log(`❌ Failed to send message to ${number} after ${MAX_ATTEMPTS} attempts: ${error.message}`);
+        } else {
+          log(`⚠️ Failed attempt ${attempts} for ${number}: ${error.message}, will retry`);
+        }
+      }
+    }
+  }
+}
+
+// Improved bulk QR message sending endpoint
+app.post('/api/send-bulk-qr', requireScope('send'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  // A retried request gets the job it created the first time instead of sending again
+  const replay = findReplayedJob(req, session.accountId, 'send-bulk-qr');
+  if (replay) return sendReplayResponse(res, replay);
+
+  // Scheduled sends are accepted while disconnected, they run once the account is ready
+  const scheduledAt = getRequestSendAt(req, res);
+  if (scheduledAt === false) return;
+
+  // Check if WhatsApp is connected
+  if (!scheduledAt && (!session.isLoggedIn || !session.client)) {
+    return res.status(403).json({
+      success: false,
+      message: 'WhatsApp not connected. Please scan QR code first.'
+    });
+  }
+
+  try {
+    // Get the messages array from request body
+    const { messages, total, batchNumber, totalBatches } = req.body;
+    
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request. Please provide an array of messages.'
+      });
+    }
+
+    // Log batch receipt
+    log(`📥 Received QR batch ${batchNumber || '?'}/${totalBatches || '?'} with ${messages.length} messages`);
+
+    // Render the shared template (if any) before anything is queued
+    const prepared = await prepareBulkMessages(req, res);
+    if (!prepared) return;
+
+    // Check again now that nothing async is left, a copy may have been queued meanwhile
+    const lateReplay = findReplayedJob(req, session.accountId, 'send-bulk-qr');
+    if (lateReplay) return sendReplayResponse(res, lateReplay);
+
+    // Persist the batch before acknowledging it so a restart cannot lose it
+    const job = createJob(session.accountId, 'send-bulk-qr', prepared.messages, { ...getJobOptions(req.body), ...getIdempotencyOptions(req, 'send-bulk-qr'), scheduledAt, batchNumber, totalBatches });
+
+    // Immediately respond to prevent timeout
+    res.status(202).json({
+      success: true,
+      message: `Processing ${prepared.messages.length} messages with QR codes`,
+      jobId: job.id,
+      accountId: session.accountId,
+      scheduledAt: job.scheduledAt,
+      batchNumber: batchNumber || 1,
+      totalBatches: totalBatches || 1,
+      queued: prepared.messages.length,
+      rejected: prepared.errors,
+      duplicates: job.results.filter(item => item.duplicateOf).map(summarizeJobResult),
+      optedOut: job.results.filter(item => item.optedOut).map(summarizeJobResult)
+    });
+
+    runJobQueue(session);
+  } catch (error) {
+    log(`❌ Error in QR bulk messaging API: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+});
+
+// Job processors keyed by the route that queued the job
+const jobProcessors = {
+  'send-messages': processSendMessagesJob,
+  'send-bulk': processSendBulkJob,
+  'send-bulk-qr': processSendBulkQrJob
+};
+
+// List queued, running and finished jobs (newest first)
+app.get('/api/jobs', requireScope('read:status'), (req, res) => {
+  const { status, type, accountId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  const list = [...jobs.values()]
+    .filter(job => canAccessAccount(req, getJobAccountId(job)))
+    .filter(job => !accountId || getJobAccountId(job) === accountId)
+    .filter(job => !status || job.status === status)
+    .filter(job => !type || job.type === type)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  res.status(200).json({
+    success: true,
+    total: list.length,
+    jobs: list.slice(0, limit).map(summarizeJob)
+  });
+});
+
+// Get one job with its per-recipient results
+app.get('/api/jobs/:id', requireScope('read:status'), (req, res) => {
+  const job = jobs.get(req.params.id);
+
+  if (!job || !canAccessAccount(req, getJobAccountId(job))) {
+    return res.status(404).json({
+      success: false,
+      message: `Job ${req.params.id} not found`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    job: {
+      ...summarizeJob(job),
+      results: job.results.map(summarizeJobResult)
+    },
+    notAttempted: job.status === 'cancelled' ? getNotAttempted(job) : undefined
+  });
+});
+
+// Get the delivery lifecycle for one recipient of a job
+app.get('/api/jobs/:id/recipients/:number', requireScope('read:status'), (req, res) => {
+  const job = jobs.get(req.params.id);
+
+  if (!job || !canAccessAccount(req, getJobAccountId(job))) {
+    return res.status(404).json({
+      success: false,
+      message: `Job ${req.params.id} not found`
+    });
+  }
+
+  // Match on digits so +91..., 91... and 91...@c.us all find the same recipient
+  const digits = req.params.number.replace(/\D/g, '');
+  const results = job.results.filter(item => item.number.replace(/\D/g, '') === digits);
+
+  if (results.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: `Recipient ${req.params.number} not found in job ${job.id}`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    jobId: job.id,
+    results: results.map(summarizeJobResult)
+  });
+});
+
+// Look up a job for a control endpoint, answering 404 when it doesn't exist for this key
+function getControlledJob(req, res) {
+  const job = jobs.get(req.params.id);
+
+  if (!job || !canAccessAccount(req, getJobAccountId(job))) {
+    res.status(404).json({ success: false, message: `Job ${req.params.id} not found` });
+    return null;
+  }
+  return job;
+}
+
+// Recipients of a cancelled job that were never attempted
+function getNotAttempted(job) {
+  return job.results
+    .filter(item => item.status === 'cancelled' && item.attempts === 0)
+    .map(item => ({ index: item.index, id: item.id, number: item.number }));
+}
+
+// Pause a job; a running job stops after the message it is currently sending
+app.post('/api/jobs/:id/pause', requireScope('jobs:control'), (req, res) => {
+  const job = getControlledJob(req, res);
+  if (!job) return;
+
+  if (!['queued', 'scheduled', 'running'].includes(job.status)) {
+    return res.status(409).json({ success: false, message: `Job ${job.id} is ${job.status}, only queued, scheduled or running jobs can be paused` });
+  }
+
+  job.status = 'paused';
+  job.pausedAt = new Date().toISOString();
+  saveJob(job);
+  log(`⏸️ Job ${job.id} paused with ${getJobCounts(job).queued} messages left`);
+
+  res.status(200).json({ success: true, job: summarizeJob(job) });
+});
+
+// Resume a paused job from the next recipient that hasn't been sent
+app.post('/api/jobs/:id/resume', requireScope('jobs:control'), (req, res) => {
+  const job = getControlledJob(req, res);
+  if (!job) return;
+
+  if (job.status !== 'paused') {
+    return res.status(409).json({ success: false, message: `Job ${job.id} is ${job.status}, only paused jobs can be resumed` });
+  }
+
+  // A job paused before its send time goes back to waiting for it
+  job.status = job.scheduledAt && new Date(job.scheduledAt) > new Date() ? 'scheduled' : 'queued';
+  job.pausedAt = null;
+  saveJob(job);
+  log(`▶️ Job ${job.id} resumed with ${getJobCounts(job).queued} messages left`);
+
+  const session = sessions.get(getJobAccountId(job));
+  if (session && session.isLoggedIn && session.client) {
+    runJobQueue(session);
+  }
+
+  res.status(200).json({ success: true, job: summarizeJob(job) });
+});
+
+// Cancel a job; recipients that were not sent yet are marked cancelled and listed in the response
+app.post('/api/jobs/:id/cancel', requireScope('jobs:control'), (req, res) => {
+  const job = getControlledJob(req, res);
+  if (!job) return;
+
+  if (!['queued', 'scheduled', 'running', 'paused'].includes(job.status)) {
+    return res.status(409).json({ success: false, message: `Job ${job.id} is already ${job.status}` });
+  }
+
+  // A message being sent right now keeps its real outcome, it is recorded when the send returns
+  for (const item of job.results) {
+    if (item.status === 'queued') {
+      item.status = 'cancelled';
+      item.error = 'Job was cancelled before this message was sent';
+    }
+  }
+
+  job.status = 'cancelled';
+  job.completedAt = new Date().toISOString();
+  saveJob(job);
+
+  const notAttempted = getNotAttempted(job);
+  log(`⏹️ Job ${job.id} cancelled, ${notAttempted.length} recipients were never attempted`);
+
+  res.status(200).json({ success: true, job: summarizeJob(job), notAttempted });
+});
+
+// Job reports
+// GET /api/jobs/:id/report gives every recipient's outcome, attempts, timestamps and delivery acks as JSON or CSV,
+// or a one-page PDF summary with the totals, rates and most common failure reasons
+const REPORT_FORMATS = { json: 'application/json', csv: 'text/csv; charset=utf-8', pdf: 'application/pdf' };
+const REPORT_FAILURE_REASONS = 10; // Failure reasons listed in the summary
+const REPORT_COLUMNS = ['recipient', 'id', 'number', 'e164', 'status', 'error', 'attempts', 'sentAt', 'finishedAt',
+  'messageId', 'delivery', 'deliveredAt', 'readAt', 'playedAt', 'deliveryErrorAt', 'duplicateOfJob', 'duplicateOfRecipient', 'optedOut'];
+
+// Quote a CSV value when it holds a comma, quote or line break
+// Text starting with = + - @ (or a tab or return) gets a leading ' so spreadsheets don't run it as a formula
+function toCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One recipient's row of the report
+function getReportRecipient(item) {
+  const delivery = item.delivery || {};
+  return {
+    recipient: item.index + 1,
+    id: item.id,
+    number: item.number,
+    e164: item.e164,
+    status: item.status,
+    error: item.error,
+    attempts: item.attempts,
+    sentAt: item.sentAt,
+    finishedAt: item.finishedAt || null,
+    messageId: item.messageId || null,
+    delivery: delivery.status || null,
+    deliveredAt: delivery.deliveredAt || null,
+    readAt: delivery.readAt || null,
+    playedAt: delivery.playedAt || null,
+    deliveryErrorAt: delivery.errorAt || null,
+    duplicateOfJob: item.duplicateOf ? item.duplicateOf.jobId : null,
+    duplicateOfRecipient: item.duplicateOf ? item.duplicateOf.index + 1 : null,
+    optedOut: Boolean(item.optedOut)
+  };
+}
+
+// Percentage of part in total, one decimal
+function getPercentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+// Totals, rates and failure reasons of a job
+// Reasons are grouped with recipient positions, ids and dates blanked out, so "Duplicate of recipient 3" and "... 7" count together
+function getReportSummary(job) {
+  const counts = getJobCounts(job);
+  const delivery = getDeliveryCounts(job);
+  const reasons = new Map();
+
+  for (const item of job.results) {
+    if ((item.status !== 'failed' && item.status !== 'skipped') || !item.error) continue;
+    const reason = item.error
+      .replace(/[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}/gi, '…')
+      .replace(/\d{4}-\d{2}-\d{2}T[\d:.]+Z/g, '…')
+      .replace(/recipient \d+/g, 'recipient #')
+      .replace(/Message id \S+/g, 'Message id #');
+    const key = `${item.status}:${reason}`;
+    const entry = reasons.get(key) || { status: item.status, reason, count: 0 };
+    entry.count++;
+    reasons.set(key, entry);
+  }
+
+  const startedAt = job.startedAt ? new Date(job.startedAt).getTime() : null;
+  const endedAt = job.completedAt ? new Date(job.completedAt).getTime() : Date.now();
+
+  return {
+    ...summarizeJob(job),
+    durationSeconds: startedAt ? Math.round((endedAt - startedAt) / 1000) : null,
+    rates: {
+      sent: getPercentage(counts.sent, counts.total),
+      failed: getPercentage(counts.failed, counts.total),
+      delivered: getPercentage(delivery.delivered, counts.sent),
+      read: getPercentage(delivery.read, counts.sent)
+    },
+    failureReasons: [...reasons.values()].sort((a, b) => b.count - a.count).slice(0, REPORT_FAILURE_REASONS)
+  };
+}
+
+// Format a duration in seconds as "1h 2m 3s"
+function formatDuration(seconds) {
+  if (seconds === null) return 'not started';
+  const parts = [[Math.floor(seconds / 3600), 'h'], [Math.floor((seconds % 3600) / 60), 'm'], [seconds % 60, 's']];
+  return parts.filter(([value], index) => value > 0 || index === 2).map(([value, unit]) => `${value}${unit}`).join(' ');
+}
+
+// Render the management summary as a one-page PDF
+function renderReportPdf(job, summary) {
+  return new Promise((resolve, reject) => {
+    const title = job.campaignId || job.type;
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Report ${title}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const formatDate = value => (value ? new Date(value).toUTCString() : '-');
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.fillColor('#128C7E').fontSize(20).text(`Campaign report: ${title}`);
+    doc.moveDown(0.5).fillColor('#333333').fontSize(10);
+    [
+      ['Job', job.id],
+      ['Account', getJobAccountId(job)],
+      ['Status', job.status],
+      ['Created', formatDate(job.createdAt)],
+      ['Started', formatDate(job.startedAt)],
+      ['Completed', formatDate(job.completedAt)],
+      ['Duration', formatDuration(summary.durationSeconds)]
+    ].forEach(([label, value]) => doc.text(`${label}: ${value}`));
+
+    // One bar per outcome, scaled to the number of recipients
+    doc.moveDown().fillColor('#128C7E').fontSize(14).text('Recipients');
+    doc.moveDown(0.5).fontSize(10);
+    const total = summary.counts.total;
+    const bars = [
+      ['Total', total, '#555555'],
+      ['Sent', summary.counts.sent, '#128C7E'],
+      ['Delivered', summary.delivery.delivered, '#25D366'],
+      ['Read', summary.delivery.read, '#34B7F1'],
+      ['Failed', summary.counts.failed, '#e74c3c'],
+      ['Skipped', summary.counts.skipped, '#f39c12'],
+      ['Cancelled', summary.counts.cancelled, '#999999']
+    ];
+    const barLeft = left + 80;
+    const barWidth = width - 80 - 110;
+    for (const [label, value, color] of bars) {
+      const y = doc.y;
+      doc.fillColor('#333333').text(label, left, y);
+      doc.rect(barLeft, y, Math.max(1, total > 0 ? (value / total) * barWidth : 0), 10).fill(color);
+      doc.fillColor('#333333').text(`${value} (${getPercentage(value, total)}%)`, barLeft + barWidth + 10, y);
+      doc.x = left;
+      doc.moveDown(0.4);
+    }
+
+    doc.moveDown().text(`Delivered ${summary.rates.delivered}% and read ${summary.rates.read}% of the sent messages.`, left);
+
+    doc.moveDown().fillColor('#128C7E').fontSize(14).text('Failure reasons');
+    doc.moveDown(0.5).fillColor('#333333').fontSize(10);
+    if (summary.failureReasons.length === 0) {
+      doc.text('No recipient failed or was skipped.');
+    }
+    for (const { status, reason, count } of summary.failureReasons) {
+      doc.text(`${count} × ${status}: ${reason}`, { width });
+    }
 
-// app.post('/api/send-messages', async (req, res) => {
-//   // Check if WhatsApp is connected
-//   if (!isLoggedIn || !client) {
-//     return res.status(403).json({
-//       success: false,
-//       message: 'WhatsApp not connected. Please scan QR code first.'
-//     });
-//   }
+    doc.moveDown(2).fillColor('#999999').fontSize(8).text(`Generated ${new Date().toUTCString()}`);
+    doc.end();
+  });
+}
 
-//   try {
-//     // Get the messages array from request body
-//     const { messages } = req.body;
-    
-//     if (!messages || !Array.isArray(messages) || messages.length === 0) {
-//       return res.status(400).json({
-//         success: false,
-//         message: 'Invalid request. Please provide an array of messages.'
-//       });
-//     }
-    
-//     // Immediately respond to prevent timeout
-//     res.status(202).json({
-//       success: true,
-//       message: `Processing ${messages.length} messages in the background`,
-//       queued: messages.length
-//     });
-    
-//     // Track success and failure
-//     let successCount = 0;
-//     let failCount = 0;
-    
-//     // Process messages one by one
-//     for (let i = 0; i < messages.length; i++) {
-//       const { number, message, qrData } = messages[i];
-      
-//       // Format phone number
-//       const formattedNumber = number.startsWith('+') ?
-//         number.substring(1) + '@c.us' :
-//         number + '@c.us';
-      
-//       try {
-//         // Check if this message should include a QR code
-//         if (qrData) {
-//           try {
-//             // Generate QR code
-//             const qrImageBuffer = await generateQRCode(qrData);
-            
-//             if (qrImageBuffer) {
-//               // Create media from buffer
-//               const media = new MessageMedia('image/png', qrImageBuffer.toString('base64'), 'qrcode.png');
-              
-//               // Send the image with message as caption
-//               await client.sendMessage(formattedNumber, media, { caption: message });
-              
-//               successCount++;
-//               log(`✅ Sent QR image message to ${number} (${i+1}/${messages.length})`);
-//             } else {
-//               // QR generation failed, send text only
-//               await client.sendMessage(formattedNumber, message);
-//               successCount++;
-//               log(`⚠️ QR generation failed for ${number}, sent text only (${i+1}/${messages.length})`);
-//             }
-//           } catch (qrError) {
-//             // If QR generation errors, fall back to text message
-//             log(`⚠️ QR error for ${number}: ${qrError.message}, sending text only`);
-//             await client.sendMessage(formattedNumber, message);
-//             successCount++;
-//           }
-//         } else {
-//           // Send simple text message (no QR)
-//           await client.sendMessage(formattedNumber, message);
-//           successCount++;
-//           log(`✅ Sent text message to ${number} (${i+1}/${messages.length})`);
-//         }
-//       } catch (error) {
-//         failCount++;
-//         log(`❌ Failed to send message to ${number}: ${error.message} (${i+1}/${messages.length})`);
-//       }
-      
-//       // Add delay between messages (600-900ms)
-//       if (i < messages.length - 1) {
-//         await new Promise(resolve => setTimeout(resolve, 600 + Math.floor(Math.random() * 300)));
-//       }
-      
-//       // Log progress periodically
-//       if (i % 5 === 0 || i === messages.length - 1) {
-//         log(`📊 Sending progress: ${i + 1}/${messages.length} (${successCount} success, ${failCount} fail)`);
-//       }
-//     }
-    
-//     // Log final results
-//     log(`✅ Message sending completed: ${successCount} successful, ${failCount} failed`);
-    
-//   } catch (error) {
-//     log(`❌ Error in message sending API: ${error.message}`);
-//   }
-// });
+// Download a job's report: format=json (default), csv or pdf
+app.get('/api/jobs/:id/report', requireScope('read:status'), async (req, res) => {
+  const job = jobs.get(req.params.id);
 
-// // Improved QR code generation function with better error handling
-// const generateQRCode = async (qrData) => {
-//   if (!qrData) return null;
-  
-//   try {
-//     // Set a timeout for QR generation to prevent hanging
-//     const qrPromise = new Promise((resolve, reject) => {
-//       qrcode.toBuffer(qrData, {
-//         errorCorrectionLevel: 'M',
-//         margin: 1,
-//         width: 300,
-//         color: {
-//           dark: '#000000',
-//           light: '#ffffff'
-//         }
-//       })
-//       .then(resolve)
-//       .catch(reject);
-      
-//       // Set 5 second timeout for QR generation
-//       setTimeout(() => reject(new Error('QR generation timeout')), 5000);
-//     });
-    
-//     return await qrPromise;
-//   } catch (error) {
-//     log(`❌ Error generating QR code: ${error.message}`);
-//     return null;
-//   }
-// };
-// // Status endpoint to check server and WhatsApp connection status
-// app.get('/status', async (req, res) => {
-//   let state = connectionState;
+  if (!job || !canAccessAccount(req, getJobAccountId(job))) {
+    return res.status(404).json({
+      success: false,
+      message: `Job ${req.params.id} not found`
+    });
+  }
 
-//   // If logged in, try to get real-time state
-//   if (isLoggedIn && client) {
-//     try {
-//       state = await client.getState();
-//       lastKnownState = state;
-//       lastActiveTimestamp = Date.now();
-//     } catch (error) {
-//       log(`❌ Error getting state for status endpoint: ${error.message}`);
-//       // Keep using the stored connectionState if error
-//     }
-//   }
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!REPORT_FORMATS[format]) {
+    return res.status(400).json({ success: false, message: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+  }
 
-//   res.json({
-//     server: 'running',
-//     whatsapp: {
-//       connected: isLoggedIn,
-//       state: state,
-//       number: isLoggedIn ? loggedInNumber : null,
-//       name: isLoggedIn ? loggedInName : null,
-//       profilePicture: isLoggedIn ? (profilePictureUrl ? true : false) : false,
-//       lastActive: lastActiveTimestamp > 0 ? new Date(lastActiveTimestamp).toISOString() : null,
-//       qrAutoRefresh: qrAutoRefresh
-//     }
-//   });
-// });
+  try {
+    const summary = getReportSummary(job);
+    let body;
+    if (format === 'json') {
+      body = JSON.stringify({ generatedAt: new Date().toISOString(), summary, recipients: job.results.map(getReportRecipient) }, null, 2);
+    } else if (format === 'csv') {
+      const lines = job.results.map(item => {
+        const row = getReportRecipient(item);
+        return REPORT_COLUMNS.map(column => toCsvValue(row[column])).join(',');
+      });
+      body = [REPORT_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+    } else {
+      body = await renderReportPdf(job, summary);
+    }
 
-// const generateQRCode = async (qrData) => {
-//   if (!qrData) return null;
+    const name = (job.campaignId || job.type).replace(/[^-\w]+/g, '_');
+    res.setHeader('Content-Type', REPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${job.id}.${format}"`);
+    res.send(body);
+  } catch (error) {
+    log(`❌ Error generating report for job ${job.id}: ${error.message}`);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-//   try {
-//     const qrPromise = new Promise((resolve, reject) => {
-//       qrcode.toBuffer(qrData, {
-//         errorCorrectionLevel: 'M',
-//         margin: 1,
-//         width: 300,
-//         color: {
-//           dark: '#000000',
-//           light: '#ffffff'
-//         }
-//       })
-//       .then(resolve)
-//       .catch(reject);
+// Recipient files
+// CSV and XLSX files are saved to disk by multer and read back one row at a time, so their size isn't bound by the JSON body limit
+// The rows still end up in memory as one job (or campaign upload), so a file may hold at most RECIPIENT_FILE_MAX_ROWS of them
+// The first row names the columns; a mapping picks the columns holding the number, message, QR data and client message id,
+// and every column is also a template variable under its own name
+const RECIPIENT_FILE_MAX_SIZE = (parseInt(process.env.RECIPIENT_FILE_MAX_SIZE_MB, 10) || 100) * 1024 * 1024;
+const RECIPIENT_FILE_TMP_DIR = path.join(DATA_DIR, 'tmp');
+const RECIPIENT_FILE_MAX_ROWS = parseInt(process.env.RECIPIENT_FILE_MAX_ROWS, 10) || 100000;
+const IMPORT_MAX_ERRORS = 1000; // Row errors listed in an import response, the count covers all of them
+const recipientFileUpload = multer({ dest: RECIPIENT_FILE_TMP_DIR, limits: { fileSize: RECIPIENT_FILE_MAX_SIZE, files: 1 } });
 
-//       setTimeout(() => reject(new Error('QR generation timeout')), 5000);
-//     });
+// Text of an XLSX cell: formulas give their result, links and rich text their text, dates an ISO string
+function getCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return getCellText(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return getCellText(value.text);
+    return '';
+  }
+  return String(value).trim();
+}
 
-//     return await qrPromise;
-//   } catch (error) {
-//     log(`❌ Error generating QR code: ${error.message}`);
-//     return null;
-//   }
-// };
+// Guess a CSV file's delimiter from its header line, spreadsheets in many locales export with ";"
+function detectCsvDelimiter(filePath) {
+  const buffer = Buffer.alloc(64 * 1024);
+  const fd = fs.openSync(filePath, 'r');
+  let length;
+  try {
+    length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
 
-// Improved version of the QR code generator function
-const generateQRCode = async (qrData) => {
-  if (!qrData) return null;
+  const header = buffer.toString('utf8', 0, length).split(/\r?\n/, 1)[0];
+  return [';', '\t'].reduce((best, candidate) => (header.split(candidate).length > header.split(best).length ? candidate : best), ',');
+}
+
+// Read what is left of an XLSX stream reader, ignoring errors of a file that is already being given up on
+async function drainWorkbookReader(worksheets, rows) {
   try {
-    // Implement timeout protection for QR generation
-    const qrPromise = new Promise((resolve, reject) => {
-      qrcode.toBuffer(qrData, {
-        errorCorrectionLevel: 'M',
-        margin: 2,
-        width: 350,  // Slightly larger for better scannability
-        color: {
-          dark: '#000000',
-          light: '#ffffff'
+    if (rows) {
+      while (!(await rows.next()).done);
+    }
+    for (let next = await worksheets.next(); !next.done; next = await worksheets.next()) {
+      const sheetRows = next.value[Symbol.asyncIterator]();
+      while (!(await sheetRows.next()).done);
+    }
+  } catch (error) {
+    log(`⚠️ Could not read the rest of a recipient file: ${error.message}`);
+  }
+}
+
+// Read a CSV or XLSX file (first worksheet only) as { rowNumber, values } one row at a time
+// The file is closed in finally, callers may stop reading early
+async function* readRecipientFile(filePath, filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (!['.csv', '.txt', '.xlsx'].includes(extension)) {
+    throw new Error('Only .csv and .xlsx files are supported');
+  }
+
+  const input = fs.createReadStream(filePath);
+  try {
+    if (extension === '.xlsx') {
+      // Styles are needed to tell dates from numbers
+      const reader = new ExcelJS.stream.xlsx.WorkbookReader(input, { sharedStrings: 'cache', styles: 'cache', hyperlinks: 'ignore', worksheets: 'emit' });
+      // ExcelJS only removes the temp files it buffers worksheets in once it reads to the end,
+      // so rows are pulled by hand (breaking out of for await would stop it) and the rest is drained afterwards
+      const worksheets = reader[Symbol.asyncIterator]();
+      let rows = null;
+      try {
+        const worksheet = await worksheets.next();
+        if (!worksheet.done) {
+          rows = worksheet.value[Symbol.asyncIterator]();
+          for (let next = await rows.next(); !next.done; next = await rows.next()) {
+            const values = [];
+            next.value.eachCell({ includeEmpty: true }, (cell, column) => {
+              values[column - 1] = getCellText(cell.value);
+            });
+            yield { rowNumber: next.value.number, values };
+          }
         }
-      })
-      .then(resolve)
-      .catch(reject);
-      
-      // Timeout after 8 seconds (increased from 5)
-      setTimeout(() => reject(new Error('QR generation timeout')), 8000);
-    });
-    
-    return await qrPromise;
+      } finally {
+        await drainWorkbookReader(worksheets, rows);
+      }
+    } else {
+      const parser = input.pipe(parseCsv({
+        delimiter: detectCsvDelimiter(filePath),
+        bom: true,
+        relax_column_count: true,
+        skip_empty_lines: true,
+        trim: true,
+        info: true
+      }));
+      for await (const { record, info } of parser) {
+        yield { rowNumber: info.lines, values: record };
+      }
+    }
+  } finally {
+    input.destroy();
+  }
+}
+
+// Column names from a header row; blank and repeated headers get a name of their own
+function getRecipientColumns(header) {
+  const columns = [];
+  header.forEach((value, index) => {
+    let name = String(value === undefined || value === null ? '' : value).trim() || `Column ${index + 1}`;
+    while (columns.includes(name)) name = `${name} (${index + 1})`;
+    columns.push(name);
+  });
+  return columns;
+}
+
+// Key a row's values by column name, null when the row is blank
+function toRecipientRow(columns, values) {
+  const row = Object.fromEntries(columns.map((column, index) => [column, values[index] === undefined ? '' : values[index]]));
+  return Object.values(row).some(value => value !== '') ? row : null;
+}
+
+// Read a whole recipient file into rows keyed by the header row's column names
+async function parseRecipientFile(filePath, filename) {
+  let columns = null;
+  const rows = [];
+
+  for await (const { values } of readRecipientFile(filePath, filename)) {
+    if (!columns) {
+      columns = getRecipientColumns(values);
+      continue;
+    }
+    const row = toRecipientRow(columns, values);
+    if (!row) continue;
+    if (rows.length === RECIPIENT_FILE_MAX_ROWS) {
+      throw new Error(`The file has more than ${RECIPIENT_FILE_MAX_ROWS} recipients, please split it`);
+    }
+    rows.push(row);
+  }
+
+  if (!columns) {
+    throw new Error('The file is empty, the first row must name the columns');
+  }
+  return { columns, rows };
+}
+
+// Check that the mapping names a number column and only uses columns of the file
+function validateRecipientMapping(mapping, columns) {
+  if (!mapping || typeof mapping !== 'object') return 'Please provide a column mapping';
+  if (!mapping.number) return 'Please choose the column with the phone numbers';
+  if (mapping.variables !== undefined && (typeof mapping.variables !== 'object' || Array.isArray(mapping.variables))) {
+    return 'mapping.variables must map template variables to column names';
+  }
+
+  const used = [mapping.number, mapping.message, mapping.qrData, mapping.id, ...Object.values(mapping.variables || {})].filter(Boolean);
+  const unknown = used.find(column => !columns.includes(column));
+  return unknown ? `Column "${unknown}" is not in the file` : null;
+}
+
+// Turn a row into a bulk message, mapping.variables adds template variable names for columns
+function buildRecipientMessage(row, mapping) {
+  const variables = { ...row };
+  for (const [name, column] of Object.entries(mapping.variables || {})) {
+    if (column) variables[name] = row[column];
+  }
+
+  const message = { number: row[mapping.number], variables };
+  if (mapping.message && row[mapping.message]) message.message = row[mapping.message];
+  if (mapping.qrData && row[mapping.qrData]) message.qrData = row[mapping.qrData];
+  if (mapping.id && row[mapping.id]) message.id = row[mapping.id];
+  return message;
+}
+
+// Multipart fields are strings, decode the JSON and boolean ones
+function getImportOptions(fields) {
+  const options = { ...fields };
+  for (const name of ['mapping', 'variables', 'qrOptions', 'signed', 'checkIn', 'media']) {
+    if (typeof options[name] !== 'string' || options[name] === '') continue;
+    try {
+      options[name] = JSON.parse(options[name]);
+    } catch (error) {
+      throw new Error(`${name} must be JSON`);
+    }
+  }
+  for (const name of ['checkRegistration', 'dryRun']) {
+    if (typeof options[name] === 'string') options[name] = options[name] !== 'false';
+  }
+  return options;
+}
+
+// Receive a recipient file, answering 400 or 413 when multer rejects it
+function receiveRecipientFile(req, res, next) {
+  recipientFileUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, message: error.message });
+    }
+    next();
+  });
+}
+
+// Import recipients from a CSV or XLSX (multipart "file") and queue the valid rows as one job
+// Fields: mapping (JSON {number, message, qrData, id, variables}), template, variables, type, campaignId, sendAt,
+// defaultCountryCode, dedupe, passTemplateId, qrOptions, signed, checkIn and dryRun to only validate
+app.post('/api/import', requireScope('send'), receiveRecipientFile, async (req, res) => {
+  try {
+    await importRecipientFile(req, res);
   } catch (error) {
-    log(`❌ Error generating QR code: ${error.message}`);
-    return null;
+    log(`❌ Error importing recipients: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(400).json({ success: false, message: `Could not read ${req.file ? req.file.originalname : 'the file'}: ${error.message}` });
+    }
+  } finally {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
   }
-};
+});
 
-// Endpoint for sending bulk messages with batching
-app.post('/api/send-messages', async (req, res) => {
-  // Check if WhatsApp is connected
-  if (!isLoggedIn || !client) {
+// Read the uploaded file row by row, collecting the sendable rows and the reasons the others were left out
+async function importRecipientFile(req, res) {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'Please upload a CSV or XLSX file in the "file" field' });
+  }
+
+  let options;
+  try {
+    options = getImportOptions(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  const type = options.type || 'send-messages';
+  if (!jobProcessors[type]) {
+    return res.status(400).json({ success: false, message: `type must be one of: ${Object.keys(jobProcessors).join(', ')}` });
+  }
+  if (!options.mapping || (!options.mapping.message && !options.template)) {
+    return res.status(400).json({ success: false, message: 'Please map a message column or provide a template' });
+  }
+
+  // Scheduled imports are accepted while disconnected, they run once the account is ready
+  const scheduledAt = getRequestSendAt(req, res);
+  if (scheduledAt === false) return;
+
+  if (!options.dryRun && !scheduledAt && (!session.isLoggedIn || !session.client)) {
     return res.status(403).json({
       success: false,
       message: 'WhatsApp not connected. Please scan QR code first.'
     });
   }
 
-  try {
-    // Get the messages array from request body
-    const { messages } = req.body;
-    
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request. Please provide an array of messages.'
-      });
+  const filename = path.basename(req.file.originalname);
+  const messages = [];
+  const rowNumbers = []; // File row of each entry in messages
+  const errors = [];
+  let columns = null;
+  let rowCount = 0;
+
+  for await (const { rowNumber, values } of readRecipientFile(req.file.path, filename)) {
+    if (!columns) {
+      columns = getRecipientColumns(values);
+      const mappingError = validateRecipientMapping(options.mapping, columns);
+      if (mappingError) {
+        return res.status(400).json({ success: false, message: mappingError, columns });
+      }
+      continue;
     }
 
-    // Immediately respond to prevent timeout
-    res.status(202).json({
-      success: true,
-      message: `Processing ${messages.length} messages in batches`,
-      queued: messages.length
-    });
+    const row = toRecipientRow(columns, values);
+    if (!row) continue;
+    if (rowCount === RECIPIENT_FILE_MAX_ROWS) {
+      return res.status(413).json({ success: false, message: `${filename} has more than ${RECIPIENT_FILE_MAX_ROWS} recipients, please split it` });
+    }
+    rowCount++;
 
-    // Implementation of batching mechanism
-    const BATCH_SIZE = 20; // Number of messages per batch
-    const BATCH_DELAY = 3000; // Delay between batches in ms (3 seconds)
-    const MESSAGE_DELAY = 1000; // Delay between messages in ms (1 second)
-    
-    // Track success and failure
-    let successCount = 0;
-    let failCount = 0;
-    
-    // Process messages in batches
-    for (let batchStart = 0; batchStart < messages.length; batchStart += BATCH_SIZE) {
-      const batchEnd = Math.min(batchStart + BATCH_SIZE, messages.length);
-      log(`📦 Processing batch ${Math.floor(batchStart/BATCH_SIZE) + 1}: messages ${batchStart+1} to ${batchEnd}`);
-      
-      // Process current batch
-      for (let i = batchStart; i < batchEnd; i++) {
-        const { number, message, qrData } = messages[i];
-        
-        // Format phone number
-        const formattedNumber = number.startsWith('+') 
-          ? number.substring(1) + '@c.us' 
-          : number + '@c.us';
-        
-        try {
-          // Check if this message should include a QR code
-          if (qrData) {
-            try {
-              // Generate QR code
-              const qrImageBuffer = await generateQRCode(qrData);
-              
-              if (qrImageBuffer) {
-                // Create media from buffer
-                const media = new MessageMedia(
-                  'image/png', 
-                  qrImageBuffer.toString('base64'), 
-                  'qrcode.png'
-                );
-                
-                // Send the image with message as caption
-                await client.sendMessage(formattedNumber, media, { caption: message });
-                
-                successCount++;
-                log(`✅ Sent QR image message to ${number} (${i+1}/${messages.length})`);
-              } else {
-                // QR generation failed, send text only
-                await client.sendMessage(formattedNumber, message);
-                successCount++;
-                log(`⚠️ QR generation failed for ${number}, sent text only (${i+1}/${messages.length})`);
-              }
-            } catch (qrError) {
-              // If QR generation errors, fall back to text message
-              log(`⚠️ QR error for ${number}: ${qrError.message}, sending text only`);
-              await client.sendMessage(formattedNumber, message);
-              successCount++;
-            }
-          } else {
-            // Send simple text message (no QR)
-            await client.sendMessage(formattedNumber, message);
-            successCount++;
-            log(`✅ Sent text message to ${number} (${i+1}/${messages.length})`);
-          }
-        } catch (error) {
-          failCount++;
-          log(`❌ Failed to send message to ${number}: ${error.message} (${i+1}/${messages.length})`);
-        }
-        
-        // Add delay between messages - more consistent delay
-        if (i < batchEnd - 1) {
-          await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY));
-        }
-      }
-      
-      // Log batch completion
-      log(`✅ Batch ${Math.floor(batchStart/BATCH_SIZE) + 1} completed: ${successCount} success, ${failCount} fail so far`);
-      
-      // Add delay between batches (only if there are more batches to process)
-      if (batchEnd < messages.length) {
-        log(`⏳ Waiting ${BATCH_DELAY/1000} seconds before next batch...`);
-        await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-      }
+    // Rows that can't be sent are reported instead of queued
+    const message = buildRecipientMessage(row, options.mapping);
+    const normalized = normalizePhoneNumber(message.number, options.defaultCountryCode || DEFAULT_COUNTRY_CODE);
+    if (!normalized.valid) {
+      errors.push({ row: rowNumber, number: message.number || null, message: normalized.reason });
+      continue;
     }
-    
-    // Log final results
-    log(`✅ Message sending completed: ${successCount} successful, ${failCount} failed`);
-    
-  } catch (error) {
-    log(`❌ Error in message sending API: ${error.message}`);
+    if (!options.template && !message.message) {
+      errors.push({ row: rowNumber, number: message.number, message: `Column "${options.mapping.message}" is empty and there is no template` });
+      continue;
+    }
+
+    messages.push(message);
+    rowNumbers.push(rowNumber);
   }
-});
 
-// New endpoint specifically for handling bulk messages with batching
-// app.post('/api/send-bulk', async (req, res) => {
-//   // Check if WhatsApp is connected
-//   if (!isLoggedIn || !client) {
-//     return res.status(403).json({
-//       success: false, 
-//       message: 'WhatsApp not connected. Please scan QR code first.'
-//     });
-//   }
+  if (!columns) {
+    return res.status(400).json({ success: false, message: `${filename} is empty, the first row must name the columns` });
+  }
 
-//   try {
-//     // Get the messages array from request body
-//     const { messages, total } = req.body;
-    
-//     if (!messages || !Array.isArray(messages) || messages.length === 0) {
-//       return res.status(400).json({
-//         success: false,
-//         message: 'Invalid request. Please provide an array of messages.'
-//       });
-//     }
+  const prepared = messages.length > 0 ? await prepareMessages({ ...options, messages }) : { messages: [], errors: [] };
+  if (prepared.error) {
+    return res.status(400).json({ success: false, message: prepared.error });
+  }
+  for (const error of prepared.errors) {
+    errors.push({ row: rowNumbers[error.index], number: error.number, message: error.message });
+  }
+  errors.sort((a, b) => a.row - b.row);
 
-//     // Immediately respond to prevent timeout
-//     res.status(202).json({
-//       success: true,
-//       message: `Processing ${messages.length} messages in batches`,
-//       queued: messages.length
-//     });
+  const summary = { rows: rowCount, valid: prepared.messages.length, errorCount: errors.length, errors: errors.slice(0, IMPORT_MAX_ERRORS) };
 
-//     // Implementation of improved batching mechanism
-//     const BATCH_SIZE = 20; // Send 20 messages per batch
-//     const BATCH_DELAY = 5000; // 5 seconds between batches
-//     const MESSAGE_DELAY = 1500; // 1.5 seconds between messages
-    
-//     // Track success and failure
-//     let successCount = 0;
-//     let failCount = 0;
-    
-//     // Process messages in batches
-//     for (let batchStart = 0; batchStart < messages.length; batchStart += BATCH_SIZE) {
-//       const batchEnd = Math.min(batchStart + BATCH_SIZE, messages.length);
-//       log(`📦 Processing batch ${Math.floor(batchStart/BATCH_SIZE) + 1}: messages ${batchStart+1} to ${batchEnd}`);
-      
-//       // Process current batch
-//       for (let i = batchStart; i < batchEnd; i++) {
-//         const { number, message } = messages[i];
-        
-//         // Format phone number
-//         const formattedNumber = number.startsWith('+') 
-//           ? number.substring(1) + '@c.us' 
-//           : number + '@c.us';
-        
-//         try {
-//           // Send text message
-//           await client.sendMessage(formattedNumber, message);
-//           successCount++;
-//           log(`✅ Sent message to ${number} (${i+1}/${messages.length})`);
-//         } catch (error) {
-//           failCount++;
-//           log(`❌ Failed to send message to ${number}: ${error.message} (${i+1}/${messages.length})`);
-//         }
-        
-//         // Add delay between messages - longer and more consistent delay
-//         if (i < batchEnd - 1) {
-//           await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY));
-//         }
-//       }
-      
-//       // Log batch completion
-//       log(`✅ Batch ${Math.floor(batchStart/BATCH_SIZE) + 1} completed: ${successCount} success, ${failCount} fail so far`);
-      
-//       // Add delay between batches (only if there are more batches to process)
-//       if (batchEnd < messages.length) {
-//         log(`⏳ Waiting ${BATCH_DELAY/1000} seconds before next batch...`);
-//         await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-//       }
-//     }
-    
-//     // Log final results
-//     log(`✅ Message sending completed: ${successCount} successful, ${failCount} failed`);
-    
-//   } catch (error) {
-//     log(`❌ Error in bulk messaging API: ${error.message}`);
-//   }
-// });
-// Endpoint for sending bulk messages optimized for speed
-// app.post('/api/send-bulk', async (req, res) => {
-//   // Check if WhatsApp is connected
-//   if (!isLoggedIn || !client) {
-//     return res.status(403).json({
-//       success: false, 
-//       message: 'WhatsApp not connected. Please scan QR code first.'
-//     });
-//   }
+  if (options.dryRun) {
+    return res.status(200).json({ success: true, message: `${summary.valid} of ${rowCount} rows of ${filename} can be sent`, dryRun: true, ...summary });
+  }
 
-//   try {
-//     // Get the messages array from request body
-//     const { messages, batchNumber, totalBatches } = req.body;
-    
-//     if (!messages || !Array.isArray(messages) || messages.length === 0) {
-//       return res.status(400).json({
-//         success: false,
-//         message: 'Invalid request. Please provide an array of messages.'
-//       });
-//     }
+  if (prepared.messages.length === 0) {
+    return res.status(400).json({ success: false, message: `None of the ${rowCount} rows of ${filename} can be sent`, ...summary });
+  }
 
-//     // Immediately respond to prevent timeout
-//     res.status(202).json({
-//       success: true,
-//       message: `Processing batch ${batchNumber || 1} of ${totalBatches || 1} with ${messages.length} messages`,
-//       queued: messages.length
-//     });
+  const job = createJob(session.accountId, type, prepared.messages, { ...getJobOptions(options), scheduledAt });
+  log(`📥 Imported ${prepared.messages.length} of ${rowCount} rows from ${filename} (job ${job.id})`);
 
-//     // Implementation of speed-optimized batching mechanism
-//     const MESSAGE_BATCH_SIZE = 10; // Process 10 messages at a time (increased from 5)
-//     const BATCH_DELAY = 2000; // 2 seconds between batches (reduced from 8)
-//     const MESSAGE_DELAY = 1000; // 1 second between messages (reduced from 3)
-//     const MAX_RETRIES = 1; // Only retry once to maintain speed
-    
-//     // Track success and failure
-//     let successCount = 0;
-//     let failCount = 0;
-    
-//     // Helper function to send a single message with minimal retry
-//     async function sendMessageWithRetry(number, message, retryCount = 0) {
-//       try {
-//         // Format phone number
-//         const formattedNumber = number.startsWith('+') 
-//           ? number.substring(1) + '@c.us' 
-//           : number + '@c.us';
-        
-//         // Send message
-//         await client.sendMessage(formattedNumber, message);
-//         successCount++;
-//         log(`✅ Sent message to ${number}`);
-//         return true;
-//       } catch (error) {
-//         if (retryCount < MAX_RETRIES) {
-//           // Quick retry once
-//           await new Promise(resolve => setTimeout(resolve, 500));
-//           return sendMessageWithRetry(number, message, retryCount + 1);
-//         } else {
-//           failCount++;
-//           log(`❌ Failed to send message to ${number}: ${error.message}`);
-//           return false;
-//         }
-//       }
-//     }
-    
-//     // Process messages in optimal-sized batches
-//     for (let batchStart = 0; batchStart < messages.length; batchStart += MESSAGE_BATCH_SIZE) {
-//       const batchEnd = Math.min(batchStart + MESSAGE_BATCH_SIZE, messages.length);
-      
-//       // Process current batch
-//       for (let i = batchStart; i < batchEnd; i++) {
-//         const { number, message } = messages[i];
-        
-//         // Send the message with minimal retry
-//         await sendMessageWithRetry(number, message);
-        
-//         // Add minimal delay between messages
-//         if (i < batchEnd - 1) {
-//           await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY));
-//         }
-//       }
-      
-//       // Add minimal delay between batches (only if there are more to process)
-//       if (batchEnd < messages.length) {
-//         await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-//       }
-//     }
-    
-//     // Log final results
-//     log(`✅ Message sending completed: ${successCount} successful, ${failCount} failed`);
-    
-//   } catch (error) {
-//     log(`❌ Error in bulk messaging API: ${error.message}`);
-//   }
-// });
-// BACKEND API ENDPOINT
-app.post('/api/send-bulk', async (req, res) => {
-  // Check if WhatsApp is connected
-  if (!isLoggedIn || !client) {
-    return res.status(403).json({ success: false, message: 'WhatsApp not connected. Please scan QR code first.' });
+  res.status(202).json({
+    success: true,
+    message: `Queued ${prepared.messages.length} of ${rowCount} rows from ${filename}`,
+    jobId: job.id,
+    accountId: session.accountId,
+    scheduledAt: job.scheduledAt,
+    ...summary,
+    duplicates: job.results.filter(item => item.duplicateOf).map(summarizeJobResult),
+    optedOut: job.results.filter(item => item.optedOut).map(summarizeJobResult)
+  });
+
+  runJobQueue(session);
+}
+
+// Campaigns started from the dashboard
+// An operator uploads a CSV or XLSX of recipients, maps its columns to the number, QR data and template variables,
+// previews the first messages and starts a send-messages job tagged with the campaign name as its campaignId
+const CAMPAIGN_UPLOADS_DIR = path.join(DATA_DIR, 'campaign-uploads');
+const CAMPAIGN_UPLOAD_TTL = 24 * 60 * 60 * 1000; // Uploads that never became a campaign are removed after a day
+const CAMPAIGN_PREVIEW_LIMIT = 5; // Recipients rendered by a preview unless the request asks for more (up to 20)
+
+// Remove uploads older than CAMPAIGN_UPLOAD_TTL
+function pruneCampaignUploads() {
+  ensureDir(CAMPAIGN_UPLOADS_DIR);
+  for (const file of fs.readdirSync(CAMPAIGN_UPLOADS_DIR)) {
+    const filePath = path.join(CAMPAIGN_UPLOADS_DIR, file);
+    try {
+      if (Date.now() - fs.statSync(filePath).mtimeMs > CAMPAIGN_UPLOAD_TTL) fs.unlinkSync(filePath);
+    } catch (error) {
+      log(`❌ Error removing old upload ${file}: ${error.message}`);
+    }
+  }
+}
+
+// Look up the upload a campaign request refers to, answering 404 when it expired or never existed
+function getCampaignUpload(req, res) {
+  const uploadId = String((req.body && req.body.uploadId) || '');
+  const upload = /^[0-9a-f-]{36}$/.test(uploadId)
+    ? readJsonFile(path.join(CAMPAIGN_UPLOADS_DIR, `${uploadId}.json`), null)
+    : null;
+
+  if (!upload) {
+    res.status(404).json({ success: false, message: `Upload ${uploadId} not found, please upload the recipient file again` });
+    return null;
   }
-  
+  return upload;
+}
+
+// Turn uploaded rows into bulk messages
+function buildCampaignMessages(upload, mapping) {
+  return upload.rows.map(row => buildRecipientMessage(row, mapping));
+}
+
+// The bulk request a campaign stands for: the mapped rows with the template, pass and QR options
+function getCampaignRequestBody(body, upload) {
+  return {
+    messages: buildCampaignMessages(upload, body.mapping),
+    template: body.template,
+    passTemplateId: body.passTemplateId || undefined,
+    qrOptions: body.qrOptions,
+    skipInvalid: body.skipInvalid,
+    campaignId: body.name,
+    defaultCountryCode: body.defaultCountryCode,
+    checkRegistration: body.checkRegistration,
+    dedupe: body.dedupe
+  };
+}
+
+// Validate the fields shared by campaign previews and starts, answering 400 when they are unusable
+function validateCampaignRequest(req, res, upload) {
+  const { template, mapping } = req.body;
+  const mappingError = validateRecipientMapping(mapping, upload.columns);
+  if (mappingError) {
+    res.status(400).json({ success: false, message: mappingError });
+    return false;
+  }
+  if (typeof template !== 'string' || template.trim() === '') {
+    res.status(400).json({ success: false, message: 'Please write the message template' });
+    return false;
+  }
+  return true;
+}
+
+// JSON for an inline <script>, with "<" escaped so the data can't close the tag
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Upload a CSV or XLSX of recipients (multipart "file" field), answering with its columns and first rows
+app.post('/api/campaigns/uploads', requireScope('send'), receiveRecipientFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'Please upload a CSV or XLSX file in the "file" field' });
+  }
+
+  const filename = path.basename(req.file.originalname);
+  let parsed;
   try {
-    // Get the messages array from request body
-    const { messages, batchNumber, totalBatches } = req.body;
-    
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ success: false, message: 'Invalid request. Please provide an array of messages.' });
+    parsed = await parseRecipientFile(req.file.path, filename);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: `Could not read ${filename}: ${error.message}` });
+  } finally {
+    fs.rmSync(req.file.path, { force: true });
+  }
+
+  if (parsed.rows.length === 0) {
+    return res.status(400).json({ success: false, message: `${filename} has a header row but no recipients` });
+  }
+
+  pruneCampaignUploads();
+  const upload = { id: crypto.randomUUID(), filename, uploadedAt: new Date().toISOString(), columns: parsed.columns, rows: parsed.rows };
+  writeJsonFile(path.join(CAMPAIGN_UPLOADS_DIR, `${upload.id}.json`), upload);
+  log(`📄 Recipient file ${filename} uploaded with ${upload.rows.length} rows`);
+
+  res.status(201).json({
+    success: true,
+    upload: {
+      id: upload.id,
+      filename,
+      columns: upload.columns,
+      rowCount: upload.rows.length,
+      sample: upload.rows.slice(0, CAMPAIGN_PREVIEW_LIMIT)
     }
-    
-    // Send a quick acknowledgment response to prevent timeout
-    // This is important for Render's limitations
-    res.status(202).json({ 
-      success: true, 
-      message: `Processing batch ${batchNumber || 1} of ${totalBatches || 1} with ${messages.length} messages`,
-      queued: messages.length 
-    });
-    
-    // Create a results array to track delivery status
-    const results = [];
-    
-    // Implementation with better speed but still reliable
-    const MESSAGE_BATCH_SIZE = 8;  // Process 8 messages at a time (balanced)
-    const BATCH_DELAY = 1500;      // 1.5 seconds between batches
-    const MESSAGE_DELAY = 800;     // 0.8 seconds between messages
-    const MAX_RETRIES = 1;         // Only retry once for speed
-    
-    // Helper function to send a single message with minimal retry
-    async function sendMessageWithRetry(number, message, retryCount = 0) {
+  });
+});
+
+// Render the first recipients of an upload with the mapping, template and pass, without queuing anything
+app.post('/api/campaigns/preview', requireScope('send'), async (req, res) => {
+  const upload = getCampaignUpload(req, res);
+  if (!upload || !validateCampaignRequest(req, res, upload)) return;
+
+  const limit = Math.min(parseInt(req.body.limit, 10) || CAMPAIGN_PREVIEW_LIMIT, 20);
+  const body = getCampaignRequestBody(req.body, upload);
+  body.messages = body.messages.slice(0, limit);
+
+  try {
+    const prepared = await prepareMessages(body);
+    if (prepared.error) {
+      return res.status(400).json({ success: false, message: prepared.error });
+    }
+
+    const previews = [];
+    for (const [position, item] of prepared.messages.entries()) {
+      const preview = { index: prepared.indexes[position], number: item.number, message: item.message, image: null, imageError: null };
       try {
-        // Format phone number
-        const formattedNumber = number.startsWith('+') ? number.substring(1) + '@c.us' : number + '@c.us';
-        
-        // Send message and verify success
-        const response = await client.sendMessage(formattedNumber, message);
-        
-        // Basic verification
-        if (!response) {
-          throw new Error('No response from WhatsApp client');
+        if (item.pass) {
+          preview.image = `data:image/png;base64,${(await renderPass(item.pass, String(item.qrData))).toString('base64')}`;
+        } else if (item.qrData) {
+          const options = item.qrOptions || DEFAULT_QR_OPTIONS;
+          const media = getQRCodeMedia(await renderQRCode(String(item.qrData), options), options);
+          preview.image = `data:${media.mimetype};base64,${media.data}`;
         }
-        
-        log(`✅ Sent message to ${number}`);
-        
-        results.push({
-          number,
-          status: 'success'
-        });
-        
-        return true;
       } catch (error) {
-        log(`⚠️ Error sending to ${number}: ${error.message}`);
-        
-        if (retryCount < MAX_RETRIES) {
-          // Quick retry with minimal delay
-          await new Promise(resolve => setTimeout(resolve, 700));
-          return sendMessageWithRetry(number, message, retryCount + 1);
-        } else {
-          log(`❌ Failed to send message to ${number}`);
-          
-          results.push({
-            number,
-            status: 'failed'
-          });
-          
-          return false;
-        }
-      }
-    }
-    
-    // Process messages in optimized batches
-    let successCount = 0;
-    let failCount = 0;
-    
-    // Use Promise.all for parallel processing within each batch
-    for (let batchStart = 0; batchStart < messages.length; batchStart += MESSAGE_BATCH_SIZE) {
-      const batchEnd = Math.min(batchStart + MESSAGE_BATCH_SIZE, messages.length);
-      const batchPromises = [];
-      
-      // Create promises for current batch
-      for (let i = batchStart; i < batchEnd; i++) {
-        const { number, message } = messages[i];
-        
-        // Add slight staggering for network efficiency
-        const staggerDelay = (i - batchStart) * MESSAGE_DELAY;
-        
-        batchPromises.push(
-          new Promise(async (resolve) => {
-            // Stagger the start of each message
-            await new Promise(r => setTimeout(r, staggerDelay));
-            const success = await sendMessageWithRetry(number, message);
-            if (success) successCount++;
-            else failCount++;
-            resolve();
-          })
-        );
-      }
-      
-      // Wait for all messages in batch to complete
-      await Promise.all(batchPromises);
-      
-      log(`📦 Batch progress: ${Math.min(batchEnd, messages.length)}/${messages.length} processed`);
-      
-      // Add delay between batches (only if there are more to process)
-      if (batchEnd < messages.length) {
-        await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
+        preview.imageError = error.message;
       }
+      previews.push(preview);
     }
-    
-    log(`✅ Message sending completed: ${successCount} successful, ${failCount} failed`);
-    
+
+    res.status(200).json({ success: true, total: upload.rows.length, previews, errors: prepared.errors });
   } catch (error) {
-    log(`❌ Error in bulk messaging API: ${error.message}`);
+    log(`❌ Error previewing campaign: ${error.message}`);
+    res.status(500).json({ success: false, message: error.message });
   }
 });
-// New endpoint for bulk messages with QR codes
-// app.post('/api/send-bulk-qr', async (req, res) => {
-//   // Check if WhatsApp is connected
-//   if (!isLoggedIn || !client) {
-//     return res.status(403).json({
-//       success: false,
-//       message: 'WhatsApp not connected. Please scan QR code first.'
-//     });
-//   }
 
-//   try {
-//     // Get the messages array from request body
-//     const { messages, total } = req.body;
-    
-//     if (!messages || !Array.isArray(messages) || messages.length === 0) {
-//       return res.status(400).json({
-//         success: false,
-//         message: 'Invalid request. Please provide an array of messages.'
-//       });
-//     }
+// Start a campaign: every row of the upload becomes a recipient of one send-messages job
+app.post('/api/campaigns', requireScope('send'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
 
-//     // Immediately respond to prevent timeout
-//     res.status(202).json({
-//       success: true,
-//       message: `Processing ${messages.length} messages with QR codes in batches`,
-//       queued: messages.length
-//     });
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ success: false, message: 'Please give the campaign a name' });
+  }
 
-//     // Implementation of improved batching mechanism for QR messages
-//     const BATCH_SIZE = 15; // Smaller batch size for QR messages
-//     const BATCH_DELAY = 8000; // 8 seconds between batches (longer for QR messages)
-//     const MESSAGE_DELAY = 2000; // 2 seconds between messages (QR generation takes time)
-    
-//     // Track success and failure
-//     let successCount = 0;
-//     let failCount = 0;
-    
-//     // Process messages in batches
-//     for (let batchStart = 0; batchStart < messages.length; batchStart += BATCH_SIZE) {
-//       const batchEnd = Math.min(batchStart + BATCH_SIZE, messages.length);
-//       log(`📦 Processing QR batch ${Math.floor(batchStart/BATCH_SIZE) + 1}: messages ${batchStart+1} to ${batchEnd}`);
-      
-//       // Process current batch
-//       for (let i = batchStart; i < batchEnd; i++) {
-//         const { number, message, qrData } = messages[i];
-        
-//         // Format phone number
-//         const formattedNumber = number.startsWith('+') 
-//           ? number.substring(1) + '@c.us' 
-//           : number + '@c.us';
-        
-//         try {
-//           // Handle message with or without QR
-//           if (qrData) {
-//             try {
-//               // Generate QR code
-//               const qrImageBuffer = await generateQRCode(qrData);
-              
-//               if (qrImageBuffer) {
-//                 // Create media from buffer
-//                 const media = new MessageMedia(
-//                   'image/png', 
-//                   qrImageBuffer.toString('base64'), 
-//                   'qrcode.png'
-//                 );
-                
-//                 // Send the image with message as caption
-//                 await client.sendMessage(formattedNumber, media, { caption: message });
-                
-//                 successCount++;
-//                 log(`✅ Sent QR image message to ${number} (${i+1}/${messages.length})`);
-//               } else {
-//                 // QR generation failed, send text only
-//                 await client.sendMessage(formattedNumber, message);
-//                 successCount++;
-//                 log(`⚠️ QR generation failed for ${number}, sent text only (${i+1}/${messages.length})`);
-//               }
-//             } catch (qrError) {
-//               // If QR generation errors, fall back to text message
-//               log(`⚠️ QR error for ${number}: ${qrError.message}, sending text only`);
-//               await client.sendMessage(formattedNumber, message);
-//               successCount++;
-//             }
-//           } else {
-//             // Send simple text message (no QR)
-//             await client.sendMessage(formattedNumber, message);
-//             successCount++;
-//             log(`✅ Sent text message to ${number} (${i+1}/${messages.length})`);
-//           }
-//         } catch (error) {
-//           failCount++;
-//           log(`❌ Failed to send message to ${number}: ${error.message} (${i+1}/${messages.length})`);
-//         }
-        
-//         // Add delay between messages - longer delay for QR messages
-//         if (i < batchEnd - 1) {
-//           await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY));
-//         }
-//       }
-      
-//       // Log batch completion
-//       log(`✅ QR Batch ${Math.floor(batchStart/BATCH_SIZE) + 1} completed: ${successCount} success, ${failCount} fail so far`);
-      
-//       // Add delay between batches (only if there are more batches to process)
-//       if (batchEnd < messages.length) {
-//         log(`⏳ Waiting ${BATCH_DELAY/1000} seconds before next batch...`);
-//         await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-//       }
-//     }
-    
-//     // Log final results
-//     log(`✅ QR message sending completed: ${successCount} successful, ${failCount} failed`);
-    
-//   } catch (error) {
-//     log(`❌ Error in QR bulk messaging API: ${error.message}`);
-//   }
-// });
-// Improved bulk QR message sending endpoint
-app.post('/api/send-bulk-qr', async (req, res) => {
-  // Check if WhatsApp is connected
-  if (!isLoggedIn || !client) {
+  // Scheduled campaigns are accepted while disconnected, they run once the account is ready
+  const scheduledAt = getRequestSendAt(req, res);
+  if (scheduledAt === false) return;
+
+  if (!scheduledAt && (!session.isLoggedIn || !session.client)) {
     return res.status(403).json({
       success: false,
       message: 'WhatsApp not connected. Please scan QR code first.'
     });
   }
 
+  const upload = getCampaignUpload(req, res);
+  if (!upload || !validateCampaignRequest(req, res, upload)) return;
+
   try {
-    // Get the messages array from request body
-    const { messages, total, batchNumber, totalBatches } = req.body;
-    
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request. Please provide an array of messages.'
-      });
+    const body = getCampaignRequestBody({ ...req.body, name }, upload);
+    const prepared = await prepareBulkMessages({ body }, res);
+    if (!prepared) return;
+
+    const job = createJob(session.accountId, 'send-messages', prepared.messages, { ...getJobOptions(body), scheduledAt });
+
+    // The rows now live in the job
+    fs.rmSync(path.join(CAMPAIGN_UPLOADS_DIR, `${upload.id}.json`), { force: true });
+    log(`📣 Campaign "${name}" started from ${upload.filename} (job ${job.id})`);
+
+    res.status(202).json({
+      success: true,
+      message: `Campaign ${name} is sending to ${prepared.messages.length} recipients`,
+      jobId: job.id,
+      campaignId: job.campaignId,
+      accountId: session.accountId,
+      scheduledAt: job.scheduledAt,
+      queued: prepared.messages.length,
+      rejected: prepared.errors,
+      duplicates: job.results.filter(item => item.duplicateOf).map(summarizeJobResult),
+      optedOut: job.results.filter(item => item.optedOut).map(summarizeJobResult)
+    });
+
+    runJobQueue(session);
+  } catch (error) {
+    log(`❌ Error starting campaign: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message });
     }
+  }
+});
+
+// CSS shared by the campaign pages
+const CAMPAIGN_PAGE_STYLES = `
+            body { font-family: Arial, sans-serif; background-color: #f0f2f5; margin: 0; padding: 30px 0; }
+            .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 900px; margin: 0 auto; }
+            h2, h3 { color: #128C7E; }
+            label { display: block; font-weight: bold; font-size: 13px; margin: 12px 0 4px; }
+            input[type=text], select, textarea { width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 5px; box-sizing: border-box; font-family: inherit; }
+            textarea { min-height: 90px; }
+            table { width: 100%; font-size: 12px; border-collapse: collapse; margin-top: 10px; }
+            td, th { padding: 4px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; }
+            .btn { background: #128C7E; color: white; border: none; padding: 10px 15px; border-radius: 5px; cursor: pointer; margin: 10px 5px 0 0; text-decoration: none; display: inline-block; font-size: 13px; }
+            .btn-warning { background: #f39c12; }
+            .btn-danger { background: #e74c3c; }
+            .hint { color: #777; font-size: 12px; }
+            .error { color: #e74c3c; }
+            .step { display: none; border-top: 1px solid #eee; margin-top: 20px; padding-top: 10px; }
+            .columns { display: flex; gap: 15px; }
+            .columns > div { flex: 1; }
+            .previews { display: flex; flex-wrap: wrap; gap: 15px; margin-top: 10px; }
+            .preview { border: 1px solid #ddd; border-radius: 8px; padding: 10px; width: 260px; font-size: 13px; }
+            .preview pre { white-space: pre-wrap; font-family: inherit; margin: 8px 0; }
+            .preview img { max-width: 100%; }
+            .progress { background: #eee; border-radius: 5px; height: 16px; overflow: hidden; margin: 10px 0; }
+            .progress div { background: #128C7E; height: 100%; width: 0; transition: width 0.5s; }
+            .nav { text-align: center; }
+            ${ACCOUNT_SWITCHER_STYLES}
+            ${DASHBOARD_NAV_STYLES}
+            ${JOB_CONTROL_STYLES}`;
+
+// New campaign form and the account's earlier campaigns
+app.get('/campaigns', (req, res) => {
+  if (!hasDashboardSession(req)) {
+    return res.redirect('/dashboard/login');
+  }
+
+  const accountId = String(req.query.accountId || DEFAULT_ACCOUNT_ID);
+  const session = sessions.get(accountId);
+
+  if (!session) {
+    return res.status(404).send(`WhatsApp account ${escapeHtml(accountId)} not found`);
+  }
+
+  const accountQuery = `?accountId=${encodeURIComponent(session.accountId)}`;
+  const campaigns = [...jobs.values()]
+    .filter(job => job.campaignId && getJobAccountId(job) === session.accountId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, 20)
+    .map(job => ({ id: job.id, campaignId: job.campaignId, status: job.status, createdAt: job.createdAt, counts: getJobCounts(job) }));
+  const templates = passTemplates.map(template => ({ id: template.id, name: template.name }));
+
+  res.send(`
+      <html>
+        <head>
+          <title>Campaigns</title>
+          <style>${CAMPAIGN_PAGE_STYLES}</style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="nav">
+              ${renderDashboardNav(session, '/campaigns')}
+              ${renderAccountSwitcher(session, '/campaigns')}
+            </div>
+
+            <h2>Campaigns</h2>
+            <table id="campaigns">
+              <thead><tr><th>Campaign</th><th>Created</th><th>Status</th><th>Progress</th></tr></thead>
+              <tbody id="campaign-rows"></tbody>
+            </table>
+
+            <h2>New Campaign</h2>
+            <label for="name">Campaign name</label>
+            <input type="text" id="name" placeholder="e.g. Spring gala invitations" />
+            <label for="file">Recipients (CSV or XLSX, the first row names the columns)</label>
+            <input type="file" id="file" accept=".csv,.xlsx" onchange="uploadFile()" />
+            <p id="upload-status" class="hint"></p>
+
+            <div id="step-mapping" class="step">
+              <h3>Columns</h3>
+              <table><thead id="sample-head"></thead><tbody id="sample-rows"></tbody></table>
+              <div class="columns">
+                <div>
+                  <label for="number-column">Phone number</label>
+                  <select id="number-column"></select>
+                </div>
+                <div>
+                  <label for="qr-column">QR code data</label>
+                  <select id="qr-column"></select>
+                </div>
+                <div>
+                  <label for="pass-template">Pass template</label>
+                  <select id="pass-template"></select>
+                </div>
+              </div>
+              <label for="template">Message template</label>
+              <textarea id="template" placeholder="Hi {{name}}, here is your ticket" oninput="renderVariableMapping()"></textarea>
+              <p class="hint">Every column can be used as {{Column name}}. Map other template variables to a column below.</p>
+              <div id="variables"></div>
+              <p><label style="display: inline; font-weight: normal;"><input type="checkbox" id="skip-invalid" /> Skip recipients with errors instead of rejecting the campaign</label></p>
+              <button class="btn" onclick="previewCampaign()">Preview</button>
+              <button class="btn btn-warning" onclick="startCampaign()">Start Campaign</button>
+            </div>
+
+            <p id="form-error" class="error"></p>
+            <ul id="row-errors" class="error"></ul>
+
+            <div id="step-preview" class="step">
+              <h3>Preview</h3>
+              <div id="previews" class="previews"></div>
+            </div>
+            ${DASHBOARD_SIGN_OUT}
+          </div>
+
+          <script>
+            const accountQuery = '${accountQuery}';
+            const campaigns = ${toScriptJson(campaigns)};
+            const passTemplates = ${toScriptJson(templates)};
+            let upload = null;
+
+            function addCell(row, content) {
+              const cell = document.createElement('td');
+              if (content instanceof Node) cell.appendChild(content);
+              else cell.textContent = content === null || content === undefined ? '' : content;
+              row.appendChild(cell);
+              return cell;
+            }
+
+            function renderCampaigns() {
+              const rows = document.getElementById('campaign-rows');
+              rows.innerHTML = '';
+              document.getElementById('campaigns').style.display = campaigns.length > 0 ? 'table' : 'none';
+              campaigns.forEach(campaign => {
+                const row = document.createElement('tr');
+                const link = document.createElement('a');
+                link.href = '/campaigns/' + campaign.id + accountQuery;
+                link.textContent = campaign.campaignId;
+                addCell(row, link);
+                addCell(row, new Date(campaign.createdAt).toLocaleString());
+                addCell(row, campaign.status);
+                addCell(row, (campaign.counts.total - campaign.counts.queued) + '/' + campaign.counts.total);
+                rows.appendChild(row);
+              });
+            }
+
+            function showError(message, errors) {
+              document.getElementById('form-error').textContent = message || '';
+              const list = document.getElementById('row-errors');
+              list.innerHTML = '';
+              (errors || []).forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = 'Recipient ' + (error.index + 1) + (error.number ? ' (' + error.number + ')' : '') + ': ' + error.message;
+                list.appendChild(item);
+              });
+            }
+
+            function fillSelect(select, values, empty, selected) {
+              select.innerHTML = '';
+              if (empty) select.appendChild(new Option(empty, ''));
+              values.forEach(value => select.appendChild(new Option(value.label || value, value.id || value, false, (value.id || value) === selected)));
+            }
+
+            function uploadFile() {
+              const file = document.getElementById('file').files[0];
+              if (!file) return;
+              const form = new FormData();
+              form.append('file', file);
+              showError('');
+              document.getElementById('upload-status').textContent = 'Reading ' + file.name + '...';
+
+              fetch('/api/campaigns/uploads' + accountQuery, { method: 'POST', body: form })
+                .then(response => response.json())
+                .then(data => {
+                  if (!data.success) {
+                    document.getElementById('upload-status').textContent = '';
+                    return showError(data.message);
+                  }
+                  upload = data.upload;
+                  document.getElementById('upload-status').textContent = upload.filename + ': ' + upload.rowCount + ' recipients';
+                  renderSample();
+                  fillSelect(document.getElementById('number-column'), upload.columns, null, upload.columns.find(column => /phone|mobile|whatsapp|number/i.test(column)));
+                  fillSelect(document.getElementById('qr-column'), upload.columns, '(no QR code)');
+                  fillSelect(document.getElementById('pass-template'), passTemplates.map(template => ({ id: template.id, label: template.name })), '(plain QR code)');
+                  renderVariableMapping();
+                  document.getElementById('step-mapping').style.display = 'block';
+                })
+                .catch(err => {
+                  showError('Error uploading recipients');
+                });
+            }
+
+            // The first rows of the file, so the operator can see what each column holds
+            function renderSample() {
+              const head = document.getElementById('sample-head');
+              const rows = document.getElementById('sample-rows');
+              head.innerHTML = '';
+              rows.innerHTML = '';
+              const headRow = document.createElement('tr');
+              upload.columns.forEach(column => {
+                const cell = document.createElement('th');
+                cell.textContent = column;
+                headRow.appendChild(cell);
+              });
+              head.appendChild(headRow);
+              upload.sample.forEach(sample => {
+                const row = document.createElement('tr');
+                upload.columns.forEach(column => addCell(row, sample[column]));
+                rows.appendChild(row);
+              });
+            }
+
+            // Variables used by the template, the same rule as {{name}}, {{name | default}} and {{#if name}} on the server
+            function getTemplateVariables(template) {
+              const names = [];
+              const pattern = /\\{\\{\\s*(?:#(?:if|unless)\\s+)?([^#\\/}|\\s][^}|]*?)\\s*(?:\\|[^}]*)?\\}\\}/g;
+              let match;
+              while ((match = pattern.exec(template)) !== null) {
+                const name = match[1].split('.')[0];
+                if (name !== 'else' && !names.includes(name)) names.push(name);
+              }
+              return names;
+            }
+
+            // One column picker per template variable, columns with the variable's name are picked by default
+            function renderVariableMapping() {
+              if (!upload) return;
+              const container = document.getElementById('variables');
+              const chosen = {};
+              container.querySelectorAll('select').forEach(select => { chosen[select.dataset.variable] = select.value; });
+              container.innerHTML = '';
+
+              getTemplateVariables(document.getElementById('template').value).forEach(name => {
+                const label = document.createElement('label');
+                label.textContent = '{{' + name + '}}';
+                const select = document.createElement('select');
+                select.dataset.variable = name;
+                fillSelect(select, upload.columns, '(column with this name, or the default in the template)', chosen[name] !== undefined ? chosen[name] : (upload.columns.includes(name) ? name : ''));
+                container.appendChild(label);
+                container.appendChild(select);
+              });
+            }
 
-    // Log batch receipt
-    log(`📥 Received QR batch ${batchNumber || '?'}/${totalBatches || '?'} with ${messages.length} messages`);
+            function getCampaignRequest() {
+              const variables = {};
+              document.querySelectorAll('#variables select').forEach(select => {
+                if (select.value) variables[select.dataset.variable] = select.value;
+              });
+              return {
+                uploadId: upload.id,
+                name: document.getElementById('name').value.trim(),
+                template: document.getElementById('template').value,
+                passTemplateId: document.getElementById('pass-template').value || undefined,
+                skipInvalid: document.getElementById('skip-invalid').checked,
+                mapping: {
+                  number: document.getElementById('number-column').value,
+                  qrData: document.getElementById('qr-column').value || undefined,
+                  variables
+                }
+              };
+            }
 
-    // Immediately respond to prevent timeout
-    res.status(202).json({
-      success: true,
-      message: `Processing ${messages.length} messages with QR codes`,
-      batchNumber: batchNumber || 1,
-      totalBatches: totalBatches || 1,
-      queued: messages.length
-    });
+            function postCampaign(url) {
+              return fetch(url + accountQuery, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(getCampaignRequest())
+              }).then(response => response.json());
+            }
 
-    // Implementation of improved batching mechanism for QR messages
-    const BATCH_SIZE = 5; // Smaller batch size within the server for better reliability
-    const MESSAGE_DELAY = 3000; // 3 seconds between messages (QR generation takes time)
-    const SUB_BATCH_DELAY = 12000; // 12 seconds between sub-batches
-    
-    // Track success and failure
-    let successCount = 0;
-    let failCount = 0;
-    
-    // Process messages in smaller sub-batches for better reliability
-    for (let subBatchStart = 0; subBatchStart < messages.length; subBatchStart += BATCH_SIZE) {
-      const subBatchEnd = Math.min(subBatchStart + BATCH_SIZE, messages.length);
-      log(`📦 Processing QR sub-batch: messages ${subBatchStart+1} to ${subBatchEnd} of batch ${batchNumber || '?'}`);
-      
-      // Process current sub-batch
-      for (let i = subBatchStart; i < subBatchEnd; i++) {
-        const { id, number, message, qrData } = messages[i];
-        
-        // Format phone number
-        let formattedNumber;
-        try {
-          // Handle various phone number formats
-          if (number.includes('@c.us')) {
-            formattedNumber = number; // Already formatted
-          } else if (number.startsWith('+')) {
-            formattedNumber = number.substring(1) + '@c.us';
-          } else {
-            formattedNumber = number + '@c.us';
-          }
-          
-          // Validate number format
-          if (!formattedNumber.match(/^\d+@c\.us$/)) {
-            throw new Error('Invalid phone number format');
-          }
-        } catch (numError) {
-          failCount++;
-          log(`❌ Invalid number format: ${number}`);
-          continue; // Skip this message and move to next
-        }
-        
-        // We'll make multiple attempts for each message
-        let success = false;
-        let attempts = 0;
-        const MAX_ATTEMPTS = 2;
-        
-        while (!success && attempts < MAX_ATTEMPTS) {
-          attempts++;
-          try {
-            // Handle message with or without QR
-            if (qrData) {
-              try {
-                // Generate QR code with exponential backoff
-                let qrImageBuffer = null;
-                let qrAttempt = 0;
-                
-                while (!qrImageBuffer && qrAttempt < 2) {
-                  try {
-                    qrImageBuffer = await generateQRCode(qrData);
-                    
-                    if (!qrImageBuffer) {
-                      throw new Error('QR generation returned null');
+            function previewCampaign() {
+              showError('');
+              postCampaign('/api/campaigns/preview')
+                .then(data => {
+                  if (!data.success) return showError(data.message);
+                  showError('', data.errors);
+
+                  const container = document.getElementById('previews');
+                  container.innerHTML = '';
+                  data.previews.forEach(preview => {
+                    const card = document.createElement('div');
+                    card.className = 'preview';
+                    const title = document.createElement('strong');
+                    title.textContent = 'Recipient ' + (preview.index + 1) + ': ' + preview.number;
+                    card.appendChild(title);
+                    if (preview.image) {
+                      const image = document.createElement('img');
+                      image.src = preview.image;
+                      card.appendChild(image);
                     }
-                  } catch (qrGenError) {
-                    qrAttempt++;
-                    if (qrAttempt < 2) {
-                      // Wait before retrying QR generation
-                      await new Promise(resolve => setTimeout(resolve, 2000));
-                      log(`⚠️ Retrying QR generation for message ${i+1} (attempt ${qrAttempt+1})`);
-                    } else {
-                      throw qrGenError; // Propagate error after max attempts
+                    if (preview.imageError) {
+                      const error = document.createElement('p');
+                      error.className = 'error';
+                      error.textContent = preview.imageError;
+                      card.appendChild(error);
                     }
-                  }
-                }
-                
-                if (qrImageBuffer) {
-                  // Create media from buffer
-                  const media = new MessageMedia(
-                    'image/png', 
-                    qrImageBuffer.toString('base64'), 
-                    'qrcode.png'
-                  );
-                  
-                  // Send the image with message as caption
-                  await client.sendMessage(formattedNumber, media, { caption: message });
-                  
-                  successCount++;
-                  success = true;
-                  log(`✅ Sent QR image message to ${number} (${i+1}/${messages.length})`);
-                } else {
-                  // QR generation failed, send text only
-                  await client.sendMessage(formattedNumber, message);
-                  successCount++;
-                  success = true;
-                  log(`⚠️ QR generation failed for ${number}, sent text only (${i+1}/${messages.length})`);
-                }
-              } catch (qrError) {
-                if (attempts >= MAX_ATTEMPTS) {
-                  // If QR generation errors after all attempts, fall back to text message
-                  log(`⚠️ QR error for ${number} after ${attempts} attempts: ${qrError.message}, sending text only`);
-                  try {
-                    await client.sendMessage(formattedNumber, message);
-                    successCount++;
-                    success = true;
-                    log(`✅ Sent fallback text message to ${number} (${i+1}/${messages.length})`);
-                  } catch (textError) {
-                    failCount++;
-                    log(`❌ Failed to send text message to ${number}: ${textError.message}`);
-                  }
-                } else {
-                  // Wait before retry
-                  log(`⚠️ QR error for ${number} (attempt ${attempts}): ${qrError.message}, will retry`);
-                  await new Promise(resolve => setTimeout(resolve, 3000));
-                }
+                    const text = document.createElement('pre');
+                    text.textContent = preview.message;
+                    card.appendChild(text);
+                    container.appendChild(card);
+                  });
+                  document.getElementById('step-preview').style.display = 'block';
+                })
+                .catch(err => {
+                  showError('Error previewing campaign');
+                });
+            }
+
+            function startCampaign() {
+              if (!confirm('Start sending to ' + upload.rowCount + ' recipients?')) return;
+              showError('');
+              postCampaign('/api/campaigns')
+                .then(data => {
+                  if (!data.success) return showError(data.message, data.errors);
+                  location.href = '/campaigns/' + data.jobId + accountQuery;
+                })
+                .catch(err => {
+                  showError('Error starting campaign');
+                });
+            }
+
+            // Keep the campaign list's progress current
+            const events = new EventSource('/api/events' + accountQuery);
+            events.addEventListener('jobs', event => {
+              JSON.parse(event.data).forEach(job => {
+                const campaign = campaigns.find(candidate => candidate.id === job.id);
+                if (campaign) Object.assign(campaign, { status: job.status, counts: job.counts });
+              });
+              renderCampaigns();
+            });
+
+            renderCampaigns();
+          </script>
+        </body>
+      </html>
+    `);
+});
+
+// Progress of one campaign (or any job) with its per-recipient results
+app.get('/campaigns/:id', (req, res) => {
+  if (!hasDashboardSession(req)) {
+    return res.redirect('/dashboard/login');
+  }
+
+  const job = jobs.get(req.params.id);
+  const session = job && sessions.get(getJobAccountId(job));
+
+  if (!job || !session) {
+    return res.status(404).send(`Job ${escapeHtml(req.params.id)} not found`);
+  }
+
+  const accountQuery = `?accountId=${encodeURIComponent(session.accountId)}`;
+
+  res.send(`
+      <html>
+        <head>
+          <title>Campaign Progress</title>
+          <style>${CAMPAIGN_PAGE_STYLES}</style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="nav">${renderDashboardNav(session, '/campaigns')}</div>
+
+            <h2 id="title"></h2>
+            <p class="hint" id="created"></p>
+            <p>Status: <strong id="status"></strong></p>
+            <div class="progress"><div id="progress-bar"></div></div>
+            <p id="counts"></p>
+            <p id="delivery" class="hint"></p>
+            <div id="actions"></div>
+            <a class="btn" href="/api/jobs/${job.id}/report?format=csv">Download Results (CSV)</a>
+            <a class="btn" href="/api/jobs/${job.id}/report?format=json">JSON</a>
+            <a class="btn" href="/api/jobs/${job.id}/report?format=pdf">Summary (PDF)</a>
+
+            <h3>Recipients</h3>
+            <select id="filter" onchange="renderResults()" style="width: auto;">
+              <option value="">All recipients</option>
+              <option value="queued">Waiting</option>
+              <option value="sent">Sent</option>
+              <option value="failed">Failed</option>
+              <option value="skipped">Skipped</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+            <table>
+              <thead><tr><th>#</th><th>Number</th><th>Status</th><th>Attempts</th><th>Sent</th><th>Delivery</th><th>Error</th></tr></thead>
+              <tbody id="results"></tbody>
+            </table>
+            <p id="truncated" class="hint"></p>
+            ${DASHBOARD_SIGN_OUT}
+          </div>
+
+          <script>
+            const accountQuery = '${accountQuery}';
+            const jobId = '${job.id}';
+            const RESULT_ROWS_SHOWN = 500; // Large campaigns are filtered rather than drawn in full
+            let job = null;
+            let loading = false;
+            let stale = false;
+
+            function addCell(row, content) {
+              const cell = document.createElement('td');
+              cell.textContent = content === null || content === undefined ? '' : content;
+              row.appendChild(cell);
+            }
+
+            function renderResults() {
+              const filter = document.getElementById('filter').value;
+              const matching = job.results.filter(item => !filter || item.status === filter);
+              const rows = document.getElementById('results');
+              rows.innerHTML = '';
+              matching.slice(0, RESULT_ROWS_SHOWN).forEach(item => {
+                const row = document.createElement('tr');
+                addCell(row, item.index + 1);
+                addCell(row, item.number);
+                addCell(row, item.status);
+                addCell(row, item.attempts);
+                addCell(row, item.sentAt ? new Date(item.sentAt).toLocaleTimeString() : '');
+                addCell(row, item.delivery ? item.delivery.status : '');
+                addCell(row, item.error);
+                rows.appendChild(row);
+              });
+              document.getElementById('truncated').textContent = matching.length > RESULT_ROWS_SHOWN
+                ? 'Showing the first ' + RESULT_ROWS_SHOWN + ' of ' + matching.length + ' recipients, download the results for all of them.'
+                : '';
+            }
+
+            function renderJob() {
+              const counts = job.counts;
+              document.getElementById('title').textContent = job.campaignId || job.type;
+              document.title = (job.campaignId || job.type) + ' - ' + job.status;
+              document.getElementById('created').textContent = 'Started ' + new Date(job.createdAt).toLocaleString() + (job.scheduledAt ? ', scheduled for ' + new Date(job.scheduledAt).toLocaleString() : '');
+              document.getElementById('status').textContent = job.status;
+              document.getElementById('progress-bar').style.width = Math.round(100 * (counts.total - counts.queued) / counts.total) + '%';
+              document.getElementById('counts').textContent = 'Sent ' + counts.sent + ' · Failed ' + counts.failed + ' · Skipped ' + counts.skipped + ' · Cancelled ' + counts.cancelled + ' · Waiting ' + counts.queued + ' of ' + counts.total;
+              document.getElementById('delivery').textContent = 'Delivered ' + job.delivery.delivered + ' · Read ' + job.delivery.read;
+
+              const actions = document.getElementById('actions');
+              actions.innerHTML = '';
+              if (['queued', 'scheduled', 'running', 'paused'].includes(job.status)) {
+                const action = job.status === 'paused' ? 'resume' : 'pause';
+                [[action, action === 'resume' ? 'Resume' : 'Pause', action === 'resume' ? '' : 'btn-warning'], ['cancel', 'Cancel', 'btn-danger']].forEach(([name, label, style]) => {
+                  const button = document.createElement('button');
+                  button.className = 'btn ' + style;
+                  button.textContent = label;
+                  button.onclick = () => controlJob(jobId, name);
+                  actions.appendChild(button);
+                });
               }
-            } else {
-              // Send simple text message (no QR)
-              await client.sendMessage(formattedNumber, message);
-              successCount++;
-              success = true;
-              log(`✅ Sent text message to ${number} (${i+1}/${messages.length})`);
+              renderResults();
             }
-          } catch (error) {
-            if (attempts >= MAX_ATTEMPTS) {
-              failCount++;
-              log(`❌ Failed to send message to ${number} after ${MAX_ATTEMPTS} attempts: ${error.message}`);
-            } else {
-              // Wait before retry
-              await new Promise(resolve => setTimeout(resolve, 3000));
-              log(`⚠️ Failed attempt ${attempts} for ${number}: ${error.message}, will retry`);
+
+            // Fetch the job again, at most one request at a time while a campaign is sending
+            function loadJob() {
+              if (loading) {
+                stale = true;
+                return;
+              }
+              loading = true;
+              fetch('/api/jobs/' + jobId + accountQuery)
+                .then(response => response.json())
+                .then(data => {
+                  if (data.success) {
+                    job = data.job;
+                    renderJob();
+                  }
+                })
+                .catch(err => {})
+                .finally(() => {
+                  loading = false;
+                  if (stale) {
+                    stale = false;
+                    setTimeout(loadJob, 2000);
+                  }
+                });
             }
-          }
-        }
-        
-        // Add delay between messages - longer delay for QR messages
-        if (i < subBatchEnd - 1) {
-          await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY));
-        }
-      }
-      
-      // Log sub-batch completion
-      log(`✅ QR Sub-Batch completed: ${successCount} success, ${failCount} fail so far`);
-      
-      // Add delay between sub-batches (only if there are more sub-batches to process)
-      if (subBatchEnd < messages.length) {
-        log(`⏳ Waiting ${SUB_BATCH_DELAY/1000} seconds before next sub-batch...`);
-        await new Promise(resolve => setTimeout(resolve, SUB_BATCH_DELAY));
-      }
-    }
-    
-    // Log final results for this batch
-    log(`✅ QR batch ${batchNumber || '?'} completed: ${successCount} successful, ${failCount} failed`);
-    
+
+            const events = new EventSource('/api/events' + accountQuery);
+            events.addEventListener('jobs', event => {
+              if (JSON.parse(event.data).some(entry => entry.id === jobId)) loadJob();
+            });
+
+            ${JOB_CONTROL_SCRIPT}
+            loadJob();
+          </script>
+        </body>
+      </html>
+    `);
+});
+
+// Scheduled sends and recurring schedules
+// Jobs with a future sendAt wait as "scheduled"; recurring schedules (data/schedules.json) queue a new job at every occurrence
+// Due jobs are queued even while an account is disconnected and run after its "ready" event
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || 'UTC';
+const SCHEDULER_INTERVAL = 15000; // Check for due jobs and schedules every 15 seconds
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly'];
+const schedules = readJsonFile(SCHEDULES_FILE, []);
+let schedulerTimer = null;
+
+// Save recurring schedules
+function saveSchedules() {
+  try {
+    writeJsonFile(SCHEDULES_FILE, schedules);
   } catch (error) {
-    log(`❌ Error in QR bulk messaging API: ${error.message}`);
+    log(`❌ Error saving schedules: ${error.message}`);
   }
-});
-// Force QR code regeneration (reset and reinitialize)
-app.post('/reset', async (req, res) => {
-  log('🔄 Manual reset requested...');
+}
 
-  // Stop any monitoring
-  if (monitoringTimer) {
-    clearInterval(monitoringTimer);
-    monitoringTimer = null;
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
   }
+}
 
-  // Stop active connection checks
-  if (connectionCheckTimer) {
-    clearInterval(connectionCheckTimer);
-    connectionCheckTimer = null;
+// Parse a sendAt value: an ISO timestamp with offset, epoch milliseconds,
+// or a local "YYYY-MM-DDTHH:mm" read in the given timezone
+function parseSendAt(value, timezone = DEFAULT_TIMEZONE) {
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone ${timezone}`);
   }
 
-  // Clear any pending reconnection
-  if (reconnectionTimer) {
-    clearTimeout(reconnectionTimer);
-    reconnectionTimer = null;
+  const local = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value.trim());
+  const date = local
+    ? zonedTimeToUtc({
+      year: Number(local[1]),
+      month: Number(local[2]),
+      date: Number(local[3]),
+      hour: Number(local[4]),
+      minute: Number(local[5]),
+      second: Number(local[6] || 0)
+    }, timezone)
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('sendAt must be an ISO date, a local date and time with a timezone, or epoch milliseconds');
   }
+  return date;
+}
 
-  // Destroy client if it exists
-  await destroyClient();
-  
-  // Reset state variables
-  isLoggedIn = false;
-  qrCodeData = '';
-  connectionState = 'RESETTING';
-  reconnectionAttempts = 0;
-  lastActiveTimestamp = 0;
-  profilePictureUrl = '';
-  loggedInName = '';
-  
-  // Start monitoring again
-  startMonitoring();
-  
-  // Initialize new client after a delay
-  setTimeout(() => {
-    initializeWhatsAppClient();
-  }, 3000);
-  
-  res.send('✅ WhatsApp session reset. QR code will be generated shortly.');
-});
+// Read sendAt/timezone from a send request, answering 400 when they are invalid
+// Returns the ISO time for future sends, null to send now, or false after responding
+function getRequestSendAt(req, res) {
+  const { sendAt, timezone } = req.body || {};
+  if (sendAt === undefined || sendAt === null || sendAt === '') return null;
 
-// Logout from WhatsApp (remove device from connected devices list)
-app.post('/logout', async (req, res) => {
-  log('🔑 WhatsApp logout requested...');
-  
-  if (isLoggedIn && client) {
-    try {
-      // First try to logout from WhatsApp Web (removes device from connected devices)
-      log('📱 Sending logout command to WhatsApp Web...');
-      await client.logout();
-      log('✅ WhatsApp Web logout successful');
-    } catch (error) {
-      log(`❌ Error during WhatsApp logout: ${error.message}`);
+  try {
+    const date = parseSendAt(sendAt, timezone || DEFAULT_TIMEZONE);
+    return date.getTime() > Date.now() ? date.toISOString() : null;
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+    return false;
+  }
+}
+
+// Next time a recurrence fires strictly after the given date
+function getNextOccurrence(recurrence, after = new Date()) {
+  const timezone = recurrence.timezone || DEFAULT_TIMEZONE;
+  const [hour, minute] = recurrence.time.split(':').map(Number);
+  const today = getZonedTime(after, timezone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.date + offset));
+    if (Array.isArray(recurrence.days) && !recurrence.days.includes(day.getUTCDay())) continue;
+
+    const candidate = zonedTimeToUtc({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      date: day.getUTCDate(),
+      hour,
+      minute
+    }, timezone);
+    if (candidate > after) return candidate;
+  }
+
+  return null;
+}
+
+// Validate a recurrence, returning an error message or null
+function validateRecurrence(recurrence) {
+  if (!recurrence || !SCHEDULE_FREQUENCIES.includes(recurrence.frequency)) {
+    return `recurrence.frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`;
+  }
+  if (parseTimeOfDay(recurrence.time) === null) {
+    return 'recurrence.time must be HH:mm';
+  }
+  if (recurrence.days !== undefined && (!Array.isArray(recurrence.days) || recurrence.days.length === 0 ||
+      recurrence.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+    return 'recurrence.days must be an array of weekdays (0 = Sunday ... 6 = Saturday)';
+  }
+  if (recurrence.frequency === 'weekly' && recurrence.days === undefined) {
+    return 'Weekly schedules need recurrence.days';
+  }
+  if (recurrence.timezone !== undefined && !isValidTimezone(recurrence.timezone)) {
+    return `Unknown timezone ${recurrence.timezone}`;
+  }
+  return null;
+}
+
+// Schedule fields returned by the API
+function summarizeSchedule(schedule) {
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    accountId: schedule.accountId,
+    type: schedule.type,
+    enabled: schedule.enabled,
+    recurrence: schedule.recurrence,
+    recipients: schedule.messages.length,
+    nextRunAt: schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    lastJobId: schedule.lastJobId,
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt
+  };
+}
+
+// Queue scheduled jobs that are due and start a job for every schedule occurrence that has passed
+// Occurrences missed while the server was down are sent once, not once per missed occurrence
+function runScheduler() {
+  const now = new Date();
+  const touchedAccounts = new Set();
+
+  for (const job of jobs.values()) {
+    if (job.status !== 'scheduled' || new Date(job.scheduledAt) > now) continue;
+
+    job.status = 'queued';
+    job.updatedAt = now.toISOString();
+    saveJob(job);
+    touchedAccounts.add(getJobAccountId(job));
+    log(`⏰ Scheduled job ${job.id} is due, queued for account ${getJobAccountId(job)}`);
+  }
+
+  for (const schedule of schedules) {
+    if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+
+    if (!sessions.has(schedule.accountId)) {
+      log(`⚠️ Schedule ${schedule.name || schedule.id} skipped, account ${schedule.accountId} no longer exists`);
+    } else {
+      const job = createJob(schedule.accountId, schedule.type, schedule.messages, { ...schedule.options, campaignId: null, scheduleId: schedule.id });
+      schedule.lastJobId = job.id;
+      touchedAccounts.add(schedule.accountId);
+      log(`⏰ Schedule ${schedule.name || schedule.id} started job ${job.id}`);
     }
+
+    schedule.lastRunAt = now.toISOString();
+    const next = getNextOccurrence(schedule.recurrence, now);
+    schedule.nextRunAt = next ? next.toISOString() : null;
+    saveSchedules();
   }
-  
-  // Stop any monitoring
-  if (monitoringTimer) {
-    clearInterval(monitoringTimer);
-    monitoringTimer = null;
+
+  // Disconnected accounts pick these jobs up when "ready" fires
+  for (const accountId of touchedAccounts) {
+    const session = sessions.get(accountId);
+    if (session && session.isLoggedIn && session.client) {
+      runJobQueue(session);
+    }
   }
+}
+
+function startScheduler() {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  runScheduler();
+  schedulerTimer = setInterval(runScheduler, SCHEDULER_INTERVAL);
+}
 
-  // Stop active connection checks
-  if (connectionCheckTimer) {
-    clearInterval(connectionCheckTimer);
-    connectionCheckTimer = null;
+// Validate and prepare a schedule's messages the same way the send routes do
+async function prepareScheduleMessages(body, res) {
+  const { messages } = body;
+  if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    res.status(400).json({ success: false, message: 'Invalid request. Please provide an array of messages.' });
+    return null;
   }
+  return prepareBulkMessages({ body }, res);
+}
 
-  // Clear any pending reconnection
-  if (reconnectionTimer) {
-    clearTimeout(reconnectionTimer);
-    reconnectionTimer = null;
+// List recurring schedules
+app.get('/api/schedules', requireScope('send'), (req, res) => {
+  const { accountId } = req.query;
+  const list = schedules
+    .filter(schedule => canAccessAccount(req, schedule.accountId))
+    .filter(schedule => !accountId || schedule.accountId === accountId);
+
+  res.status(200).json({ success: true, schedules: list.map(summarizeSchedule) });
+});
+
+// Get one schedule with its messages and the jobs it started
+app.get('/api/schedules/:id', requireScope('send'), (req, res) => {
+  const schedule = schedules.find(candidate => candidate.id === req.params.id);
+
+  if (!schedule || !canAccessAccount(req, schedule.accountId)) {
+    return res.status(404).json({ success: false, message: `Schedule ${req.params.id} not found` });
+  }
+
+  const scheduleJobs = [...jobs.values()]
+    .filter(job => job.scheduleId === schedule.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeJob);
+
+  res.status(200).json({
+    success: true,
+    schedule: { ...summarizeSchedule(schedule), options: schedule.options, messages: schedule.messages },
+    jobs: scheduleJobs
+  });
+});
+
+// Create a recurring schedule, e.g. { "name": "Daily reminder", "messages": [...], "recurrence": { "frequency": "daily", "time": "09:00", "timezone": "Asia/Kolkata" } }
+app.post('/api/schedules', requireScope('send'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  const { name, type = 'send-messages', recurrence } = req.body || {};
+  if (!jobProcessors[type]) {
+    return res.status(400).json({ success: false, message: `type must be one of: ${Object.keys(jobProcessors).join(', ')}` });
+  }
+  const recurrenceError = validateRecurrence(recurrence);
+  if (recurrenceError) {
+    return res.status(400).json({ success: false, message: recurrenceError });
+  }
+
+  const prepared = await prepareScheduleMessages(req.body, res);
+  if (!prepared) return;
+
+  const now = new Date();
+  const schedule = {
+    id: crypto.randomUUID(),
+    name: name || null,
+    accountId: session.accountId,
+    type,
+    enabled: req.body.enabled !== false,
+    recurrence: { timezone: DEFAULT_TIMEZONE, ...recurrence },
+    messages: prepared.messages,
+    options: getJobOptions(req.body),
+    nextRunAt: null,
+    lastRunAt: null,
+    lastJobId: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+  schedule.nextRunAt = getNextOccurrence(schedule.recurrence, now).toISOString();
+  schedules.push(schedule);
+  saveSchedules();
+  log(`📅 Schedule ${schedule.name || schedule.id} created for account ${schedule.accountId}, next run ${schedule.nextRunAt}`);
+
+  res.status(201).json({ success: true, schedule: summarizeSchedule(schedule), rejected: prepared.errors });
+});
+
+// Update a schedule (name, enabled, recurrence, or the messages to send)
+app.patch('/api/schedules/:id', requireScope('send'), async (req, res) => {
+  const schedule = schedules.find(candidate => candidate.id === req.params.id);
+
+  if (!schedule || !canAccessAccount(req, schedule.accountId)) {
+    return res.status(404).json({ success: false, message: `Schedule ${req.params.id} not found` });
+  }
+
+  const body = req.body || {};
+  const recurrence = body.recurrence ? { timezone: DEFAULT_TIMEZONE, ...body.recurrence } : schedule.recurrence;
+  const recurrenceError = validateRecurrence(recurrence);
+  if (recurrenceError) {
+    return res.status(400).json({ success: false, message: recurrenceError });
+  }
+
+  let rejected = [];
+  if (body.messages !== undefined) {
+    const prepared = await prepareScheduleMessages(body, res);
+    if (!prepared) return;
+    schedule.messages = prepared.messages;
+    schedule.options = getJobOptions(body);
+    rejected = prepared.errors;
+  }
+
+  if (typeof body.name === 'string') {
+    schedule.name = body.name;
+  }
+  if (typeof body.enabled === 'boolean') {
+    schedule.enabled = body.enabled;
+  }
+  schedule.recurrence = recurrence;
+  schedule.nextRunAt = getNextOccurrence(recurrence, new Date()).toISOString();
+  schedule.updatedAt = new Date().toISOString();
+  saveSchedules();
+
+  res.status(200).json({ success: true, schedule: summarizeSchedule(schedule), rejected });
+});
+
+// Delete a schedule, jobs it already started are kept
+app.delete('/api/schedules/:id', requireScope('send'), (req, res) => {
+  const index = schedules.findIndex(candidate => candidate.id === req.params.id);
+
+  if (index === -1 || !canAccessAccount(req, schedules[index].accountId)) {
+    return res.status(404).json({ success: false, message: `Schedule ${req.params.id} not found` });
+  }
+
+  const [schedule] = schedules.splice(index, 1);
+  saveSchedules();
+  log(`📅 Schedule ${schedule.name || schedule.id} deleted`);
+
+  res.status(200).json({ success: true, message: `Schedule ${schedule.id} deleted` });
+});
+
+// Force QR code regeneration (reset and reinitialize)
+// The saved session is kept so the client reconnects without a new scan,
+// pass { "wipeSession": true } (or ?wipeSession=true) to force a fresh QR code
+app.post('/reset', requireScope('session:admin'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  const wipeSession = req.query.wipeSession === 'true' || (req.body && req.body.wipeSession === true);
+  sessionLog(session, `🔄 Manual reset requested${wipeSession ? ' (wiping saved session)' : ''}...`);
+
+  // Stop any monitoring
+  if (session.monitoringTimer) {
+    clearInterval(session.monitoringTimer);
+    session.monitoringTimer = null;
   }
 
-  // Destroy client if it exists
-  await destroyClient();
+  // Clear any pending reconnection
+  cancelReconnect(session, 'Manual reset');
+
+  // Destroy client if it exists, which also stops the active connection checks
+  await destroyClient(session, 'Manual reset');
+
+  // Drop the saved session only when asked to
+  if (wipeSession) {
+    wipeSavedSession(session.accountId);
+  }
   
   // Reset state variables
-  isLoggedIn = false;
-  qrCodeData = '';
-  connectionState = 'RESETTING';
-  reconnectionAttempts = 0;
-  lastActiveTimestamp = 0;
-  profilePictureUrl = '';
-  loggedInName = '';
+  session.reconnectionAttempts = 0;
+  session.lastActiveTimestamp = 0;
   
   // Start monitoring again
-  startMonitoring();
+  startMonitoring(session);
   
   // Initialize new client after a delay
-  setTimeout(() => {
-    initializeWhatsAppClient();
-  }, 3000);
+  scheduleReconnect(session, 3000, 'Manual reset');
   
-  res.send('✅ WhatsApp session reset. QR code will be generated shortly.');
+  res.send(hasSavedSession(session.accountId)
+    ? '✅ WhatsApp session reset. Reconnecting with the saved session shortly.'
+    : '✅ WhatsApp session reset. QR code will be generated shortly.');
 });
 
 // Logout from WhatsApp (remove device from connected devices list)
-app.post('/logout', async (req, res) => {
-  log('🔑 WhatsApp logout requested...');
+app.post('/logout', requireScope('session:admin'), async (req, res) => {
+  const session = getRequestSession(req, res);
+  if (!session) return;
+
+  sessionLog(session, '🔑 WhatsApp logout requested...');
   
-  if (isLoggedIn && client) {
+  if (session.isLoggedIn && session.client) {
     try {
       // First try to logout from WhatsApp Web (removes device from connected devices)
-      log('📱 Sending logout command to WhatsApp Web...');
-      await client.logout();
-      log('✅ WhatsApp Web logout successful');
+      sessionLog(session, '📱 Sending logout command to WhatsApp Web...');
+      await session.client.logout();
+      sessionLog(session, '✅ WhatsApp Web logout successful');
     } catch (error) {
-      log(`❌ Error during WhatsApp logout: ${error.message}`);
+      sessionLog(session, `❌ Error during WhatsApp logout: ${error.message}`);
     }
   }
   
   // Stop any monitoring
-  if (monitoringTimer) {
-    clearInterval(monitoringTimer);
-    monitoringTimer = null;
-  }
-  
-  // Stop active connection checks
-  if (connectionCheckTimer) {
-    clearInterval(connectionCheckTimer);
-    connectionCheckTimer = null;
+  if (session.monitoringTimer) {
+    clearInterval(session.monitoringTimer);
+    session.monitoringTimer = null;
   }
   
   // Clear any pending reconnection
-  if (reconnectionTimer) {
-    clearTimeout(reconnectionTimer);
-    reconnectionTimer = null;
-  }
+  cancelReconnect(session, 'Logout requested');
   
-  // Destroy client
-  await destroyClient();
+  // Destroy client, which also stops the active connection checks
+  await destroyClient(session, 'Logout requested');
+
+  // A logged out session can never be restored, remove whatever is left on disk
+  wipeSavedSession(session.accountId);
   
   // Reset state variables
-  isLoggedIn = false;
-  qrCodeData = '';
-  connectionState = 'LOGGED_OUT';
-  reconnectionAttempts = 0;
-  lastActiveTimestamp = 0;
-  profilePictureUrl = '';
-  loggedInName = '';
+  session.reconnectionAttempts = 0;
+  session.lastActiveTimestamp = 0;
   
   // Start monitoring again
-  startMonitoring();
+  startMonitoring(session);
   
-  // Generate new QR after some delay
-  setTimeout(() => {
-    initializeWhatsAppClient();
-  }, 3000);
+  // Initialize new client after a delay
+  scheduleReconnect(session, 3000, 'Logout requested');
   
-  res.send('✅ Successfully logged out from WhatsApp. QR code will be generated shortly.');
+  res.send('✅ WhatsApp session reset. QR code will be generated shortly.');
 });
 
 // Define port and start the server
 const PORT = process.env.PORT || 3000;
 
-// Initialize WhatsApp client
-initializeWhatsAppClient();
-
-// Start monitoring
-startMonitoring();
-
-// Start the server
-app.listen(PORT, () => {
-  log(`🚀 Server running on port ${PORT}`);
-  log(`🌐 Visit http://localhost:${PORT} to scan QR code or check status`);
-});
+// Write what the debounced savers still hold, so acks, check-ins and usage recorded just before a restart are kept
+function flushPendingSaves() {
+  for (const jobId of [...pendingJobSaves.keys()]) saveJob(jobs.get(jobId));
+  if (issuedCodesSaveTimer) saveIssuedCodes();
+  if (rateLimiter.saveTimer) saveRateUsage();
+  if (keyUsageSaveTimer) saveKeyUsage();
+}
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  log('👋 Shutting down gracefully...');
-  
-  // Stop timers
-  if (monitoringTimer) clearInterval(monitoringTimer);
-  if (connectionCheckTimer) clearInterval(connectionCheckTimer);
-  if (reconnectionTimer) clearTimeout(reconnectionTimer);
+// Handle graceful shutdown: Ctrl+C (SIGINT), deploys (SIGTERM) and nodemon restarts (SIGUSR2)
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log(`👋 Shutting down gracefully (${signal})...`);
+  flushPendingSaves();
   
-  // Destroy client if it exists
-  if (client) {
-    try {
-      await client.destroy();
-      log('✅ WhatsApp client destroyed');
-    } catch (error) {
-      log(`❌ Error destroying client: ${error.message}`);
+  for (const session of sessions.values()) {
+    // Stop timers
+    if (session.monitoringTimer) clearInterval(session.monitoringTimer);
+    if (session.connectionCheckTimer) clearInterval(session.connectionCheckTimer);
+    if (session.connection.reconnectTimer) clearTimeout(session.connection.reconnectTimer);
+    
+    // Destroy client if it exists
+    if (session.client) {
+      try {
+        await session.client.destroy();
+        sessionLog(session, '✅ WhatsApp client destroyed');
+      } catch (error) {
+        sessionLog(session, `❌ Error destroying client: ${error.message}`);
+      }
     }
   }
   
   log('✅ Goodbye!');
   process.exit(0);
-});
+}
+
+// Restore everything saved, connect the accounts and start listening
+function startServer() {
+  // Restore API keys, accounts and jobs before the clients connect
+  loadApiKeys();
+  loadConnectionHistory();
+  loadAccounts();
+  loadJobs();
+  loadAutoReplyRules();
+  loadPassTemplates();
+  loadIssuedCodes();
+  loadInbox();
+  loadOptOuts();
+  startScheduler();
+
+  // Initialize a WhatsApp client and monitoring for every account
+  for (const session of sessions.values()) {
+    startSession(session);
+  }
+
+  // Start the server
+  app.listen(PORT, () => {
+    log(`🚀 Server running on port ${PORT}`);
+    log(`🌐 Visit http://localhost:${PORT} to scan QR code or check status`);
+  });
+
+  for (const signal of ['SIGINT', 'SIGTERM', 'SIGUSR2']) {
+    process.on(signal, () => shutdown(signal));
+  }
+}
+
+// Start only when run directly, the tests require this file for its helpers
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  CONNECTION_TRANSITIONS,
+  transitionConnection,
+  parseEnvApiKeys,
+  normalizePhoneNumber,
+  toCsvValue,
+  parseSendAt,
+  getNextOccurrence
+};
 //finish
 // End of the code
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// server.js reads its settings when required, keep them away from the real data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-api-test-'));
+process.env.DEFAULT_COUNTRY_CODE = '44';
+process.env.TIMEZONE = 'UTC';
+
+const {
+  CONNECTION_TRANSITIONS,
+  transitionConnection,
+  parseEnvApiKeys,
+  normalizePhoneNumber,
+  toCsvValue,
+  parseSendAt,
+  getNextOccurrence
+} = require('../server');
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('parseSendAt reads ISO dates, epoch milliseconds and local times in a timezone', () => {
+  assert.strictEqual(parseSendAt('2026-10-19T09:00:00+05:30').toISOString(), '2026-10-19T03:30:00.000Z');
+  assert.strictEqual(parseSendAt(1792400000000).getTime(), 1792400000000);
+  assert.strictEqual(parseSendAt('2026-10-19T09:00', 'Asia/Kolkata').toISOString(), '2026-10-19T03:30:00.000Z');
+  assert.strictEqual(parseSendAt('2026-10-19 09:00:30', 'UTC').toISOString(), '2026-10-19T09:00:30.000Z');
+});
+
+test('parseSendAt follows daylight saving time', () => {
+  assert.strictEqual(parseSendAt('2026-03-28T09:00', 'Europe/London').toISOString(), '2026-03-28T09:00:00.000Z');
+  assert.strictEqual(parseSendAt('2026-03-30T09:00', 'Europe/London').toISOString(), '2026-03-30T08:00:00.000Z');
+});
+
+test('parseSendAt rejects unknown timezones and unreadable dates', () => {
+  assert.throws(() => parseSendAt('2026-10-19T09:00', 'Mars/Olympus'), /Unknown timezone/);
+  assert.throws(() => parseSendAt('next tuesday'), /sendAt must be/);
+});
+
+test('getNextOccurrence picks today when the time is still ahead, tomorrow otherwise', () => {
+  const recurrence = { frequency: 'daily', time: '09:00', timezone: 'Asia/Kolkata' };
+  assert.strictEqual(getNextOccurrence(recurrence, new Date('2026-10-19T02:00:00Z')).toISOString(), '2026-10-19T03:30:00.000Z');
+  assert.strictEqual(getNextOccurrence(recurrence, new Date('2026-10-19T03:30:00Z')).toISOString(), '2026-10-20T03:30:00.000Z');
+});
+
+test('getNextOccurrence only fires on the listed weekdays', () => {
+  // 2026-10-19 is a Monday
+  const recurrence = { frequency: 'weekly', time: '10:00', days: [3, 5], timezone: 'UTC' };
+  assert.strictEqual(getNextOccurrence(recurrence, new Date('2026-10-19T12:00:00Z')).toISOString(), '2026-10-21T10:00:00.000Z');
+  assert.strictEqual(getNextOccurrence(recurrence, new Date('2026-10-21T10:00:00Z')).toISOString(), '2026-10-23T10:00:00.000Z');
+  assert.strictEqual(getNextOccurrence(recurrence, new Date('2026-10-23T11:00:00Z')).toISOString(), '2026-10-28T10:00:00.000Z');
+});
+
+test('parseEnvApiKeys reads names, hashed keys and scopes', () => {
+  const keys = parseEnvApiKeys('admin:secret1; reporter:secret2:read,inbox:read ;webhooks:secret3:session:admin');
+
+  assert.deepStrictEqual(keys.map(key => key.name), ['admin', 'reporter', 'webhooks']);
+  assert.deepStrictEqual(keys.map(key => key.scopes), [['*'], ['read', 'inbox:read'], ['session:admin']]);
+  assert.strictEqual(keys[0].id, 'env-admin');
+  assert.strictEqual(keys[0].hash, crypto.createHash('sha256').update('secret1').digest('hex'));
+  assert.strictEqual(keys[0].accounts, null);
+  assert.strictEqual(keys[0].source, 'env');
+});
+
+test('parseEnvApiKeys ignores entries without a name or a key', () => {
+  const keys = parseEnvApiKeys('nokey;:orphan;emptykey::send;;ok:secret');
+
+  assert.deepStrictEqual(keys.map(key => key.name), ['ok']);
+  assert.deepStrictEqual(parseEnvApiKeys(undefined), []);
+  assert.deepStrictEqual(parseEnvApiKeys(''), []);
+});
+
+test('normalizePhoneNumber turns international and local numbers into E.164 and a chat id', () => {
+  assert.deepStrictEqual(normalizePhoneNumber('+1 (555) 777-0002'), {
+    input: '+1 (555) 777-0002',
+    valid: true,
+    e164: '+15557770002',
+    digits: '15557770002',
+    countryCode: '1',
+    chatId: '15557770002@c.us'
+  });
+  assert.strictEqual(normalizePhoneNumber('0044 7700 900123').e164, '+447700900123');
+  assert.strictEqual(normalizePhoneNumber('15557770002@c.us').e164, '+15557770002');
+});
+
+test('normalizePhoneNumber adds the default country code to local numbers', () => {
+  assert.strictEqual(normalizePhoneNumber('07700 900123').e164, '+447700900123');
+  assert.strictEqual(normalizePhoneNumber('7700900123').e164, '+447700900123');
+  assert.strictEqual(normalizePhoneNumber('98765 43210', '91').e164, '+919876543210');
+  assert.strictEqual(normalizePhoneNumber('07700 900123', '').valid, false);
+});
+
+test('normalizePhoneNumber explains why a number is invalid', () => {
+  assert.strictEqual(normalizePhoneNumber('').reason, 'Missing phone number');
+  assert.strictEqual(normalizePhoneNumber(null).reason, 'Missing phone number');
+  assert.match(normalizePhoneNumber('+44 7700 abc').reason, /may only contain digits/);
+  assert.match(normalizePhoneNumber('+44 123').reason, /8 to 15 digits/);
+  assert.match(normalizePhoneNumber('+1234567890123456').reason, /8 to 15 digits/);
+});
+
+test('toCsvValue quotes separators and keeps formulas from running', () => {
+  assert.strictEqual(toCsvValue('plain'), 'plain');
+  assert.strictEqual(toCsvValue(null), '');
+  assert.strictEqual(toCsvValue(undefined), '');
+  assert.strictEqual(toCsvValue(42), '42');
+  assert.strictEqual(toCsvValue(-3), '-3');
+  assert.strictEqual(toCsvValue('Smith, Jane'), '"Smith, Jane"');
+  assert.strictEqual(toCsvValue('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(toCsvValue('two\nlines'), '"two\nlines"');
+  assert.strictEqual(toCsvValue('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.strictEqual(toCsvValue('+15557770002'), "'+15557770002");
+  assert.strictEqual(toCsvValue('@user'), "'@user");
+});
+
+test('CONNECTION_TRANSITIONS only leads to known states', () => {
+  const states = Object.keys(CONNECTION_TRANSITIONS);
+  for (const [from, targets] of Object.entries(CONNECTION_TRANSITIONS)) {
+    for (const to of targets) {
+      assert.ok(states.includes(to), `${from} → ${to} leads to an unknown state`);
+    }
+  }
+});
+
+test('transitionConnection refuses transitions the table does not allow', () => {
+  const session = { accountId: 'test', connection: { state: 'DISCONNECTED' } };
+
+  assert.strictEqual(transitionConnection(session, 'CONNECTED', 'test'), false);
+  assert.strictEqual(session.connection.state, 'DISCONNECTED');
+
+  assert.strictEqual(transitionConnection(session, 'INITIALIZING', 'test'), true);
+  assert.strictEqual(session.connection.state, 'INITIALIZING');
+  assert.strictEqual(session.connection.reason, 'test');
+
+  assert.strictEqual(transitionConnection(session, 'INITIALIZING', 'again'), true);
+  assert.strictEqual(session.connection.reason, 'test');
+
+  assert.strictEqual(transitionConnection(session, 'RECONNECTING', 'test'), false);
+  assert.strictEqual(session.connection.state, 'INITIALIZING');
+});